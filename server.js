@@ -6,6 +6,7 @@ import cookieParser from 'cookie-parser';
 import authRoutes from './src/routes/authRoutes.js';
 import sheetRoutes from "./src/routes/sheetRoutes.js";
 import { connectDBWithRetry } from './src/config/db.js';
+import { startGenerationWorker, stopGenerationWorker } from './src/lib/generationWorker.js';
 
 dotenv.config();
 
@@ -34,7 +35,7 @@ const corsOptions = {
         }
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
     exposedHeaders: ['Set-Cookie'],
     optionsSuccessStatus: 200,
@@ -42,7 +43,8 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 app.use(cookieParser());
-app.use(express.json());
+// Large enough for test result reports posted to /api/sheets/results/import
+app.use(express.json({ limit: '10mb' }));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -103,6 +105,9 @@ const startServer = async () => {
     try {
         // Connect to MongoDB first
         await connectDBWithRetry();
+
+        // Pick up queued generation jobs and recover ones interrupted by a restart
+        await startGenerationWorker();
         
         // Start server after successful DB connection
         app.listen(PORT, () => {
@@ -120,6 +125,7 @@ const startServer = async () => {
 process.on('SIGINT', async () => {
     console.log('📴 Shutting down gracefully...');
     try {
+        stopGenerationWorker();
         await mongoose.connection.close();
         console.log('✅ MongoDB connection closed');
         process.exit(0);
@@ -0,0 +1,222 @@
+import mongoose from 'mongoose';
+import ChangePlan from '../models/ChangePlan.js';
+import { getAuthenticatedSheetsClient } from './oauthController.js';
+import { applyModificationDiff, computeSheetFingerprint } from '../lib/modificationPlans.js';
+import { createRequestProgressReporter } from '../lib/progressEvents.js';
+import { createSheetSnapshot } from '../lib/sheetSnapshots.js';
+import { TEST_CASE_RANGE } from '../lib/testCaseSchema.js';
+import { resolveColumnTemplate } from '../lib/columnTemplates.js';
+
+const findUserPlan = async (req) => {
+    const { planId } = req.params;
+    if (!mongoose.isValidObjectId(planId)) {
+        return null;
+    }
+    return ChangePlan.findOne({ _id: planId, userId: req.user._id });
+};
+
+const toPlanResponse = (plan) => ({
+    planId: plan._id,
+    status: plan.status,
+    spreadsheetId: plan.spreadsheetId,
+    sheetName: plan.sheetName,
+    modificationPrompt: plan.modificationPrompt,
+    summary: plan.summary,
+    items: plan.items,
+    approvedItemIds: plan.approvedItemIds,
+    applyResult: plan.applyResult,
+    createdAt: plan.createdAt,
+    expiresAt: plan.expiresAt
+});
+
+export const getModificationPlan = async (req, res) => {
+    try {
+        const plan = await findUserPlan(req);
+        if (!plan) {
+            return res.status(404).json({ message: 'Modification plan not found or expired' });
+        }
+
+        res.json(toPlanResponse(plan));
+    } catch (error) {
+        console.error('Error getting modification plan:', error);
+        res.status(500).json({
+            message: 'Failed to get modification plan',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sheets/modify/plans/:planId/apply
+// Body: { approvedItemIds: ['m1', 'm3'] } or { approveAll: true }
+export const applyModificationPlan = async (req, res) => {
+    const reporter = createRequestProgressReporter(req);
+    let claimed = null;
+
+    try {
+        const userId = req.user._id.toString();
+        const plan = await findUserPlan(req);
+
+        if (!plan) {
+            return res.status(404).json({ message: 'Modification plan not found or expired' });
+        }
+
+        if (plan.status !== 'pending') {
+            return res.status(409).json({
+                message: `Modification plan is ${plan.status}`,
+                applyResult: plan.applyResult
+            });
+        }
+
+        const { approvedItemIds, approveAll } = req.body;
+        if (!approveAll && !Array.isArray(approvedItemIds)) {
+            return res.status(400).json({ message: 'Provide approvedItemIds or approveAll: true' });
+        }
+
+        const approvedIds = approveAll
+            ? plan.items.filter(item => item.applicable).map(item => item.itemId)
+            : approvedItemIds;
+
+        const errors = [];
+        const approved = approvedIds.map(itemId => {
+            const item = plan.items.find(candidate => candidate.itemId === itemId);
+            if (!item) {
+                errors.push(`Unknown plan item: ${itemId}`);
+            } else if (!item.applicable) {
+                errors.push(`Plan item ${itemId} cannot be applied: ${item.reason}`);
+            }
+            return item;
+        }).filter(item => item && item.applicable);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid approval', errors });
+        }
+
+        if (approved.length === 0) {
+            return res.status(400).json({ message: 'No modifications approved' });
+        }
+
+        reporter.emit('step', { name: 'context_fetch' });
+        const sheets = await getAuthenticatedSheetsClient(userId);
+
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: plan.spreadsheetId,
+            range: `'${plan.sheetName}'!${TEST_CASE_RANGE}`,
+        });
+        const rows = response.data.values || [];
+
+        // Row indexes in the plan are only valid against the exact rows it was computed from
+        if (computeSheetFingerprint(rows) !== plan.sheetFingerprint) {
+            reporter.emit('error', { message: 'Sheet changed since the plan was created', errorType: 'SHEET_CHANGED' });
+            return res.status(409).json({
+                success: false,
+                errorType: 'SHEET_CHANGED',
+                message: 'The sheet has changed since this plan was created. Request a new plan.'
+            });
+        }
+
+        // Write through the same column template the plan was computed with
+        const template = await resolveColumnTemplate({
+            userId: req.user._id,
+            templateId: plan.templateId,
+            spreadsheetId: plan.spreadsheetId
+        });
+
+        claimed = await ChangePlan.findOneAndUpdate(
+            { _id: plan._id, status: 'pending' },
+            { status: 'applying' }
+        );
+        if (!claimed) {
+            return res.status(409).json({ message: 'Modification plan is already being applied' });
+        }
+
+        reporter.emit('step', { name: 'write' });
+        const snapshot = await createSheetSnapshot({
+            sheets,
+            userId: req.user._id,
+            spreadsheetId: plan.spreadsheetId,
+            sheetName: plan.sheetName,
+            operation: 'modify-plan',
+            description: plan.modificationPrompt,
+            reporter
+        });
+
+        const { updatedCount, addedCount } = await applyModificationDiff(
+            sheets,
+            plan.spreadsheetId,
+            plan.sheetName,
+            approved,
+            rows,
+            template.columns
+        );
+
+        const applyResult = {
+            updatedCount,
+            addedCount,
+            snapshotId: snapshot._id,
+            skippedItemIds: plan.items
+                .filter(item => !approved.includes(item))
+                .map(item => item.itemId)
+        };
+
+        plan.status = 'applied';
+        plan.approvedItemIds = approved.map(item => item.itemId);
+        plan.appliedAt = new Date();
+        plan.applyResult = applyResult;
+        await plan.save();
+
+        console.log("✅ Modification plan applied:", plan._id.toString());
+        reporter.emit('rows_written', { sheetName: plan.sheetName, updated: updatedCount, added: addedCount });
+        reporter.emit('done', { planId: plan._id, updatedCount, addedCount });
+
+        res.json({
+            success: true,
+            operationId: reporter.operationId,
+            planId: plan._id,
+            appliedItemIds: plan.approvedItemIds,
+            ...applyResult,
+            message: `Applied ${approved.length} of ${plan.items.length} proposed modifications`
+        });
+
+    } catch (error) {
+        console.error('Error applying modification plan:', error);
+        reporter.emit('error', { message: error.message });
+
+        if (claimed) {
+            await ChangePlan.updateOne({ _id: claimed._id }, { status: 'pending' })
+                .catch(releaseError => console.error('❌ Could not release modification plan:', releaseError.message));
+        }
+
+        if (error.statusCode === 404) {
+            return res.status(404).json({ message: error.message });
+        }
+        res.status(500).json({
+            message: 'Failed to apply modification plan',
+            error: error.message
+        });
+    }
+};
+
+export const discardModificationPlan = async (req, res) => {
+    try {
+        const { planId } = req.params;
+        const plan = mongoose.isValidObjectId(planId)
+            ? await ChangePlan.findOneAndUpdate(
+                { _id: planId, userId: req.user._id, status: 'pending' },
+                { status: 'discarded' },
+                { new: true }
+            )
+            : null;
+
+        if (!plan) {
+            return res.status(404).json({ message: 'No pending modification plan found' });
+        }
+
+        res.json({ success: true, planId: plan._id, status: plan.status });
+    } catch (error) {
+        console.error('Error discarding modification plan:', error);
+        res.status(500).json({
+            message: 'Failed to discard modification plan',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,251 @@
+import { getAuthenticatedSheetsClient } from './oauthController.js';
+import { sendSheetLayoutError, resolveRequestTemplate } from './sheetsController.js';
+import { readTestCaseSheet, readTestScenarioSheet } from '../lib/sheetsHelpers.js';
+import { TEST_SCENARIO_COLUMNS } from '../lib/testCaseSchema.js';
+import { buildFeatureFiles, slugify } from '../lib/gherkin.js';
+import { createZipArchive } from '../lib/zipArchive.js';
+import { SUITE_EXPORT_FORMATS, suiteHeaders, suiteRows, toCsv, toXlsx } from '../lib/suiteExport.js';
+import { AUTOMATION_FRAMEWORKS, buildTestSkeletonProject } from '../lib/testSkeletons.js';
+import { TMS_TARGETS, TMS_TARGET_NAMES, resolveExportProfile, buildTmsCsv, buildXrayJson } from '../lib/tmsExport.js';
+
+const FEATURE_GROUPINGS = ['module', 'submodule'];
+const SUITE_KINDS = ['testCases', 'testScenarios'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    json: 'application/json; charset=utf-8',
+    feature: 'text/plain; charset=utf-8'
+};
+
+// Send `files` ([{ path, content }]) as a single download, or as a ZIP when there are several
+const sendFiles = (res, files, { archiveName, contentType }) => {
+    if (files.length === 1) {
+        const fileName = files[0].path.split('/').pop();
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.send(files[0].content);
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${archiveName}.zip"`);
+    res.send(createZipArchive(files));
+};
+
+// GET /api/sheets/export/feature?spreadsheetId&sheetName&groupBy=module|submodule&format=file|json&templateId
+// Exports a test cases tab as Gherkin .feature files, one per module (or module + submodule).
+// Gherkin steps are kept as written; free-text steps become "*" steps. A single file is sent
+// as-is, several as a ZIP; format=json returns the files inline instead.
+export const exportFeatureFiles = async (req, res) => {
+    try {
+        const { spreadsheetId, sheetName, groupBy = 'module', format = 'file' } = req.query;
+        const userId = req.user._id.toString();
+
+        if (!spreadsheetId || !sheetName) {
+            return res.status(400).json({ message: 'Missing required query parameters: spreadsheetId and sheetName' });
+        }
+        if (!FEATURE_GROUPINGS.includes(groupBy)) {
+            return res.status(400).json({ message: `groupBy must be one of ${FEATURE_GROUPINGS.join(', ')}` });
+        }
+
+        console.log("🥒 Exporting feature files for user:", userId);
+
+        const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
+
+        const { testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+        if (testCases.length === 0) {
+            return res.status(404).json({ message: `No test cases found in "${sheetName}"` });
+        }
+
+        const files = buildFeatureFiles(testCases, { groupBy });
+
+        if (format === 'json') {
+            return res.json({
+                sheetName,
+                groupBy,
+                scenarioCount: testCases.length,
+                files
+            });
+        }
+
+        sendFiles(res, files, { archiveName: `${slugify(sheetName)}-features`, contentType: CONTENT_TYPES.feature });
+
+    } catch (error) {
+        console.error('Error exporting feature files:', error);
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to export feature files',
+            error: error.message
+        });
+    }
+};
+
+// Items and columns of a tab, read like GET /test-cases (or the scenario layout)
+async function readSuite(req, sheets, spreadsheetId, sheetName, kind) {
+    if (kind === 'testScenarios') {
+        const { testScenarios } = await readTestScenarioSheet(sheets, spreadsheetId, sheetName);
+        return { columns: TEST_SCENARIO_COLUMNS, items: testScenarios };
+    }
+    const template = await resolveRequestTemplate(req, spreadsheetId);
+    const { testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+    return { columns: template.columns, items: testCases };
+}
+
+// GET /api/sheets/export/csv|xlsx|json?spreadsheetId&sheetName&kind=testCases|testScenarios&templateId
+// Downloads a test cases tab (read through the template's header mapping) or a test scenarios
+// tab. XLSX keeps the tab's header style, column widths, dropdowns and status/priority colours.
+export const createSuiteExportHandler = (format) => {
+    if (!SUITE_EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+
+    return async (req, res) => {
+        try {
+            const { spreadsheetId, sheetName, kind = 'testCases' } = req.query;
+            const userId = req.user._id.toString();
+
+            if (!spreadsheetId || !sheetName) {
+                return res.status(400).json({ message: 'Missing required query parameters: spreadsheetId and sheetName' });
+            }
+            if (!SUITE_KINDS.includes(kind)) {
+                return res.status(400).json({ message: `kind must be one of ${SUITE_KINDS.join(', ')}` });
+            }
+
+            console.log(`📤 Exporting "${sheetName}" as ${format.toUpperCase()} for user:`, userId);
+
+            const sheets = await getAuthenticatedSheetsClient(userId);
+            const { columns, items } = await readSuite(req, sheets, spreadsheetId, sheetName, kind);
+
+            const headers = suiteHeaders(columns);
+            const rows = suiteRows(items, columns);
+            let content;
+
+            if (format === 'csv') {
+                content = toCsv(headers, rows);
+            } else if (format === 'xlsx') {
+                content = toXlsx({ sheetName, columns, headers, rows });
+            } else {
+                content = JSON.stringify({
+                    sheetName,
+                    kind,
+                    columns: columns.map(({ field, header, type, allowedValues }) => ({ field, header, type, ...(allowedValues ? { allowedValues } : {}) })),
+                    totalCount: items.length,
+                    [kind]: items.map(({ rowIndex, ...item }) => item),
+                    exportedAt: new Date().toISOString()
+                }, null, 2);
+            }
+
+            sendFiles(res, [{ path: `${slugify(sheetName)}.${format}`, content }], { contentType: CONTENT_TYPES[format] });
+
+        } catch (error) {
+            console.error(`Error exporting ${format}:`, error);
+            if (sendSheetLayoutError(res, error)) return;
+            res.status(500).json({
+                message: `Failed to export ${format.toUpperCase()}`,
+                error: error.message
+            });
+        }
+    };
+};
+
+export const exportCsv = createSuiteExportHandler('csv');
+export const exportXlsx = createSuiteExportHandler('xlsx');
+export const exportJson = createSuiteExportHandler('json');
+
+// GET /api/sheets/export/tms?spreadsheetId&sheetName&target=testrail|zephyr|xray&format=csv|json&templateId&projectKey
+// Exports a test cases tab in a test management tool's import format, using the tool's
+// export profile from the column template (section path, priority / type values, extra
+// columns). Xray also takes format=json for its bulk test import.
+export const exportTestManagement = async (req, res) => {
+    try {
+        const { spreadsheetId, sheetName, target, format = 'csv', projectKey } = req.query;
+        const userId = req.user._id.toString();
+
+        if (!spreadsheetId || !sheetName || !target) {
+            return res.status(400).json({ message: 'Missing required query parameters: spreadsheetId, sheetName and target' });
+        }
+        if (!TMS_TARGETS[target]) {
+            return res.status(400).json({ message: `target must be one of ${TMS_TARGET_NAMES.join(', ')}` });
+        }
+        if (!TMS_TARGETS[target].formats.includes(format)) {
+            return res.status(400).json({ message: `${TMS_TARGETS[target].label} exports support format ${TMS_TARGETS[target].formats.join(', ')}` });
+        }
+
+        console.log(`🏷️ Exporting "${sheetName}" for ${TMS_TARGETS[target].label} for user:`, userId);
+
+        const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
+
+        const { testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+        if (testCases.length === 0) {
+            return res.status(404).json({ message: `No test cases found in "${sheetName}"` });
+        }
+
+        const profile = resolveExportProfile(target, template.exportProfiles);
+        if (projectKey) {
+            profile.projectKey = projectKey;
+        }
+
+        const content = format === 'json'
+            ? JSON.stringify(buildXrayJson(testCases, profile), null, 2)
+            : buildTmsCsv(testCases, profile);
+
+        sendFiles(res, [{ path: `${slugify(sheetName)}-${target}.${format}`, content }], { contentType: CONTENT_TYPES[format] });
+
+    } catch (error) {
+        console.error('Error exporting for test management tool:', error);
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to export test cases for the test management tool',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/sheets/export/automation?spreadsheetId&sheetName&framework=playwright|cypress&ids=TC_1,TC_2&templateId
+// Downloads a Playwright or Cypress project (ZIP) with one spec per module and one test per
+// case, titled with the test case ID. `ids` limits the export to those test cases.
+export const exportTestSkeletons = async (req, res) => {
+    try {
+        const { spreadsheetId, sheetName, framework = 'playwright', ids } = req.query;
+        const userId = req.user._id.toString();
+
+        if (!spreadsheetId || !sheetName) {
+            return res.status(400).json({ message: 'Missing required query parameters: spreadsheetId and sheetName' });
+        }
+        if (!AUTOMATION_FRAMEWORKS.includes(framework)) {
+            return res.status(400).json({ message: `framework must be one of ${AUTOMATION_FRAMEWORKS.join(', ')}` });
+        }
+
+        console.log(`🎭 Generating ${framework} skeletons from "${sheetName}" for user:`, userId);
+
+        const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
+
+        let { testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+
+        if (ids) {
+            const requestedIds = [...new Set(String(ids).split(',').map(id => id.trim()).filter(Boolean))];
+            const missingIds = requestedIds.filter(id => !testCases.some(tc => tc.id === id));
+            if (missingIds.length > 0) {
+                return res.status(404).json({ message: `Test cases not found in "${sheetName}"`, missingIds });
+            }
+            testCases = testCases.filter(tc => requestedIds.includes(tc.id));
+        }
+        if (testCases.length === 0) {
+            return res.status(404).json({ message: `No test cases found in "${sheetName}"` });
+        }
+
+        const files = buildTestSkeletonProject(testCases, { framework, projectName: `${sheetName} ${framework}` });
+        sendFiles(res, files, { archiveName: `${slugify(sheetName)}-${framework}`, contentType: CONTENT_TYPES.json });
+
+    } catch (error) {
+        console.error('Error generating test skeletons:', error);
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to generate test skeletons',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import GenerationJob from '../models/GenerationJob.js';
+
+const toJobResponse = (job) => ({
+    jobId: job._id,
+    status: job.status,
+    currentStep: job.currentStep || null,
+    steps: job.steps,
+    attempts: job.attempts,
+    input: {
+        module: job.input?.module,
+        spreadsheetId: job.input?.spreadsheetId,
+        testCasesLevel: job.input?.testCasesLevel,
+        testScenariosLevel: job.input?.testScenariosLevel
+    },
+    error: job.status === 'failed' ? job.toObject().error : undefined,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+});
+
+const findUserJob = async (req) => {
+    const { jobId } = req.params;
+    if (!mongoose.isValidObjectId(jobId)) {
+        return null;
+    }
+    return GenerationJob.findOne({ _id: jobId, userId: req.user._id });
+};
+
+export const listGenerationJobs = async (req, res) => {
+    try {
+        const { status, limit = 20 } = req.query;
+        const query = { userId: req.user._id };
+        if (status) {
+            query.status = status;
+        }
+
+        const jobs = await GenerationJob.find(query)
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(limit, 10) || 20, 100));
+
+        res.json({ jobs: jobs.map(toJobResponse) });
+    } catch (error) {
+        console.error('Error listing generation jobs:', error);
+        res.status(500).json({
+            message: 'Failed to list generation jobs',
+            error: error.message
+        });
+    }
+};
+
+export const getGenerationJob = async (req, res) => {
+    try {
+        const job = await findUserJob(req);
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        res.json(toJobResponse(job));
+    } catch (error) {
+        console.error('Error getting generation job:', error);
+        res.status(500).json({
+            message: 'Failed to get generation job',
+            error: error.message
+        });
+    }
+};
+
+export const getGenerationJobResult = async (req, res) => {
+    try {
+        const job = await findUserJob(req);
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        if (job.status === 'failed') {
+            const { statusCode = 500, ...error } = job.toObject().error || {};
+            return res.status(statusCode).json({ success: false, jobId: job._id, ...error });
+        }
+
+        if (job.status !== 'completed') {
+            return res.status(409).json({
+                success: false,
+                jobId: job._id,
+                status: job.status,
+                currentStep: job.currentStep || null,
+                message: 'Job has not finished yet'
+            });
+        }
+
+        res.json({ success: true, jobId: job._id, ...job.result });
+    } catch (error) {
+        console.error('Error getting generation job result:', error);
+        res.status(500).json({
+            message: 'Failed to get generation job result',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,65 @@
+import User from '../models/User.js';
+import {
+    resolveLLMConfig,
+    validateUserLLMSettings,
+    getDeploymentLLMConfig
+} from '../lib/llmProviders.js';
+
+const toPublicConfig = (config) => ({
+    provider: config.provider,
+    model: config.model,
+    baseUrl: config.baseUrl || null
+});
+
+export const getLLMSettings = async (req, res) => {
+    try {
+        const deployment = getDeploymentLLMConfig();
+
+        res.json({
+            settings: req.user.llmSettings || {},
+            effective: toPublicConfig(resolveLLMConfig(req.user)),
+            deploymentDefault: toPublicConfig(deployment),
+            allowedProviders: deployment.allowedProviders,
+            allowedBaseUrls: deployment.allowedBaseUrls
+        });
+    } catch (error) {
+        console.error('Error getting LLM settings:', error);
+        res.status(500).json({
+            message: 'Failed to get LLM settings',
+            error: error.message
+        });
+    }
+};
+
+export const updateLLMSettings = async (req, res) => {
+    try {
+        const { provider = null, model = null, baseUrl = null } = req.body;
+        const userId = req.user._id.toString();
+
+        const errors = validateUserLLMSettings({ provider, model, baseUrl });
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid LLM settings', errors });
+        }
+
+        console.log("🧠 Updating LLM settings for user:", userId, { provider, model, baseUrl });
+
+        // null values clear the override and fall back to the deployment default
+        const user = await User.findByIdAndUpdate(
+            userId,
+            { llmSettings: { provider, model, baseUrl } },
+            { new: true }
+        ).select('-password');
+
+        res.json({
+            success: true,
+            settings: user.llmSettings,
+            effective: toPublicConfig(resolveLLMConfig(user))
+        });
+    } catch (error) {
+        console.error('Error updating LLM settings:', error);
+        res.status(500).json({
+            message: 'Failed to update LLM settings',
+            error: error.message
+        });
+    }
+};
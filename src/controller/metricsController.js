@@ -0,0 +1,88 @@
+import { getAuthenticatedSheetsClient } from './oauthController.js';
+import { sendSheetLayoutError, resolveRequestTemplate } from './sheetsController.js';
+import { readTestCaseSheet, writeDashboardSheet } from '../lib/sheetsHelpers.js';
+import { computeSuiteMetrics, buildDashboardLayout, DEFAULT_DASHBOARD_NAME } from '../lib/suiteMetrics.js';
+
+// GET /api/sheets/metrics?spreadsheetId&sheetName&templateId
+// Exact counts by status, module, submodule, type and environment with pass / blocked rates
+// and the untested share, computed from the tab without a model call.
+export const getSuiteMetrics = async (req, res) => {
+    try {
+        const { spreadsheetId, sheetName } = req.query;
+        const userId = req.user._id.toString();
+        if (!spreadsheetId || !sheetName) {
+            return res.status(400).json({ message: 'Missing required parameters: spreadsheetId and sheetName' });
+        }
+
+        console.log("📊 Computing suite metrics for user:", userId);
+
+        const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
+        const { columns, testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+
+        res.json({ metrics: computeSuiteMetrics(testCases), sheetName, columns });
+
+    } catch (error) {
+        console.error('Error computing suite metrics:', error);
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to compute suite metrics',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sheets/metrics/dashboard
+// Body: { spreadsheetId, sheetName, dashboardName = 'Dashboard', overwrite?, templateId? }
+// Creates or refreshes a tab with the metrics as summary tables and native charts (status
+// pie, stacked module bars, type columns). Refreshing replaces the previous tables and charts.
+export const refreshDashboard = async (req, res) => {
+    try {
+        const { spreadsheetId, sheetName, dashboardName = DEFAULT_DASHBOARD_NAME, overwrite = false } = req.body;
+        const userId = req.user._id.toString();
+        if (!spreadsheetId || !sheetName) {
+            return res.status(400).json({ message: 'Missing required parameters: spreadsheetId and sheetName' });
+        }
+        if (dashboardName === sheetName) {
+            return res.status(400).json({ message: 'dashboardName must differ from the test cases tab' });
+        }
+
+        console.log("📈 Refreshing dashboard for user:", userId);
+
+        const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
+        const { columns, testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+
+        const metrics = computeSuiteMetrics(testCases);
+        const { created, charts } = await writeDashboardSheet(
+            sheets,
+            spreadsheetId,
+            dashboardName,
+            buildDashboardLayout(metrics, sheetName),
+            { overwrite: overwrite === true }
+        );
+
+        console.log(`✅ Dashboard "${dashboardName}" ${created ? 'created' : 'refreshed'} from "${sheetName}"`);
+        res.json({
+            success: true,
+            dashboardName,
+            created,
+            charts,
+            metrics,
+            sheetName,
+            columns,
+            message: `Dashboard "${dashboardName}" ${created ? 'created' : 'refreshed'} with ${metrics.total} test cases`
+        });
+
+    } catch (error) {
+        console.error('Error refreshing dashboard:', error);
+        if (error.statusCode === 409) {
+            return res.status(409).json({ message: error.message });
+        }
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to refresh dashboard',
+            error: error.message
+        });
+    }
+};
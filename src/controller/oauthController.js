@@ -162,7 +162,9 @@ export const getAvailableSheets = async (req, res) => {
     }
 };
 
-// Helper function to get authenticated sheets client
+// Helper function to get authenticated sheets client.
+// Uses a dedicated OAuth client per call: background generation jobs run concurrently
+// with requests from other users, so the shared oauth2Client must not be mutated here.
 export const getAuthenticatedSheetsClient = async (userId) => {
     const userToken = await UserToken.findOne({ userId: userId });
     if (!userToken) {
@@ -175,8 +177,13 @@ export const getAuthenticatedSheetsClient = async (userId) => {
         expiry_date: userToken.expiryDate.getTime()
     };
 
-    oauth2Client.setCredentials(tokens);
-    return google.sheets({ version: 'v4', auth: oauth2Client });
+    const userOAuthClient = new google.auth.OAuth2(
+        process.env.GOOGLE_CLIENT_ID,
+        process.env.GOOGLE_CLIENT_SECRET,
+        process.env.GOOGLE_REDIRECT_URI
+    );
+    userOAuthClient.setCredentials(tokens);
+    return google.sheets({ version: 'v4', auth: userOAuthClient });
 };
 
 export const removeCredentials = async (req, res) => {
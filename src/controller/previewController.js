@@ -0,0 +1,284 @@
+import mongoose from 'mongoose';
+import GenerationPreview from '../models/GenerationPreview.js';
+import { getAuthenticatedSheetsClient } from './oauthController.js';
+import {
+    writeTestCasesToSheet,
+    writeTestScenariosToSheet,
+    createGenerationTimestamp,
+    classifyGenerationError,
+    assignTestCaseIdsForSheet
+} from '../lib/generationPipeline.js';
+import { TEST_CASE_TYPES, STATUSES, PRIORITIES, SEVERITIES } from '../lib/testCaseSchema.js';
+import { resolveColumnTemplate } from '../lib/columnTemplates.js';
+
+const TEST_CASE_FIELDS = ['id', 'module', 'submodule', 'summary', 'testSteps', 'expectedResults', 'testCaseType', 'environment', 'status', 'priority', 'severity'];
+const TEST_SCENARIO_FIELDS = ['id', 'module', 'condition', 'testScenarios', 'status'];
+
+// Overlay user edits on the previewed item, keeping only known string fields
+const applyEdits = (original, edits, fields) => {
+    const merged = { ...original };
+    fields.forEach(field => {
+        if (edits[field] !== undefined && edits[field] !== null) {
+            merged[field] = String(edits[field]);
+        }
+    });
+    return merged;
+};
+
+// Resolve the subset to commit. `edited` items (full objects keyed by id) win over
+// `ids`; with neither, every accepted item is committed. Rejected test cases can be
+// rescued by listing them explicitly.
+const selectItems = (accepted, candidates, ids, edited, fields, label) => {
+    const errors = [];
+    const byId = new Map();
+    [...candidates].reverse().forEach(item => byId.set(item.id, item));
+    accepted.forEach(item => byId.set(item.id, item));
+
+    if (Array.isArray(edited)) {
+        const items = edited.map(edit => {
+            const original = byId.get(edit?.id);
+            if (!original) {
+                errors.push(`Unknown ${label} id: ${edit?.id}`);
+                return null;
+            }
+            return applyEdits(original, edit, fields);
+        }).filter(Boolean);
+        return { items, errors };
+    }
+
+    if (Array.isArray(ids)) {
+        const items = ids.map(id => {
+            const item = byId.get(id);
+            if (!item) {
+                errors.push(`Unknown ${label} id: ${id}`);
+            }
+            return item;
+        }).filter(Boolean);
+        return { items, errors };
+    }
+
+    return { items: accepted, errors };
+};
+
+const validateTestCases = (testCases, columns) => {
+    const errors = [];
+    const customDropdowns = columns.filter(column => column.custom && column.allowedValues?.length);
+    testCases.forEach(tc => {
+        if (!tc.summary || !tc.summary.trim()) {
+            errors.push(`Test case ${tc.id} has an empty summary`);
+        }
+        if (tc.testCaseType && !TEST_CASE_TYPES.includes(tc.testCaseType)) {
+            errors.push(`Test case ${tc.id} has invalid type "${tc.testCaseType}"`);
+        }
+        if (tc.status && !STATUSES.includes(tc.status)) {
+            errors.push(`Test case ${tc.id} has invalid status "${tc.status}"`);
+        }
+        if (tc.priority && !PRIORITIES.includes(tc.priority)) {
+            errors.push(`Test case ${tc.id} has invalid priority "${tc.priority}"`);
+        }
+        if (tc.severity && !SEVERITIES.includes(tc.severity)) {
+            errors.push(`Test case ${tc.id} has invalid severity "${tc.severity}"`);
+        }
+        customDropdowns.forEach(column => {
+            if (tc[column.field] && !column.allowedValues.includes(tc[column.field])) {
+                errors.push(`Test case ${tc.id} has invalid ${column.header} "${tc[column.field]}"`);
+            }
+        });
+    });
+    return errors;
+};
+
+const findUserPreview = async (req) => {
+    const { previewId } = req.params;
+    if (!mongoose.isValidObjectId(previewId)) {
+        return null;
+    }
+    return GenerationPreview.findOne({ _id: previewId, userId: req.user._id });
+};
+
+export const getGenerationPreview = async (req, res) => {
+    try {
+        const preview = await findUserPreview(req);
+        if (!preview) {
+            return res.status(404).json({ message: 'Preview not found or expired' });
+        }
+
+        res.json({
+            previewId: preview._id,
+            status: preview.status,
+            spreadsheetId: preview.spreadsheetId,
+            module: preview.module,
+            testCasesSheetName: preview.testCasesSheetName || null,
+            testScenariosSheetName: preview.testScenariosSheetName || null,
+            templateId: preview.templateId || null,
+            testCases: preview.testCases,
+            testScenarios: preview.testScenarios,
+            rejectedTestCases: preview.rejectedTestCases,
+            commitResult: preview.commitResult,
+            expiresAt: preview.expiresAt
+        });
+    } catch (error) {
+        console.error('Error getting generation preview:', error);
+        res.status(500).json({
+            message: 'Failed to get generation preview',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sheets/previews/:previewId/commit
+// Body: { testCaseIds?, testCases?, testScenarioIds?, testScenarios?,
+//         testCasesSheetName?, testScenariosSheetName? }
+// Pass an empty array to skip cases or scenarios entirely. After a partial commit (test cases
+// written, scenarios failed) a retry skips the tab that was already written.
+export const commitGenerationPreview = async (req, res) => {
+    let committing = null;
+
+    try {
+        const userId = req.user._id.toString();
+        const preview = await findUserPreview(req);
+
+        if (!preview) {
+            return res.status(404).json({ message: 'Preview not found or expired' });
+        }
+
+        if (preview.status !== 'pending' && preview.status !== 'partial') {
+            return res.status(409).json({
+                message: preview.status === 'committed' ? 'Preview has already been committed' : 'Preview is being committed',
+                commitResult: preview.commitResult
+            });
+        }
+
+        const {
+            testCaseIds,
+            testCases: editedTestCases,
+            testScenarioIds,
+            testScenarios: editedTestScenarios
+        } = req.body;
+
+        // Custom template fields are editable alongside the built-in ones
+        const { columns, idScheme } = await resolveColumnTemplate({
+            userId: req.user._id,
+            templateId: preview.templateId,
+            spreadsheetId: preview.spreadsheetId
+        });
+        const caseFields = [...new Set([...TEST_CASE_FIELDS, ...columns.map(column => column.field)])];
+
+        const rejectedCandidates = preview.rejectedTestCases.map(rejected => rejected.testCase);
+        const caseSelection = selectItems(preview.testCases, rejectedCandidates, testCaseIds, editedTestCases, caseFields, 'test case');
+        const scenarioSelection = selectItems(preview.testScenarios, [], testScenarioIds, editedTestScenarios, TEST_SCENARIO_FIELDS, 'test scenario');
+
+        const errors = [
+            ...caseSelection.errors,
+            ...scenarioSelection.errors,
+            ...validateTestCases(caseSelection.items, columns)
+        ];
+
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid commit selection', errors });
+        }
+
+        if (caseSelection.items.length === 0 && scenarioSelection.items.length === 0) {
+            return res.status(400).json({ message: 'Nothing selected to commit' });
+        }
+
+        // An explicit sheet name in the body wins; null forces a new tab
+        const resolveSheetName = (field) => {
+            const value = req.body[field] !== undefined ? req.body[field] : preview[field];
+            return value?.trim() || null;
+        };
+
+        // Claim the preview so a double-click cannot write the same rows twice
+        const claimed = await GenerationPreview.findOneAndUpdate(
+            { _id: preview._id, status: preview.status },
+            { status: 'committing' }
+        );
+        if (!claimed) {
+            return res.status(409).json({ message: 'Preview is already being committed' });
+        }
+        committing = preview;
+
+        const sheets = await getAuthenticatedSheetsClient(userId);
+        const writeOptions = {
+            sheets,
+            spreadsheetId: preview.spreadsheetId,
+            module: preview.module,
+            timestamp: createGenerationTimestamp()
+        };
+
+        // Tabs a previous, partially failed commit already wrote
+        const written = preview.status === 'partial' ? preview.commitResult || {} : {};
+        const createdSheets = [...(written.createdSheets || [])];
+        committing.commitResult = { createdSheets, testCases: written.testCases };
+        const alreadyWritten = (type) => createdSheets.some(sheet => sheet.type === type);
+
+        let committedTestCases = written.testCases || caseSelection.items;
+
+        if (caseSelection.items.length > 0 && !alreadyWritten('testCases')) {
+            const testCasesSheetName = resolveSheetName('testCasesSheetName');
+            committedTestCases = await assignTestCaseIdsForSheet({
+                ...writeOptions,
+                sheetName: testCasesSheetName,
+                testCases: caseSelection.items,
+                columns,
+                idScheme
+            });
+            const sheetInfo = await writeTestCasesToSheet({
+                ...writeOptions,
+                sheetName: testCasesSheetName,
+                testCases: committedTestCases,
+                columns
+            });
+            createdSheets.push(sheetInfo);
+            committing.commitResult = { createdSheets, testCases: committedTestCases };
+        }
+
+        if (scenarioSelection.items.length > 0 && !alreadyWritten('testScenarios')) {
+            const sheetInfo = await writeTestScenariosToSheet({
+                ...writeOptions,
+                sheetName: resolveSheetName('testScenariosSheetName'),
+                testScenarios: scenarioSelection.items
+            });
+            createdSheets.push(sheetInfo);
+        }
+
+        const message = `Successfully ${createdSheets.map(s => `${s.action} ${s.count} ${s.type === 'testCases' ? 'test cases' : 'test scenarios'} ${s.action === 'appended' ? 'to' : 'in'} "${s.name}"`).join(' and ')}`;
+
+        preview.status = 'committed';
+        preview.committedAt = new Date();
+        preview.commitResult = { createdSheets, message };
+        await preview.save();
+
+        console.log("✅ Preview committed:", preview._id.toString());
+
+        res.json({
+            success: true,
+            previewId: preview._id,
+            testCases: committedTestCases,
+            testScenarios: scenarioSelection.items,
+            createdSheets,
+            message
+        });
+
+    } catch (error) {
+        console.error('❌ Error committing generation preview:', error);
+
+        // Release the claim. Tabs that were already written are recorded so a retry does not
+        // append the same rows again.
+        const createdSheets = committing?.commitResult?.createdSheets || [];
+        if (committing) {
+            const release = createdSheets.length > 0
+                ? { status: 'partial', commitResult: committing.commitResult }
+                : { status: committing.status === 'partial' ? 'partial' : 'pending' };
+            await GenerationPreview.updateOne({ _id: committing._id }, release)
+                .catch(releaseError => console.error('❌ Could not release preview:', releaseError.message));
+        }
+
+        const { statusCode, ...payload } = classifyGenerationError(error);
+        res.status(statusCode).json({
+            success: false,
+            ...payload,
+            ...(createdSheets.length > 0 ? { partial: true, createdSheets } : {})
+        });
+    }
+};
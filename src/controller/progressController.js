@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import GenerationJob from '../models/GenerationJob.js';
+import {
+    progressChannel,
+    subscribeToProgress,
+    hasTerminalEvent,
+    TERMINAL_EVENT_TYPES
+} from '../lib/progressEvents.js';
+
+const KEEPALIVE_INTERVAL_MS = 20000;
+
+// GET /api/sheets/progress/:operationId/events
+// Server-Sent Events stream for /generate (operationId = jobId), /modify and /custom-prompt
+// (operationId sent by the client in the request body). Supports Last-Event-ID resume.
+export const streamProgress = async (req, res) => {
+    const { operationId } = req.params;
+    const userId = req.user._id.toString();
+    const channel = progressChannel(userId, operationId);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let unsubscribe = () => { };
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(keepalive);
+        unsubscribe();
+        res.end();
+    };
+
+    const send = (event) => {
+        if (closed) return;
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (TERMINAL_EVENT_TYPES.includes(event.type)) {
+            close();
+        }
+    };
+
+    req.on('close', close);
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+    unsubscribe = subscribeToProgress(channel, send, lastEventId);
+    // A buffered terminal event is replayed synchronously inside subscribeToProgress, so
+    // close() ran before the live listener's unsubscribe existed
+    if (closed) {
+        unsubscribe();
+        return;
+    }
+
+    // A generation job that finished before anyone subscribed (or on another instance)
+    // has no buffered terminal event; close the stream with its stored outcome instead.
+    if (!hasTerminalEvent(channel) && mongoose.isValidObjectId(operationId)) {
+        try {
+            const job = await GenerationJob.findOne({ _id: operationId, userId });
+            if (job && (job.status === 'completed' || job.status === 'failed')) {
+                send({
+                    id: lastEventId + 1,
+                    type: job.status === 'completed' ? 'done' : 'error',
+                    data: job.status === 'completed'
+                        ? { jobId: job._id, createdSheets: job.result?.createdSheets, previewId: job.result?.previewId, message: job.result?.message }
+                        : { jobId: job._id, ...job.toObject().error },
+                    timestamp: (job.finishedAt || new Date()).toISOString()
+                });
+            }
+        } catch (error) {
+            console.error('Error checking job state for progress stream:', error);
+        }
+    }
+};
@@ -0,0 +1,138 @@
+import { getAuthenticatedSheetsClient } from './oauthController.js';
+import { sendSheetLayoutError, resolveRequestTemplate } from './sheetsController.js';
+import { readTestCaseSheet, writeTestCaseFields } from '../lib/sheetsHelpers.js';
+import { parseTestReport, matchTestResults } from '../lib/testResults.js';
+import { createSheetSnapshot } from '../lib/sheetSnapshots.js';
+import { createRequestProgressReporter } from '../lib/progressEvents.js';
+
+// Options come from the query string, or from a JSON body that wraps the report as `report`
+const readImportRequest = (req) => {
+    const wrapped = req.body && typeof req.body === 'object' && !Array.isArray(req.body) && req.body.report !== undefined;
+    const options = wrapped ? { ...req.query, ...req.body } : req.query;
+    return {
+        spreadsheetId: options.spreadsheetId,
+        sheetName: options.sheetName,
+        format: options.format || undefined,
+        dryRun: options.dryRun === true || options.dryRun === 'true',
+        report: wrapped ? req.body.report : req.body
+    };
+};
+
+// POST /api/sheets/results/import?spreadsheetId&sheetName&format=junit|playwright|cypress&dryRun&templateId
+// Body: the JUnit XML (Content-Type application/xml or text/plain), a Playwright / Cypress JSON
+// report, or { spreadsheetId, sheetName, format, dryRun, report } with the report as a string
+// or object. Tests are matched to rows by the test case ID in their title; Status becomes
+// Pass / Fail / Blocked (skipped) and failure messages go into Actual Result; a passing test
+// clears the Actual Result left by an earlier failure.
+export const importTestResults = async (req, res) => {
+    const reporter = createRequestProgressReporter(req);
+
+    try {
+        const { spreadsheetId, sheetName, format, dryRun, report } = readImportRequest(req);
+        const userId = req.user._id.toString();
+
+        if (!spreadsheetId || !sheetName) {
+            return res.status(400).json({ message: 'Missing required parameters: spreadsheetId and sheetName' });
+        }
+        if (report === undefined || report === null || report === '' || (typeof report === 'object' && Object.keys(report).length === 0)) {
+            return res.status(400).json({ message: 'Request body must contain a JUnit XML, Playwright or Cypress report' });
+        }
+
+        console.log("🧪 Importing test results for user:", userId);
+        reporter.emit('step', { name: 'context_fetch' });
+
+        const parsed = parseTestReport(report, format);
+        if (parsed.results.length === 0) {
+            return res.status(400).json({ message: 'The report contains no test results', format: parsed.format });
+        }
+
+        const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
+        const { mapping, columns, testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+
+        const { updates, unmatched } = matchTestResults(parsed.results, testCases);
+
+        // One cell change per Status / Actual Result that differs from the sheet
+        const changes = updates.flatMap(update => testCases
+            .filter(tc => tc.id === update.id)
+            .flatMap(tc => {
+                const fieldChanges = [{ field: 'status', before: tc.status, after: update.status }];
+                if (update.message) {
+                    fieldChanges.push({ field: 'actualResult', before: tc.actualResult, after: update.message });
+                } else if (update.status === 'Pass' && tc.actualResult) {
+                    // A failure text from an earlier run must not linger next to Pass
+                    fieldChanges.push({ field: 'actualResult', before: tc.actualResult, after: '' });
+                }
+                return fieldChanges
+                    .filter(change => change.before !== change.after)
+                    .map(change => ({ id: tc.id, rowIndex: tc.rowIndex, ...change }));
+            }));
+
+        const summary = { Pass: 0, Fail: 0, Blocked: 0 };
+        updates.forEach(update => summary[update.status]++);
+
+        const result = {
+            success: true,
+            operationId: reporter.operationId,
+            dryRun,
+            format: parsed.format,
+            totalTests: parsed.results.length,
+            matchedTestCases: updates.length,
+            unmatchedCount: unmatched.length,
+            summary,
+            results: updates,
+            changes,
+            unmatched,
+            columns
+        };
+
+        if (dryRun || changes.length === 0) {
+            reporter.emit('done', { matchedTestCases: updates.length, unmatchedCount: unmatched.length, dryRun });
+            return res.json({
+                ...result,
+                message: changes.length === 0
+                    ? `No status changes (${updates.length} test cases matched, ${unmatched.length} tests unmatched)`
+                    : `${changes.length} cells would change (${updates.length} test cases matched, ${unmatched.length} tests unmatched)`
+            });
+        }
+
+        reporter.emit('step', { name: 'write' });
+        const snapshot = await createSheetSnapshot({
+            sheets,
+            userId: req.user._id,
+            spreadsheetId,
+            sheetName,
+            operation: 'import-results',
+            description: `Import ${parsed.format} results (${parsed.results.length} tests)`,
+            reporter
+        });
+
+        const { addedColumns } = await writeTestCaseFields(sheets, spreadsheetId, sheetName, mapping, changes);
+
+        const updatedRows = new Set(changes.map(change => change.rowIndex)).size;
+        console.log(`✅ Imported results into ${updatedRows} rows of "${sheetName}" (${unmatched.length} tests unmatched)`);
+        reporter.emit('rows_written', { sheetName, updated: updatedRows });
+        reporter.emit('done', { matchedTestCases: updates.length, unmatchedCount: unmatched.length });
+
+        res.json({
+            ...result,
+            updatedRows,
+            addedColumns,
+            snapshotId: snapshot._id,
+            message: `Updated ${updatedRows} test cases from ${parsed.results.length} test results`
+        });
+
+    } catch (error) {
+        console.error('Error importing test results:', error);
+        reporter.emit('error', { message: error.message });
+        if (error.statusCode === 400) {
+            return res.status(400).json({ message: error.message, operationId: reporter.operationId });
+        }
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to import test results',
+            error: error.message,
+            operationId: reporter.operationId
+        });
+    }
+};
@@ -1,41 +1,77 @@
 import { google } from 'googleapis';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { getAuthenticatedSheetsClient } from './oauthController.js';
 import {
     analyzePromptIntent,
     applyIntelligentArrangement,
     updateSpreadsheetWithArrangement,
-    createCompactTestCasesContext,
-    createCompactTestScenariosContext,
-    parseTestScenariosJSON,
+    buildArrangedRows,
+    readTestCaseSheet,
+    isGroupHeaderLabel,
+    GROUP_LAYOUTS,
     callGeminiWithRetry,
-    appendTestCasesToExistingSheet,
-    appendTestScenariosToExistingSheet,
-    addTestCasesSheetData,
-    addTestScenariosSheetData,
-    // ADD THESE NEW IMPORTS:
-    updateGenerateTestCasesPrompt,
-    parseGeminiJSONEnhanced
+    callLLMForJson
 } from '../lib/sheetsHelpers.js';
+import { getLLMProvider } from '../lib/llmProviders.js';
+import {
+    pickGenerationInput,
+    validateGenerationInput,
+    classifyGenerationError
+} from '../lib/generationPipeline.js';
+import { enqueueGenerationJob } from '../lib/generationWorker.js';
+import { createRequestProgressReporter } from '../lib/progressEvents.js';
+import {
+    buildModificationDiff,
+    applyModificationDiff,
+    computeSheetFingerprint
+} from '../lib/modificationPlans.js';
+import {
+    ARRANGEMENT_STRATEGIES,
+    ARRANGEMENT_STRATEGY_NAMES,
+    runArrangementStrategy,
+    validateStrategyOptions
+} from '../lib/arrangementStrategies.js';
+import { PRIORITIES, SEVERITIES, columnLetter } from '../lib/testCaseSchema.js';
+import ChangePlan from '../models/ChangePlan.js';
+import { createSheetSnapshot } from '../lib/sheetSnapshots.js';
+import { resolveColumnTemplate } from '../lib/columnTemplates.js';
+import { createIdFormatter, renumberRows } from '../lib/idSchemes.js';
+import { parseTestCaseQuery, queryTestCases } from '../lib/testCaseQuery.js';
+import { computeSuiteMetrics } from '../lib/suiteMetrics.js';
+import { MODIFICATIONS_SCHEMA } from '../lib/llmJson.js';
 import dotenv from "dotenv";
 dotenv.config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-const TEST_CASE_LEVELS = {
-    'Low': { min: 1, max: 5, focus: 'Critical paths only', coverage: 'Happy path + 1-2 critical negatives' },
-    'Medium': { min: 5, max: 15, focus: 'Core functionality + key negatives', coverage: 'Main workflows + input validation + error handling' },
-    'High': { min: 15, max: 25, focus: 'Comprehensive coverage + edge cases', coverage: 'All user paths + boundary testing + integration scenarios' },
-    'Detailed': { min: 25, max: 40, focus: 'Exhaustive testing + all scenarios', coverage: 'All permutations + stress testing + complex workflows' }
+// Errors raised with an explicit status: a tab whose header has no recognisable ID column
+// (422, with its column report) or an unknown column template (404)
+export const sendSheetLayoutError = (res, error) => {
+    if (error.statusCode !== 422 && error.statusCode !== 404) {
+        return false;
+    }
+    res.status(error.statusCode).json({ message: error.message, ...(error.columns ? { columns: error.columns } : {}) });
+    return true;
 };
 
-const TEST_SCENARIO_LEVELS = {
-    'Low': { min: 1, max: 3, focus: 'Happy path workflows', coverage: 'Primary success scenarios' },
-    'Medium': { min: 3, max: 8, focus: 'Core workflows + error paths', coverage: 'Success + failure workflows + recovery paths' },
-    'High': { min: 8, max: 15, focus: 'Complete user journeys', coverage: 'All user types + complex scenarios + integrations' },
-    'Detailed': { min: 15, max: 25, focus: 'All possible workflows + integrations', coverage: 'Every possible path + system integrations + edge workflows' }
+// The model's JSON never passed schema validation (see callLLMForJson); nothing was written
+const sendInvalidModelOutputError = (res, error) => {
+    if (error.code !== 'INVALID_MODEL_OUTPUT') {
+        return false;
+    }
+    res.status(502).json({ message: error.message, errorType: error.code, errors: error.validationErrors });
+    return true;
 };
 
+// Column template for a request: `templateId` from the body or query, else the template
+// attached to the spreadsheet, else the user's default
+export const resolveRequestTemplate = (req, spreadsheetId) => resolveColumnTemplate({
+    userId: req.user._id,
+    templateId: req.body?.templateId || req.query?.templateId,
+    spreadsheetId
+});
+
+// GET /api/sheets/test-cases?spreadsheetId&sheetName&templateId
+// Optional: module, submodule, type, status, environment, priority, severity (comma-separated
+// or repeated), q (search in summary / steps / expected results), sort (e.g. "-priority,id"),
+// page + pageSize or cursor + limit. `facets` holds the value counts for the filter UI.
 export const getTestCases = async (req, res) => {
     try {
         const { spreadsheetId, sheetName } = req.query;
@@ -44,41 +80,31 @@ export const getTestCases = async (req, res) => {
         console.log("📊 Getting test cases for user:", userId);
 
         const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
 
-        // FIXED: Use A:J range for 10 columns
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range: `'${sheetName}'!A:J`,
-        });
+        const query = parseTestCaseQuery(req.query, template.columns);
 
-        const rows = response.data.values;
-        if (!rows || rows.length <= 1) {
-            return res.json({ testCases: [], message: 'No test cases found' });
-        }
-
-        // FIXED: Map to new column structure
-        const testCases = rows.slice(1).map((row, index) => ({
-            rowIndex: index + 2,
-            id: row[0] || '',
-            module: row[1] || '',
-            submodule: row[2] || '',
-            summary: row[3] || '',
-            testSteps: row[4] || '',
-            expectedResults: row[5] || '',
-            actualResult: row[6] || '',
-            testCaseType: row[7] || 'Positive',
-            environment: row[8] || 'Test',
-            status: row[9] || 'Not Tested'
-        })).filter(tc => tc.id);
+        // An empty tab answers with the same shape (zero counts, empty facets)
+        const { columns, testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+        const { testCases: page, matchedCount, facets, pagination } = queryTestCases(testCases, query, template.columns);
 
         res.json({
-            testCases,
+            testCases: page,
             totalCount: testCases.length,
-            sheetName
+            matchedCount,
+            facets,
+            pagination,
+            sheetName,
+            columns,
+            ...(testCases.length === 0 ? { message: 'No test cases found' } : {})
         });
 
     } catch (error) {
         console.error('Error getting test cases:', error);
+        if (error.statusCode === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        if (sendSheetLayoutError(res, error)) return;
         res.status(500).json({
             message: 'Failed to get test cases',
             error: error.message
@@ -94,58 +120,40 @@ export const analyzeTestCases = async (req, res) => {
         console.log("🔍 Analyzing test cases for user:", userId);
 
         const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
 
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range: `'${sheetName}'!A:J`,
-        });
-
-        const rows = response.data.values;
-        if (!rows || rows.length <= 1) {
+        const { rows, columns, testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+        if (rows.length <= 1) {
             return res.json({ analysis: 'No test cases found to analyze' });
         }
 
-        const testCases = rows.slice(1).map((row, index) => ({
-            id: row[0] || '',
-            module: row[1] || '',
-            submodule: row[2] || '',
-            summary: row[3] || '',
-            testSteps: row[4] || '',
-            expectedResults: row[5] || '',
-            actualResult: row[6] || '',
-            testCaseType: row[7] || 'Positive',
-            environment: row[8] || 'Test',
-            status: row[9] || 'Not Tested'
-        })).filter(tc => tc.id);
-
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+        const llm = getLLMProvider(req.user);
         let analysisPrompt = '';
 
         // FIXED: Move the switch statement INSIDE the function
         switch (analysisType) {
             case 'coverage':
                 // Instead of sending full JSON, send summary statistics
-                const moduleStats = {};
-                const typeStats = {};
-                testCases.forEach(tc => {
-                    moduleStats[tc.module] = (moduleStats[tc.module] || 0) + 1;
-                    typeStats[tc.testCaseType] = (typeStats[tc.testCaseType] || 0) + 1;
-                });
+                const coverage = computeSuiteMetrics(testCases);
+                const distribution = (counts) => counts.map(({ value, count }) => `${value}: ${count}`).join(', ');
 
                 analysisPrompt = `
                 Analyze test coverage for ${testCases.length} test cases:
 
-                Module distribution: ${Object.entries(moduleStats).map(([k, v]) => `${k}: ${v}`).join(', ')}
-                Type distribution: ${Object.entries(typeStats).map(([k, v]) => `${k}: ${v}`).join(', ')}
+                Module distribution: ${coverage.byModule.map(row => `${row.module}: ${row.total}`).join(', ')}
+                Type distribution: ${distribution(coverage.byType)}
+                Priority distribution: ${distribution(coverage.byPriority)}
+                Severity distribution: ${distribution(coverage.bySeverity)}
                 
                 Sample test cases (first 5):
-                ${testCases.slice(0, 5).map(tc => `- ${tc.id}: ${tc.summary} (${tc.testCaseType})`).join('\n')}
+                ${testCases.slice(0, 5).map(tc => `- ${tc.id}: ${tc.summary} (${tc.testCaseType}${tc.priority ? `, ${tc.priority}` : ''})`).join('\n')}
 
                 Provide analysis on:
                 1. Coverage gaps in modules/submodules
                 2. Test type balance recommendations
                 3. Missing edge cases
-                4. Improvement suggestions
+                4. Whether high-priority / high-severity areas are covered well enough
+                5. Improvement suggestions
                 `;
                 break;
 
@@ -199,12 +207,15 @@ export const analyzeTestCases = async (req, res) => {
 
             default:
                 // General analysis with minimal data
+                const suiteMetrics = computeSuiteMetrics(testCases);
                 const generalStats = {
                     total: testCases.length,
-                    modules: [...new Set(testCases.map(tc => tc.module))].length,
-                    submodules: [...new Set(testCases.map(tc => tc.submodule))].length,
+                    modules: suiteMetrics.byModule.length,
+                    submodules: suiteMetrics.bySubmodule.length,
                     positive: testCases.filter(tc => tc.testCaseType === 'Positive').length,
-                    negative: testCases.filter(tc => tc.testCaseType === 'Negative').length
+                    negative: testCases.filter(tc => tc.testCaseType === 'Negative').length,
+                    highPriority: testCases.filter(tc => tc.priority === 'P1' || tc.priority === 'P2').length,
+                    critical: testCases.filter(tc => tc.severity === 'Critical').length
                 };
 
                 analysisPrompt = `
@@ -213,29 +224,31 @@ export const analyzeTestCases = async (req, res) => {
                 Statistics:
                 - ${generalStats.modules} modules, ${generalStats.submodules} submodules
                 - ${generalStats.positive} positive, ${generalStats.negative} negative cases
+                - ${generalStats.highPriority} P1/P2 cases, ${generalStats.critical} critical severity
+                - ${suiteMetrics.executed} executed: ${suiteMetrics.passRate}% pass rate, ${suiteMetrics.blockedRate}% blocked, ${suiteMetrics.untestedShare}% not tested
                 
                 Sample cases:
-                ${testCases.slice(0, 8).map(tc => `- ${tc.id}: ${tc.summary} (${tc.testCaseType})`).join('\n')}
+                ${testCases.slice(0, 8).map(tc => `- ${tc.id}: ${tc.summary} (${[tc.testCaseType, tc.priority, tc.severity].filter(Boolean).join(', ')})`).join('\n')}
 
                 Provide comprehensive analysis with actionable recommendations.
                 `;
         }
 
-        console.log("🤖 Calling Gemini AI for analysis...");
-        const result = await model.generateContent(analysisPrompt);
-        const analysisResponse = await result.response;
-        const analysis = analysisResponse.text();
+        console.log("🤖 Calling AI for analysis...");
+        const analysis = await callGeminiWithRetry(llm, analysisPrompt, 3, 2000);
 
         res.json({
             success: true,
             analysis,
             testCaseCount: testCases.length,
             analysisType,
-            sheetName
+            sheetName,
+            columns
         });
 
     } catch (error) {
         console.error('Error analyzing test cases:', error);
+        if (sendSheetLayoutError(res, error)) return;
         res.status(500).json({
             message: 'Failed to analyze test cases',
             error: error.message
@@ -244,150 +257,117 @@ export const analyzeTestCases = async (req, res) => {
 };
 
 export const modifyTestCases = async (req, res) => {
+    const reporter = createRequestProgressReporter(req);
+
     try {
-        const { spreadsheetId, sheetName, modificationPrompt } = req.body;
+        // mode: 'apply' (default) writes immediately, 'plan' stores a reviewable diff
+        const { spreadsheetId, sheetName, modificationPrompt, mode = 'apply' } = req.body;
         const userId = req.user._id.toString();
 
         console.log("✏️ Modifying test cases for user:", userId);
+        reporter.emit('step', { name: 'context_fetch' });
 
         const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
 
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range: `'${sheetName}'!A:J`, // FIXED: Changed from A:I to A:J
-        });
-
-        const rows = response.data.values;
-        if (!rows || rows.length <= 1) {
-            return res.json({ message: 'No test cases found to modify' });
+        const { rows, columns, testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+        if (rows.length <= 1) {
+            reporter.emit('done', { message: 'No test cases found to modify' });
+            return res.json({ message: 'No test cases found to modify', operationId: reporter.operationId });
         }
 
-        // FIXED: Map to correct column structure
-        const testCases = rows.slice(1).map((row, index) => ({
-            rowIndex: index + 2,
-            id: row[0] || '',
-            module: row[1] || '',
-            submodule: row[2] || '',
-            summary: row[3] || '',
-            testSteps: row[4] || '',
-            expectedResults: row[5] || '',
-            actualResult: row[6] || '',
-            testCaseType: row[7] || 'Positive',
-            environment: row[8] || 'Test',
-            status: row[9] || 'Not Tested'
-        })).filter(tc => tc.id);
-
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+        const llm = getLLMProvider(req.user);
 
         // FIXED: Use optimized prompt
         const modificationPromptForAI = `
 Modify test cases based on user request.
 
 Test Cases Summary (${testCases.length} total):
-${testCases.map(tc => `- ${tc.id}: ${tc.summary} (${tc.testCaseType})`).join('\n')}
+${testCases.map(tc => `- ${tc.id}: ${tc.summary} (${[tc.testCaseType, tc.priority, tc.severity].filter(Boolean).join(', ')})`).join('\n')}
 
 User Request: "${modificationPrompt}"
 
 Return JSON with modifications array containing testCaseId, action, changes, and reason.
-Rules: Only include changed fields, be precise with IDs, explain reasons clearly.
+Rules: Only include changed fields (an empty string clears a field), be precise with IDs, explain reasons clearly.
+Changeable fields: ${template.columns.filter(column => column.field !== 'id').map(column => column.field).join(', ')}.
+Priority must be one of ${PRIORITIES.join('|')}; severity one of ${SEVERITIES.join('|')}.
+${template.columns.filter(column => column.custom && column.allowedValues?.length).map(column => `${column.field} must be one of ${column.allowedValues.join('|')}.`).join('\n')}
 
 Return ONLY JSON, no formatting.
 `;
 
         console.log("🤖 Processing modification request with AI...");
-        const result = await model.generateContent(modificationPromptForAI);
-        const aiResponse = await result.response;
-        let modificationPlan = aiResponse.text();
-
-        modificationPlan = modificationPlan.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-        const modifications = JSON.parse(modificationPlan);
+        reporter.emit('step', { name: 'llm_call' });
+        const modifications = await callLLMForJson(llm, modificationPromptForAI, MODIFICATIONS_SCHEMA, { kind: 'modifications', reporter });
 
         console.log("📝 Modification plan:", modifications);
 
-        const updates = [];
-        const addedTestCases = [];
-
-        for (const mod of modifications.modifications) {
-            const testCase = testCases.find(tc => tc.id === mod.testCaseId);
-
-            if (mod.action === 'update' && testCase) {
-                // FIXED: Update to use correct field names
-                const updatedRow = [
-                    testCase.id,
-                    mod.changes.module || testCase.module,
-                    mod.changes.submodule || testCase.submodule,
-                    mod.changes.summary || testCase.summary,
-                    mod.changes.testSteps || testCase.testSteps,
-                    mod.changes.expectedResults || testCase.expectedResults,
-                    mod.changes.actualResult || testCase.actualResult,
-                    mod.changes.testCaseType || testCase.testCaseType,
-                    mod.changes.environment || testCase.environment,
-                    mod.changes.status || testCase.status
-                ];
-
-                updates.push({
-                    range: `'${sheetName}'!A${testCase.rowIndex}:J${testCase.rowIndex}`, // FIXED: Changed to J
-                    values: [updatedRow]
-                });
-
-            } else if (mod.action === 'delete' && testCase) {
-                updates.push({
-                    range: `'${sheetName}'!A${testCase.rowIndex}:J${testCase.rowIndex}`, // FIXED: Changed to J
-                    values: [['', '', '', '', '', '', '', '', '', '']] // FIXED: Added more empty strings
-                });
-
-            } else if (mod.action === 'add') {
-                const newRow = [
-                    mod.testCaseId,
-                    mod.changes.module || '',
-                    mod.changes.submodule || '',
-                    mod.changes.summary || '',
-                    mod.changes.testSteps || '',
-                    mod.changes.expectedResults || '',
-                    mod.changes.actualResult || '',
-                    mod.changes.testCaseType || 'Positive',
-                    mod.changes.environment || 'Test',
-                    mod.changes.status || 'Not Tested'
-                ];
-                addedTestCases.push(newRow);
-            }
-        }
+        const items = buildModificationDiff(modifications.modifications, testCases, template.columns, { idScheme: template.idScheme });
 
-        if (updates.length > 0) {
-            await sheets.spreadsheets.values.batchUpdate({
+        // Review mode: store the diff and let the user approve individual items later
+        if (mode === 'plan') {
+            const plan = await ChangePlan.create({
+                userId: req.user._id,
                 spreadsheetId,
-                requestBody: {
-                    valueInputOption: 'USER_ENTERED',
-                    data: updates
-                }
+                sheetName,
+                modificationPrompt,
+                summary: modifications.summary,
+                items,
+                sheetFingerprint: computeSheetFingerprint(rows),
+                rowCount: rows.length,
+                templateId: template.templateId
             });
-        }
 
-        if (addedTestCases.length > 0) {
-            const lastRow = rows.length + 1;
-            await sheets.spreadsheets.values.update({
-                spreadsheetId,
-                range: `'${sheetName}'!A${lastRow}`,
-                valueInputOption: 'USER_ENTERED',
-                requestBody: {
-                    values: addedTestCases
-                }
+            console.log("📋 Modification plan stored:", plan._id.toString());
+            reporter.emit('done', { planId: plan._id, itemCount: items.length });
+
+            return res.json({
+                success: true,
+                operationId: reporter.operationId,
+                planId: plan._id,
+                items,
+                summary: modifications.summary,
+                columns,
+                expiresAt: plan.expiresAt,
+                message: `Review ${items.length} proposed modifications and apply the ones you approve`
             });
         }
 
+        reporter.emit('step', { name: 'write' });
+
+        const snapshot = await createSheetSnapshot({
+            sheets,
+            userId: req.user._id,
+            spreadsheetId,
+            sheetName,
+            operation: 'modify',
+            description: modificationPrompt,
+            reporter
+        });
+
+        const { updatedCount, addedCount } = await applyModificationDiff(sheets, spreadsheetId, sheetName, items, rows, template.columns);
+
         console.log("✅ Test cases modified successfully");
+        reporter.emit('rows_written', { sheetName, updated: updatedCount, added: addedCount });
+        reporter.emit('done', { updatedCount, addedCount });
 
         res.json({
             success: true,
+            operationId: reporter.operationId,
             modifications: modifications.modifications,
             summary: modifications.summary,
-            updatedCount: updates.length,
-            addedCount: addedTestCases.length,
+            updatedCount,
+            addedCount,
+            snapshotId: snapshot._id,
+            columns,
             message: 'Test cases modified successfully'
         });
 
     } catch (error) {
         console.error('Error modifying test cases:', error);
+        reporter.emit('error', { message: error.message });
+        if (sendSheetLayoutError(res, error)) return;
+        if (sendInvalidModelOutputError(res, error)) return;
         res.status(500).json({
             message: 'Failed to modify test cases',
             error: error.message
@@ -397,498 +377,294 @@ Return ONLY JSON, no formatting.
 
 // NEW: Custom Prompt System for Workflow Arrangement
 export const processCustomPrompt = async (req, res) => {
+    const reporter = createRequestProgressReporter(req);
+
     try {
-        const { spreadsheetId, sheetName, customPrompt } = req.body;
+        // strategy: one of ARRANGEMENT_STRATEGIES (no LLM call) or 'custom'; without it the
+        // customPrompt is mapped onto a strategy by the LLM.
+        // groupLayout: 'none' (default), 'headers' (group header rows) or 'column' (a "Group" column)
+        const {
+            spreadsheetId,
+            sheetName,
+            customPrompt,
+            strategy: requestedStrategy,
+            strategyOptions = {},
+            groupLayout = 'none'
+        } = req.body;
         const userId = req.user._id.toString();
 
+        if (!GROUP_LAYOUTS.includes(groupLayout)) {
+            return res.status(400).json({ message: `groupLayout must be one of: ${GROUP_LAYOUTS.join(', ')}` });
+        }
+
+        if (requestedStrategy && !ARRANGEMENT_STRATEGY_NAMES.includes(requestedStrategy) && requestedStrategy !== 'custom') {
+            return res.status(400).json({ message: `strategy must be one of: ${[...ARRANGEMENT_STRATEGY_NAMES, 'custom'].join(', ')}` });
+        }
+
+        if (requestedStrategy && requestedStrategy !== 'custom') {
+            const optionErrors = validateStrategyOptions(requestedStrategy, strategyOptions);
+            if (optionErrors.length > 0) {
+                return res.status(400).json({ message: 'Invalid strategyOptions', errors: optionErrors });
+            }
+        }
+
+        if ((!requestedStrategy || requestedStrategy === 'custom') && !customPrompt?.trim()) {
+            return res.status(400).json({ message: 'customPrompt is required unless a built-in strategy is selected' });
+        }
+
         console.log("🧠 Processing custom prompt for user:", userId);
-        console.log("📝 Custom prompt:", customPrompt);
+        console.log("📝 Custom prompt:", customPrompt || `(strategy ${requestedStrategy})`);
+        reporter.emit('step', { name: 'context_fetch' });
 
         const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
 
-        // FIXED: Get current test cases with A:J range
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range: `'${sheetName}'!A:J`,
-        });
+        const { rows, mapping, columns, testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+        if (rows.length <= 1) {
+            reporter.emit('done', { message: 'No test cases found to arrange' });
+            return res.json({ message: 'No test cases found to arrange', operationId: reporter.operationId });
+        }
 
-        const rows = response.data.values;
-        if (!rows || rows.length <= 1) {
-            return res.json({ message: 'No test cases found to arrange' });
+        // A new Group column has to stay within the A:Z range the tab is read from
+        if (groupLayout === 'column' && !rows[0].includes('Group') && rows[0].length >= 26) {
+            const message = `"${sheetName}" already uses all columns up to Z; add a "Group" header or use another groupLayout`;
+            reporter.emit('error', { message });
+            return res.status(400).json({ message });
         }
 
-        // FIXED: Map to new column structure
-        const testCases = rows.slice(1).map((row, index) => ({
-            rowIndex: index + 2,
-            id: row[0] || '',
-            module: row[1] || '',
-            submodule: row[2] || '',
-            summary: row[3] || '',
-            testSteps: row[4] || '',
-            expectedResults: row[5] || '',
-            actualResult: row[6] || '',
-            testCaseType: row[7] || 'Positive',
-            environment: row[8] || 'Test',
-            status: row[9] || 'Not Tested'
-        })).filter(tc => tc.id);
-
-        // Rest of the function remains the same...
-        const intentAnalysis = await analyzePromptIntent(customPrompt, testCases);
-        console.log("🎯 Intent analysis:", intentAnalysis);
-
-        const arrangedTestCases = await applyIntelligentArrangement(
-            testCases,
-            customPrompt,
-            intentAnalysis
-        );
+        let intent = { strategy: requestedStrategy, options: strategyOptions, summary: '', source: 'api' };
 
-        const success = await updateSpreadsheetWithArrangement(
-            sheets,
-            spreadsheetId,
-            sheetName,
-            arrangedTestCases,
-            rows[0] // header row
-        );
+        if (!requestedStrategy) {
+            reporter.emit('step', { name: 'llm_call', detail: 'Mapping prompt to a strategy' });
+            intent = await analyzePromptIntent(customPrompt, testCases, getLLMProvider(req.user), reporter);
+            console.log("🎯 Intent analysis:", intent);
+        }
 
-        if (success) {
-            res.json({
-                success: true,
-                originalCount: testCases.length,
-                arrangedCount: arrangedTestCases.length,
-                intent: intentAnalysis.intent,
-                arrangementStrategy: intentAnalysis.strategy,
-                summary: intentAnalysis.summary,
-                changes: intentAnalysis.changes,
-                message: 'Test cases arranged successfully according to your prompt'
-            });
+        let arrangement;
+        if (intent.strategy === 'custom') {
+            reporter.emit('step', { name: 'llm_call', detail: 'Arranging test cases' });
+            arrangement = await applyIntelligentArrangement(testCases, customPrompt, getLLMProvider(req.user), reporter);
         } else {
-            throw new Error('Failed to update spreadsheet');
+            arrangement = runArrangementStrategy(intent.strategy, testCases, { header: rows[0], rows, columns: template.columns }, intent.options);
         }
+        const warnings = arrangement.warnings || [];
 
-    } catch (error) {
-        console.error('Error processing custom prompt:', error);
-        res.status(500).json({
-            message: 'Failed to process custom prompt',
-            error: error.message
-        });
-    }
-};
+        const arranged = buildArrangedRows(rows, arrangement.orderedIds, arrangement.groups, groupLayout, mapping.fields.id);
 
-export const generateTestCasesWithOptions = async (req, res) => {
-    try {
-        const {
-            module,
-            summary,
-            acceptanceCriteria,
+        reporter.emit('step', { name: 'write' });
+
+        const snapshot = await createSheetSnapshot({
+            sheets,
+            userId: req.user._id,
             spreadsheetId,
-            generateTestCases = true,
-            generateTestScenarios = true,
-            testCasesLevel = 'Medium',        // CHANGED: from testCasesCount
-            testScenariosLevel = 'Medium',    // CHANGED: from testScenariosCount
-            testCasesSheetName = null,
-            testScenariosSheetName = null
-        } = req.body;
+            sheetName,
+            operation: 'custom-prompt',
+            description: customPrompt || `strategy: ${intent.strategy}`,
+            reporter
+        });
 
-        const userId = req.user._id.toString();
-        console.log("🔧 Generate with options for user:", userId);
+        await updateSpreadsheetWithArrangement(sheets, spreadsheetId, sheetName, rows, arranged);
 
-        // CHANGED: Log levels instead of counts
-        console.log(`📊 Requested: ${testCasesLevel} level test cases, ${testScenariosLevel} level scenarios`);
+        reporter.emit('rows_written', { sheetName, count: arranged.rows.length - 1 });
+        reporter.emit('done', { strategy: intent.strategy, originalCount: testCases.length, arrangedCount: arrangement.orderedIds.length });
 
-        // Validate input
-        if (!module || !summary || !acceptanceCriteria) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing required fields: module, summary, or acceptanceCriteria'
-            });
-        }
+        res.json({
+            success: true,
+            operationId: reporter.operationId,
+            originalCount: testCases.length,
+            arrangedCount: arrangement.orderedIds.length,
+            orderedIds: arrangement.orderedIds,
+            groups: arrangement.groups,
+            groupLayout,
+            arrangementLogic: arrangement.arrangementLogic || '',
+            snapshotId: snapshot._id,
+            arrangementStrategy: intent.strategy,
+            strategyOptions: intent.options,
+            strategySource: intent.source,
+            summary: intent.summary || ARRANGEMENT_STRATEGIES[intent.strategy]?.description || arrangement.arrangementLogic,
+            warnings,
+            columns,
+            message: 'Test cases arranged successfully according to your prompt'
+        });
+
+    } catch (error) {
+        console.error('Error processing custom prompt:', error);
+        reporter.emit('error', { message: error.message });
+        if (sendSheetLayoutError(res, error)) return;
+        if (sendInvalidModelOutputError(res, error)) return;
 
-        // Check if at least one generation option is selected
-        if (!generateTestCases && !generateTestScenarios) {
+        if (error.statusCode === 400) {
             return res.status(400).json({
-                success: false,
-                message: 'At least one generation option (testCases or testScenarios) must be selected'
+                message: error.message,
+                errors: error.validationErrors
             });
         }
 
-        const sheets = await getAuthenticatedSheetsClient(userId);
-
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-
-        let testCases = [];
-        let testScenarios = [];
-        let createdSheets = [];
-
-        // OPTIMIZED: Use compact context generation
-        let existingTestCasesContext = "";
-        let existingTestScenariosContext = "";
-
-        // OPTIMIZED: Get existing test cases context (lightweight)
-        if (generateTestCases && testCasesSheetName && testCasesSheetName.trim()) {
-            try {
-                const existingResponse = await sheets.spreadsheets.values.get({
-                    spreadsheetId,
-                    range: `'${testCasesSheetName.trim()}'!A:J`,
-                });
-
-                const existingRows = existingResponse.data.values || [];
-                if (existingRows.length > 1) {
-                    // OPTIMIZED: Extract only essential fields
-                    const existingTestCases = existingRows.slice(1).map((row, index) => ({
-                        id: row[0] || '',
-                        module: row[1] || '',
-                        submodule: row[2] || '',
-                        summary: row[3] || '',
-                        testSteps: row[4] || '', // ADD testSteps for enhanced validation
-                        testCaseType: row[7] || 'Positive'
-                    })).filter(tc => tc.id);
-
-                    if (existingTestCases.length > 0) {
-                        existingTestCasesContext = createCompactTestCasesContext(existingTestCases, testCasesSheetName);
-                    }
-                }
-            } catch (error) {
-                console.log("⚠️ Could not fetch existing test cases context:", error.message);
-            }
+        // The arrangement could not be computed (bad AI ordering, missing column); nothing has been written
+        if (error.validationErrors) {
+            return res.status(422).json({
+                message: error.message,
+                errors: error.validationErrors
+            });
         }
 
-        // OPTIMIZED: Get existing test scenarios context (lightweight)
-        if (generateTestScenarios && testScenariosSheetName && testScenariosSheetName.trim()) {
-            try {
-                // Analyze gaps in existing scenarios
-                const existingResponse = await sheets.spreadsheets.values.get({
-                    spreadsheetId,
-                    range: `'${testScenariosSheetName.trim()}'!A:D`,
-                });
-
-                const existingRows = existingResponse.data.values || [];
-                if (existingRows.length > 1) {
-                    const existingTestScenarios = existingRows.slice(1).map((row, index) => ({
-                        condition: row[1] || '',
-                        testScenarios: row[2] || ''
-                    })).filter(ts => ts.testScenarios);
-
-                    if (existingTestScenarios.length > 0) {
-                        console.log(`🔍 Analyzing gaps in ${existingTestScenarios.length} existing scenarios...`);
-
-                        // Analyze what's missing
-                        const gapAnalysis = analyzeScenarioGaps(existingTestScenarios, module, acceptanceCriteria);
-
-                        if (gapAnalysis.hasGaps) {
-                            console.log(`📋 Found gaps: ${gapAnalysis.gapAnalysis}`);
-
-                            // Generate gap-filling scenarios
-                            const gapPrompt = createGapFillingTestScenariosPrompt(
-                                module,
-                                summary,
-                                acceptanceCriteria,
-                                gapAnalysis,
-                                existingTestScenariosContext
-                            );
-
-                            if (gapPrompt) {
-                                console.log("🤖 Generating gap-filling scenarios...");
-                                const gapScenariosText = await callGeminiWithRetry(model, gapPrompt, 3, 2000);
-                                const gapScenarios = parseTestScenariosJSON(gapScenariosText);
-
-                                if (gapScenarios.length > 0) {
-                                    console.log(`✅ Generated ${gapScenarios.length} gap-filling scenarios`);
-
-                                    // Append gap scenarios to the main scenarios
-                                    testScenarios = [...testScenarios, ...gapScenarios];
-
-                                    // Update created sheets info
-                                    const existingSheetInfo = createdSheets.find(s => s.type === 'testScenarios');
-                                    if (existingSheetInfo) {
-                                        existingSheetInfo.count += gapScenarios.length;
-                                        existingSheetInfo.gapsFilled = gapScenarios.length;
-                                    }
-                                }
-                            }
-                        } else {
-                            console.log("✅ No gaps found in existing scenarios - good coverage!");
-                        }
-                    }
-                }
-            } catch (error) {
-                console.log("⚠️ Could not analyze scenario gaps:", error.message);
-            }
-        }
+        res.status(500).json({
+            message: 'Failed to process custom prompt',
+            error: error.message
+        });
+    }
+};
 
+// GET /api/sheets/arrangement-strategies
+export const listArrangementStrategies = async (req, res) => {
+    res.json({
+        strategies: ARRANGEMENT_STRATEGY_NAMES.map(name => ({
+            name,
+            description: ARRANGEMENT_STRATEGIES[name].description,
+            options: ARRANGEMENT_STRATEGIES[name].options
+        })),
+        groupLayouts: GROUP_LAYOUTS
+    });
+};
 
-        // ENHANCED: Generate Test Cases with level-based approach
-        if (generateTestCases) {
-            let nextIdNumber = 1;
-            let existingTestCasesForValidation = [];
+// POST /api/sheets/renumber
+// Body: { spreadsheetId, sheetName, templateId?, module?, dryRun? }
+// Rewrites every test case ID in the tab from the project's ID scheme, in sheet order.
+// With a module code in the scheme each row is numbered under its own module unless
+// `module` is given. The tab is snapshotted first; `dryRun` only reports the changes.
+export const renumberTestCaseIds = async (req, res) => {
+    const reporter = createRequestProgressReporter(req);
 
-            if (existingTestCasesContext) {
-                const lastIdMatch = existingTestCasesContext.match(/Last ID: PC_(\d+)/);
-                if (lastIdMatch) {
-                    nextIdNumber = parseInt(lastIdMatch[1]) + 1;
-                }
+    try {
+        const { spreadsheetId, sheetName, module, dryRun = false } = req.body;
+        const userId = req.user._id.toString();
 
-                // Get existing test cases for validation
-                try {
-                    const existingResponse = await sheets.spreadsheets.values.get({
-                        spreadsheetId,
-                        range: `'${testCasesSheetName.trim()}'!A:J`,
-                    });
-
-                    const existingRows = existingResponse.data.values || [];
-                    if (existingRows.length > 1) {
-                        existingTestCasesForValidation = existingRows.slice(1).map((row, index) => ({
-                            id: row[0] || '',
-                            module: row[1] || '',
-                            submodule: row[2] || '',
-                            summary: row[3] || '',
-                            testSteps: row[4] || '',
-                            expectedResults: row[5] || '',
-                            testCaseType: row[7] || 'Positive'
-                        })).filter(tc => tc.id);
-                    }
-                } catch (error) {
-                    console.log("⚠️ Could not fetch existing test cases for validation:", error.message);
-                }
-            }
+        if (!spreadsheetId || !sheetName) {
+            return res.status(400).json({ message: 'Missing required fields: spreadsheetId and sheetName' });
+        }
 
-            // CHANGED: Use level-based prompt instead of count-based
-            const testCasesPrompt = updateGenerateTestCasesPrompt(
-                module,
-                summary,
-                acceptanceCriteria,
-                testCasesLevel,        // CHANGED: from testCasesCount
-                existingTestCasesContext,
-                nextIdNumber
-            );
-
-            try {
-                console.log(`🤖 Generating ${testCasesLevel} level test cases with enhanced duplicate prevention...`);
-                const testCasesText = await callGeminiWithRetry(model, testCasesPrompt, 3, 2000);
-
-                // ENHANCED: Use enhanced parsing and validation
-                testCases = parseGeminiJSONEnhanced(testCasesText, existingTestCasesForValidation);
-
-                console.log(`📊 Final unique test cases after enhanced validation: ${testCases.length}`);
-
-                if (testCases.length > 0) {
-                    let finalTestCasesSheetName;
-
-                    if (testCasesSheetName && testCasesSheetName.trim()) {
-                        finalTestCasesSheetName = testCasesSheetName.trim();
-                        console.log("📝 Appending test cases to existing sheet:", finalTestCasesSheetName);
-                        await appendTestCasesToExistingSheet(sheets, spreadsheetId, finalTestCasesSheetName, testCases, module);
-                    } else {
-                        finalTestCasesSheetName = `Test Cases - ${module} - ${timestamp}`;
-                        console.log("📝 Creating new test cases sheet:", finalTestCasesSheetName);
-
-                        await sheets.spreadsheets.batchUpdate({
-                            spreadsheetId,
-                            requestBody: {
-                                requests: [{
-                                    addSheet: {
-                                        properties: {
-                                            title: finalTestCasesSheetName,
-                                            gridProperties: {
-                                                rowCount: 100,
-                                                columnCount: 10
-                                            }
-                                        }
-                                    }
-                                }]
-                            }
-                        });
-
-                        await addTestCasesSheetData(sheets, spreadsheetId, finalTestCasesSheetName, testCases, module);
-                    }
-
-                    createdSheets.push({
-                        type: 'testCases',
-                        name: finalTestCasesSheetName,
-                        count: testCases.length,
-                        level: testCasesLevel,        // CHANGED: added level info
-                        action: testCasesSheetName ? 'appended' : 'created'
-                    });
-                }
-            } catch (error) {
-                console.error('❌ Error generating test cases:', error);
-
-                // Handle specific API errors
-                if (error.message.includes('503') || error.message.includes('overloaded')) {
-                    return res.status(503).json({
-                        success: false,
-                        message: 'AI service is currently overloaded. Please try again in a few minutes.',
-                        errorType: 'SERVICE_OVERLOADED',
-                        retryAfter: 60000
-                    });
-                }
+        console.log("🔢 Renumbering test case IDs for user:", userId);
+        reporter.emit('step', { name: 'context_fetch' });
 
-                if (error.message.includes('429') || error.message.includes('rate limit')) {
-                    return res.status(429).json({
-                        success: false,
-                        message: 'Rate limit exceeded. Please wait before making another request.',
-                        errorType: 'RATE_LIMITED',
-                        retryAfter: 30000
-                    });
-                }
+        const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
 
-                throw error;
-            }
+        const { rows, mapping, columns } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+        if (rows.length <= 1) {
+            reporter.emit('done', { message: 'No test cases found to renumber' });
+            return res.json({ message: 'No test cases found to renumber', operationId: reporter.operationId });
         }
 
-        // ENHANCED: Generate Test Scenarios with level-based approach  
-        if (generateTestScenarios) {
-            // CHANGED: Calculate count from level
-            const levelConfig = TEST_SCENARIO_LEVELS[testScenariosLevel] || TEST_SCENARIO_LEVELS['Medium'];
-            const testScenariosCount = Math.round((levelConfig.min + levelConfig.max) / 2);
-
-            // OPTIMIZED: Level-based prompt
-            const testScenariosPrompt = `
-Generate ${testScenariosCount} test scenarios for: ${module}
-SCENARIO LEVEL: ${testScenariosLevel.toUpperCase()} (${levelConfig.focus})
-
-Summary: ${summary}
-Acceptance Criteria: ${acceptanceCriteria}
-${existingTestScenariosContext ? `\nExisting Context:\n${existingTestScenariosContext}` : ''}
-
-LEVEL REQUIREMENTS:
-Coverage: ${levelConfig.coverage}
-
-Requirements:
-- Create different conditions/workflows than existing
-- Cover various user states and system conditions
-- Include valid/invalid inputs, error scenarios
-
-JSON Format:
-[
-  {
-    "id": "TS_1",
-    "module": "${module}",
-    "condition": "Specific condition/state",
-    "testScenarios": "Complete workflow description",
-    "status": "Not Tested"
-  }
-]
-
-Return ONLY JSON array with ${testScenariosCount} scenarios.
-`;
+        const idColumn = mapping.fields.id;
+        const moduleColumn = mapping.fields.module;
+        const renumbered = renumberRows(rows, {
+            idColumn,
+            formatterFor: (rowModule) => createIdFormatter(template.idScheme, 'testCases', module || rowModule),
+            moduleOf: (row) => (moduleColumn !== undefined ? row[moduleColumn] : '') || '',
+            skipRow: (row) => isGroupHeaderLabel(row[idColumn])
+        });
 
-            try {
-                console.log(`🤖 Generating ${testScenariosLevel} level test scenarios...`);
-                const testScenariosText = await callGeminiWithRetry(model, testScenariosPrompt, 3, 2000);
-                testScenarios = parseTestScenariosJSON(testScenariosText);
-
-                if (testScenarios.length > 0) {
-                    let finalTestScenariosSheetName;
-
-                    if (testScenariosSheetName && testScenariosSheetName.trim()) {
-                        finalTestScenariosSheetName = testScenariosSheetName.trim();
-                        console.log("📝 Appending test scenarios to existing sheet:", finalTestScenariosSheetName);
-                        await appendTestScenariosToExistingSheet(sheets, spreadsheetId, finalTestScenariosSheetName, testScenarios, module);
-                    } else {
-                        finalTestScenariosSheetName = `Test Scenarios - ${module} - ${timestamp}`;
-                        console.log("📝 Creating new test scenarios sheet:", finalTestScenariosSheetName);
-
-                        await sheets.spreadsheets.batchUpdate({
-                            spreadsheetId,
-                            requestBody: {
-                                requests: [{
-                                    addSheet: {
-                                        properties: {
-                                            title: finalTestScenariosSheetName,
-                                            gridProperties: {
-                                                rowCount: 50,
-                                                columnCount: 4
-                                            }
-                                        }
-                                    }
-                                }]
-                            }
-                        });
-
-                        await addTestScenariosSheetData(sheets, spreadsheetId, finalTestScenariosSheetName, testScenarios, module);
-                    }
-
-                    createdSheets.push({
-                        type: 'testScenarios',
-                        name: finalTestScenariosSheetName,
-                        count: testScenarios.length,
-                        level: testScenariosLevel,   // CHANGED: added level info
-                        action: testScenariosSheetName ? 'appended' : 'created'
-                    });
-                }
-            } catch (error) {
-                console.error('❌ Error generating test scenarios:', error);
-
-                // Handle specific API errors
-                if (error.message.includes('503') || error.message.includes('overloaded')) {
-                    return res.status(503).json({
-                        success: false,
-                        message: 'AI service is currently overloaded. Please try again in a few minutes.',
-                        errorType: 'SERVICE_OVERLOADED',
-                        retryAfter: 60000
-                    });
-                }
+        const result = {
+            success: true,
+            operationId: reporter.operationId,
+            dryRun: Boolean(dryRun),
+            renumberedCount: renumbered.changes.length,
+            referencesUpdated: renumbered.referencesUpdated,
+            changes: renumbered.changes,
+            columns
+        };
+
+        if (dryRun || renumbered.changedRowIndexes.length === 0) {
+            reporter.emit('done', { renumberedCount: renumbered.changes.length, dryRun: Boolean(dryRun) });
+            return res.json({
+                ...result,
+                message: renumbered.changes.length === 0 ? 'Test case IDs already follow the ID scheme' : `${renumbered.changes.length} test case IDs would change`
+            });
+        }
 
-                if (error.message.includes('429') || error.message.includes('rate limit')) {
-                    return res.status(429).json({
-                        success: false,
-                        message: 'Rate limit exceeded. Please wait before making another request.',
-                        errorType: 'RATE_LIMITED',
-                        retryAfter: 30000
-                    });
-                }
+        reporter.emit('step', { name: 'write' });
+        const snapshot = await createSheetSnapshot({
+            sheets,
+            userId: req.user._id,
+            spreadsheetId,
+            sheetName,
+            operation: 'renumber',
+            description: `Renumber test case IDs (${template.name})`,
+            reporter
+        });
 
-                throw error;
+        // Only the rewritten ID and reference cells are written, RAW and in a single batch, so
+        // the rest of each row (formulas, leading-zero text, dates) is left alone
+        await sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+                valueInputOption: 'RAW',
+                data: renumbered.changedCells.map(cell => ({
+                    range: `'${sheetName}'!${columnLetter(cell.column)}${cell.rowIndex}`,
+                    values: [[cell.value]]
+                }))
             }
-        }
+        });
 
-        console.log("✅ Generation completed successfully");
+        console.log(`✅ Renumbered ${renumbered.changes.length} test case IDs in "${sheetName}"`);
+        reporter.emit('rows_written', { sheetName, updated: renumbered.changedRowIndexes.length });
+        reporter.emit('done', { renumberedCount: renumbered.changes.length });
 
         res.json({
-            success: true,
-            testCases: generateTestCases ? testCases : [],
-            testScenarios: generateTestScenarios ? testScenarios : [],
-            createdSheets,
-            // CHANGED: Updated message to include level info
-            message: `Successfully ${createdSheets.map(s => `${s.action} ${s.count} ${s.level} level ${s.type === 'testCases' ? 'test cases' : 'test scenarios'} ${s.action === 'appended' ? 'to' : 'in'} "${s.name}"`).join(' and ')}`
+            ...result,
+            snapshotId: snapshot._id,
+            message: `Renumbered ${renumbered.changes.length} test case IDs`
         });
 
     } catch (error) {
-        console.error('❌ Error in generateTestCasesWithOptions:', error);
+        console.error('Error renumbering test case IDs:', error);
+        reporter.emit('error', { message: error.message });
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to renumber test case IDs',
+            error: error.message,
+            operationId: reporter.operationId
+        });
+    }
+};
 
-        // Handle different types of errors
-        if (error.message.includes('Authentication')) {
-            return res.status(401).json({
-                success: false,
-                message: 'Authentication failed. Please reconnect your Google Sheets.',
-                errorType: 'AUTH_ERROR'
-            });
-        }
+// Generation runs as a background job (see lib/generationWorker.js); poll
+// GET /api/sheets/jobs/:jobId for progress and /jobs/:jobId/result for the outcome.
+export const generateTestCasesWithOptions = async (req, res) => {
+    try {
+        const userId = req.user._id.toString();
+        const input = pickGenerationInput(req.body);
 
-        if (error.message.includes('Permission')) {
-            return res.status(403).json({
-                success: false,
-                message: 'Permission denied. Please check your Google Sheets permissions.',
-                errorType: 'PERMISSION_ERROR'
-            });
-        }
+        console.log("🔧 Generate with options for user:", userId);
 
-        if (error.message.includes('not found')) {
-            return res.status(404).json({
+        const validationError = validateGenerationInput(input);
+        if (validationError) {
+            return res.status(400).json({
                 success: false,
-                message: 'Spreadsheet or sheet not found. Please check your selection.',
-                errorType: 'NOT_FOUND'
+                message: validationError
             });
         }
 
-        // Generic error response
-        res.status(500).json({
-            success: false,
-            message: 'An unexpected error occurred. Please try again.',
-            errorType: 'INTERNAL_ERROR',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        // Fail fast if Google Sheets is not connected instead of queueing a doomed job
+        await getAuthenticatedSheetsClient(userId);
+
+        const job = await enqueueGenerationJob(userId, input);
+        console.log("📥 Queued generation job:", job._id.toString());
+
+        res.status(202).json({
+            success: true,
+            jobId: job._id,
+            status: job.status,
+            statusUrl: `/api/sheets/jobs/${job._id}`,
+            resultUrl: `/api/sheets/jobs/${job._id}/result`,
+            message: 'Generation job queued'
         });
+
+    } catch (error) {
+        console.error('❌ Error in generateTestCasesWithOptions:', error);
+
+        const { statusCode, ...payload } = classifyGenerationError(error);
+        res.status(statusCode).json({ success: false, ...payload });
     }
 };
 
@@ -915,23 +691,13 @@ export const updateSheetFormatting = async (req, res) => {
 
         const sheetId = sheet.properties.sheetId;
 
-        // Update header row to match image format
-        const newHeaders = [
-            'Test Case ID',
-            'Module',
-            'Submodule',
-            'Summary',
-            'Test Steps',
-            'Expected Results',
-            'Actual Result',
-            'Test Case Type',
-            'Environment',
-            'Status'
-        ];
+        // Update header row to the project's column template
+        const template = await resolveRequestTemplate(req, spreadsheetId);
+        const newHeaders = template.columns.map(column => column.header);
 
         await sheets.spreadsheets.values.update({
             spreadsheetId,
-            range: `'${sheetName}'!A1:J1`,
+            range: `'${sheetName}'!A1:${columnLetter(newHeaders.length - 1)}1`,
             valueInputOption: 'USER_ENTERED',
             requestBody: {
                 values: [newHeaders]
@@ -948,7 +714,7 @@ export const updateSheetFormatting = async (req, res) => {
                         startRowIndex: 0,
                         endRowIndex: 1,
                         startColumnIndex: 0,
-                        endColumnIndex: 10
+                        endColumnIndex: newHeaders.length
                     },
                     cell: {
                         userEnteredFormat: {
@@ -984,11 +750,13 @@ export const updateSheetFormatting = async (req, res) => {
 
         res.json({
             success: true,
+            headers: newHeaders,
             message: 'Sheet formatting updated successfully'
         });
 
     } catch (error) {
         console.error('Error updating sheet formatting:', error);
+        if (sendSheetLayoutError(res, error)) return;
         res.status(500).json({
             message: 'Failed to update sheet formatting',
             error: error.message
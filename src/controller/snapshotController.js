@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import SheetSnapshot from '../models/SheetSnapshot.js';
+import { getAuthenticatedSheetsClient } from './oauthController.js';
+import { restoreSheetSnapshot } from '../lib/sheetSnapshots.js';
+import { createRequestProgressReporter } from '../lib/progressEvents.js';
+
+const toSnapshotSummary = (snapshot) => ({
+    snapshotId: snapshot._id,
+    spreadsheetId: snapshot.spreadsheetId,
+    sheetName: snapshot.sheetName,
+    range: snapshot.range,
+    operation: snapshot.operation,
+    description: snapshot.description,
+    rowCount: snapshot.rowCount,
+    restoredFrom: snapshot.restoredFrom,
+    createdAt: snapshot.createdAt,
+    expiresAt: snapshot.expiresAt
+});
+
+const findUserSnapshot = async (req) => {
+    const { snapshotId } = req.params;
+    if (!mongoose.isValidObjectId(snapshotId)) {
+        return null;
+    }
+    return SheetSnapshot.findOne({ _id: snapshotId, userId: req.user._id });
+};
+
+// GET /api/sheets/snapshots?spreadsheetId=&sheetName=&limit=
+export const listSnapshots = async (req, res) => {
+    try {
+        const { spreadsheetId, sheetName, limit = 20 } = req.query;
+        const query = { userId: req.user._id };
+        if (spreadsheetId) {
+            query.spreadsheetId = spreadsheetId;
+        }
+        if (sheetName) {
+            query.sheetName = sheetName;
+        }
+
+        const snapshots = await SheetSnapshot.find(query)
+            .select('-values')
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(limit, 10) || 20, 100));
+
+        res.json({ snapshots: snapshots.map(toSnapshotSummary) });
+    } catch (error) {
+        console.error('Error listing snapshots:', error);
+        res.status(500).json({
+            message: 'Failed to list snapshots',
+            error: error.message
+        });
+    }
+};
+
+export const getSnapshot = async (req, res) => {
+    try {
+        const snapshot = await findUserSnapshot(req);
+        if (!snapshot) {
+            return res.status(404).json({ message: 'Snapshot not found or expired' });
+        }
+
+        res.json({ ...toSnapshotSummary(snapshot), values: snapshot.values });
+    } catch (error) {
+        console.error('Error getting snapshot:', error);
+        res.status(500).json({
+            message: 'Failed to get snapshot',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sheets/snapshots/:snapshotId/restore
+export const restoreSnapshot = async (req, res) => {
+    const reporter = createRequestProgressReporter(req);
+
+    try {
+        const userId = req.user._id.toString();
+        const snapshot = await findUserSnapshot(req);
+        if (!snapshot) {
+            return res.status(404).json({ message: 'Snapshot not found or expired' });
+        }
+
+        console.log("⏪ Restoring snapshot", snapshot._id.toString(), "for user:", userId);
+        reporter.emit('step', { name: 'write' });
+
+        const sheets = await getAuthenticatedSheetsClient(userId);
+        const { safetySnapshotId, rowCount } = await restoreSheetSnapshot(sheets, snapshot, reporter);
+
+        reporter.emit('done', { snapshotId: snapshot._id, rowCount });
+
+        res.json({
+            success: true,
+            operationId: reporter.operationId,
+            snapshotId: snapshot._id,
+            safetySnapshotId,
+            sheetName: snapshot.sheetName,
+            rowCount,
+            message: `Restored "${snapshot.sheetName}" to the state from ${snapshot.createdAt.toISOString()}`
+        });
+
+    } catch (error) {
+        console.error('Error restoring snapshot:', error);
+        reporter.emit('error', { message: error.message });
+        res.status(500).json({
+            message: 'Failed to restore snapshot',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+import ColumnTemplate from '../models/ColumnTemplate.js';
+import { BUILT_IN_TEMPLATE } from '../lib/columnTemplates.js';
+import { validateTemplateColumns } from '../lib/testCaseSchema.js';
+import { resolveIdScheme, validateIdScheme } from '../lib/idSchemes.js';
+import { validateExportProfiles } from '../lib/tmsExport.js';
+
+const TEMPLATE_FIELDS = ['name', 'description', 'columns', 'idScheme', 'exportProfiles', 'spreadsheetIds', 'isDefault'];
+
+const toTemplateResponse = (template) => ({
+    templateId: template._id,
+    name: template.name,
+    description: template.description,
+    columns: template.columns,
+    idScheme: resolveIdScheme(template.idScheme),
+    exportProfiles: template.exportProfiles,
+    spreadsheetIds: template.spreadsheetIds,
+    isDefault: template.isDefault,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt
+});
+
+const findUserTemplate = async (req) => {
+    const { templateId } = req.params;
+    if (!mongoose.isValidObjectId(templateId)) {
+        return null;
+    }
+    return ColumnTemplate.findOne({ _id: templateId, userId: req.user._id });
+};
+
+// Returns a list of problems with a create/update body
+const validateTemplateBody = (body, { partial = false } = {}) => {
+    const errors = [];
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            errors.push('name is required');
+        }
+    }
+    if (!partial || body.columns !== undefined) {
+        errors.push(...validateTemplateColumns(body.columns));
+    }
+    errors.push(...validateIdScheme(body.idScheme));
+    errors.push(...validateExportProfiles(body.exportProfiles));
+    if (body.spreadsheetIds !== undefined && (!Array.isArray(body.spreadsheetIds) || body.spreadsheetIds.some(id => typeof id !== 'string'))) {
+        errors.push('spreadsheetIds must be an array of spreadsheet IDs');
+    }
+    return errors;
+};
+
+// A spreadsheet belongs to one template and a user has one default; detach the others
+const releaseAssignments = async (template) => {
+    if (template.spreadsheetIds.length > 0) {
+        await ColumnTemplate.updateMany(
+            { userId: template.userId, _id: { $ne: template._id } },
+            { $pull: { spreadsheetIds: { $in: template.spreadsheetIds } } }
+        );
+    }
+    if (template.isDefault) {
+        await ColumnTemplate.updateMany(
+            { userId: template.userId, _id: { $ne: template._id }, isDefault: true },
+            { isDefault: false }
+        );
+    }
+};
+
+// GET /api/sheets/templates
+export const listColumnTemplates = async (req, res) => {
+    try {
+        const templates = await ColumnTemplate.find({ userId: req.user._id }).sort({ name: 1 });
+
+        res.json({
+            templates: templates.map(toTemplateResponse),
+            builtIn: BUILT_IN_TEMPLATE
+        });
+    } catch (error) {
+        console.error('Error listing column templates:', error);
+        res.status(500).json({
+            message: 'Failed to list column templates',
+            error: error.message
+        });
+    }
+};
+
+export const getColumnTemplate = async (req, res) => {
+    try {
+        const template = await findUserTemplate(req);
+        if (!template) {
+            return res.status(404).json({ message: 'Column template not found' });
+        }
+        res.json(toTemplateResponse(template));
+    } catch (error) {
+        console.error('Error getting column template:', error);
+        res.status(500).json({
+            message: 'Failed to get column template',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sheets/templates
+// Body: { name, description?, columns: [{ field, header, type, allowedValues, default, synonyms, description, width }],
+//         idScheme?: { testCasePrefix, scenarioPrefix, separator, padding, includeModuleCode, moduleCode },
+//         exportProfiles?: [{ target, sectionFields, sectionSeparator, priorityMap, typeMap, extraColumns, projectKey }],
+//         spreadsheetIds?, isDefault? }
+export const createColumnTemplate = async (req, res) => {
+    try {
+        const errors = validateTemplateBody(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid column template', errors });
+        }
+
+        const input = {};
+        TEMPLATE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                input[field] = req.body[field];
+            }
+        });
+
+        const template = await ColumnTemplate.create({ ...input, name: input.name.trim(), userId: req.user._id });
+        await releaseAssignments(template);
+
+        console.log(`🧩 Column template "${template.name}" created with ${template.columns.length} columns`);
+        res.status(201).json(toTemplateResponse(template));
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A column template with this name already exists' });
+        }
+        console.error('Error creating column template:', error);
+        res.status(500).json({
+            message: 'Failed to create column template',
+            error: error.message
+        });
+    }
+};
+
+// PUT /api/sheets/templates/:templateId - any subset of the create body
+export const updateColumnTemplate = async (req, res) => {
+    try {
+        const template = await findUserTemplate(req);
+        if (!template) {
+            return res.status(404).json({ message: 'Column template not found' });
+        }
+
+        const errors = validateTemplateBody(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid column template', errors });
+        }
+
+        TEMPLATE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                template[field] = field === 'name' ? req.body.name.trim() : req.body[field];
+            }
+        });
+        await template.save();
+        await releaseAssignments(template);
+
+        res.json(toTemplateResponse(template));
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A column template with this name already exists' });
+        }
+        console.error('Error updating column template:', error);
+        res.status(500).json({
+            message: 'Failed to update column template',
+            error: error.message
+        });
+    }
+};
+
+export const deleteColumnTemplate = async (req, res) => {
+    try {
+        const { templateId } = req.params;
+        const template = mongoose.isValidObjectId(templateId)
+            ? await ColumnTemplate.findOneAndDelete({ _id: templateId, userId: req.user._id })
+            : null;
+
+        if (!template) {
+            return res.status(404).json({ message: 'Column template not found' });
+        }
+
+        res.json({ success: true, templateId: template._id, message: 'Column template deleted' });
+    } catch (error) {
+        console.error('Error deleting column template:', error);
+        res.status(500).json({
+            message: 'Failed to delete column template',
+            error: error.message
+        });
+    }
+};
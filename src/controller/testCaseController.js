@@ -0,0 +1,388 @@
+import { getAuthenticatedSheetsClient } from './oauthController.js';
+import { sendSheetLayoutError, resolveRequestTemplate } from './sheetsController.js';
+import {
+    readTestCaseSheet,
+    appendTestCasesToExistingSheet,
+    addTestCasesSheetData,
+    formatEditedTestCaseRow,
+    isGroupHeaderLabel,
+    writeTestCaseFields
+} from '../lib/sheetsHelpers.js';
+import { parseTestCaseInput, withPriorityAndSeverity } from '../lib/testCaseSchema.js';
+import { createIdFormatter, nextIdNumber } from '../lib/idSchemes.js';
+import { createSheetSnapshot } from '../lib/sheetSnapshots.js';
+import { parseTestCaseFilter, queryTestCases } from '../lib/testCaseQuery.js';
+import { createRequestProgressReporter } from '../lib/progressEvents.js';
+
+// Single test cases of a tab, addressed by test case ID. Writes go through the tab's header
+// mapping and the column template, like the generated rows.
+
+const sheetParams = (req) => ({
+    spreadsheetId: req.body?.spreadsheetId || req.query.spreadsheetId,
+    sheetName: req.body?.sheetName || req.query.sheetName
+});
+
+const missingSheetParams = (res) => res.status(400).json({ message: 'Missing required parameters: spreadsheetId and sheetName' });
+
+const invalidTestCase = (res, errors) => res.status(400).json({ message: 'Invalid test case', errors });
+
+const withoutRowIndex = ({ rowIndex, ...testCase }) => testCase;
+
+// Read the tab and find the rows carrying `testCaseId`
+async function loadTestCase(req, spreadsheetId, sheetName, testCaseId) {
+    const sheets = await getAuthenticatedSheetsClient(req.user._id.toString());
+    const template = await resolveRequestTemplate(req, spreadsheetId);
+    const sheet = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+    return { sheets, template, ...sheet, matches: sheet.testCases.filter(tc => tc.id === testCaseId) };
+}
+
+// 404 when the ID is not on the tab, 409 when several rows share it (renumber first)
+const sendMatchError = (res, matches, testCaseId, sheetName) => {
+    if (matches.length === 0) {
+        res.status(404).json({ message: `Test case ${testCaseId} not found in "${sheetName}"` });
+        return true;
+    }
+    if (matches.length > 1) {
+        res.status(409).json({
+            message: `Test case ID ${testCaseId} is used by ${matches.length} rows in "${sheetName}"; renumber the tab first`,
+            rowIndexes: matches.map(tc => tc.rowIndex)
+        });
+        return true;
+    }
+    return false;
+};
+
+// 400 for IDs that read as group header labels, 409 for IDs another row already has
+const sendIdError = (res, id, testCases, ownRowIndex = null) => {
+    if (isGroupHeaderLabel(id)) {
+        res.status(400).json({ message: `id "${id}" is reserved for group header rows` });
+        return true;
+    }
+    if (testCases.some(tc => tc.id === id && tc.rowIndex !== ownRowIndex)) {
+        res.status(409).json({ message: `Test case ID ${id} already exists` });
+        return true;
+    }
+    return false;
+};
+
+// GET /api/sheets/test-cases/:testCaseId?spreadsheetId&sheetName&templateId
+export const getTestCase = async (req, res) => {
+    try {
+        const { spreadsheetId, sheetName } = sheetParams(req);
+        const { testCaseId } = req.params;
+        if (!spreadsheetId || !sheetName) {
+            return missingSheetParams(res);
+        }
+
+        const { columns, matches } = await loadTestCase(req, spreadsheetId, sheetName, testCaseId);
+        if (sendMatchError(res, matches, testCaseId, sheetName)) return;
+
+        res.json({ testCase: matches[0], sheetName, columns });
+
+    } catch (error) {
+        console.error('Error getting test case:', error);
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to get test case',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sheets/test-cases
+// Body: { spreadsheetId, sheetName, testCase: { id?, module, summary, testSteps, expectedResults, ... }, templateId? }
+// Without an id the next one of the template's ID scheme is used. The row is appended with the
+// same formatting and dropdowns as generated test cases.
+export const createTestCase = async (req, res) => {
+    try {
+        const { spreadsheetId, sheetName } = sheetParams(req);
+        const userId = req.user._id.toString();
+        if (!spreadsheetId || !sheetName) {
+            return missingSheetParams(res);
+        }
+
+        console.log("➕ Creating test case for user:", userId);
+
+        const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
+
+        const { values, errors } = parseTestCaseInput(req.body.testCase, template.columns);
+        if (errors.length > 0) {
+            return invalidTestCase(res, errors);
+        }
+
+        const { rows, testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+
+        let id = values.id;
+        if (id) {
+            if (sendIdError(res, id, testCases)) return;
+        } else {
+            const formatter = createIdFormatter(template.idScheme, 'testCases', values.module);
+            id = formatter.format(nextIdNumber(testCases.map(tc => tc.id), formatter));
+        }
+
+        const testCase = withPriorityAndSeverity({ ...values, id });
+        if (rows.length === 0) {
+            await addTestCasesSheetData(sheets, spreadsheetId, sheetName, [testCase], testCase.module, null, template.columns);
+        } else {
+            await appendTestCasesToExistingSheet(sheets, spreadsheetId, sheetName, [testCase], testCase.module, null, template.columns);
+        }
+
+        const { testCases: updated, columns } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+        const created = updated.filter(tc => tc.id === id).pop();
+
+        console.log(`✅ Test case ${id} created in "${sheetName}"`);
+        res.status(201).json({ testCase: created, sheetName, columns });
+
+    } catch (error) {
+        console.error('Error creating test case:', error);
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to create test case',
+            error: error.message
+        });
+    }
+};
+
+// PUT replaces every field (omitted ones fall back to the column defaults), PATCH changes only
+// the given fields. Body: { spreadsheetId, sheetName, testCase, templateId? }; a different
+// `testCase.id` renames the case.
+const updateTestCase = (partial) => async (req, res) => {
+    try {
+        const { spreadsheetId, sheetName } = sheetParams(req);
+        const { testCaseId } = req.params;
+        const userId = req.user._id.toString();
+        if (!spreadsheetId || !sheetName) {
+            return missingSheetParams(res);
+        }
+
+        console.log(`✏️ ${partial ? 'Patching' : 'Replacing'} test case ${testCaseId} for user:`, userId);
+
+        const { sheets, template, mapping, columns, testCases, matches } = await loadTestCase(req, spreadsheetId, sheetName, testCaseId);
+        if (sendMatchError(res, matches, testCaseId, sheetName)) return;
+
+        const { values, errors } = parseTestCaseInput(req.body.testCase, template.columns, { partial });
+        if (errors.length > 0) {
+            return invalidTestCase(res, errors);
+        }
+
+        const current = matches[0];
+        const updated = partial
+            ? { ...current, ...values }
+            : {
+                ...Object.fromEntries(template.columns.map(column => [column.field, column.default || ''])),
+                ...values,
+                rowIndex: current.rowIndex
+            };
+        updated.id = values.id || testCaseId;
+
+        if (updated.id !== testCaseId && sendIdError(res, updated.id, testCases, current.rowIndex)) return;
+
+        // Only cells whose value changes are written, RAW, so formulas and text in the rest of
+        // the row stay as they are. Fields set on the case that the tab has no column for yet get one.
+        const changes = template.columns
+            .map(column => ({
+                field: column.field,
+                rowIndex: current.rowIndex,
+                before: current[column.field] || '',
+                after: updated[column.field] || column.default || ''
+            }))
+            .filter(change => change.before !== change.after
+                && (mapping.fields[change.field] !== undefined || change.after));
+
+        const { mapping: writeMapping, addedColumns } = await writeTestCaseFields(sheets, spreadsheetId, sheetName, mapping, changes);
+        if (changes.length > 0) {
+            await formatEditedTestCaseRow(sheets, spreadsheetId, sheetName, writeMapping, current.rowIndex);
+        }
+
+        console.log(`✅ Test case ${testCaseId} updated in "${sheetName}"`);
+        res.json({
+            testCase: updated,
+            sheetName,
+            updatedFields: changes.map(change => change.field),
+            addedColumns,
+            columns: addedColumns.length > 0 ? (await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns)).columns : columns
+        });
+
+    } catch (error) {
+        console.error('Error updating test case:', error);
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to update test case',
+            error: error.message
+        });
+    }
+};
+
+export const replaceTestCase = updateTestCase(false);
+export const patchTestCase = updateTestCase(true);
+
+// DELETE /api/sheets/test-cases/:testCaseId?spreadsheetId&sheetName&templateId
+// Removes the row; the tab is snapshotted first so the delete can be restored.
+export const deleteTestCase = async (req, res) => {
+    try {
+        const { spreadsheetId, sheetName } = sheetParams(req);
+        const { testCaseId } = req.params;
+        const userId = req.user._id.toString();
+        if (!spreadsheetId || !sheetName) {
+            return missingSheetParams(res);
+        }
+
+        console.log(`🗑️ Deleting test case ${testCaseId} for user:`, userId);
+
+        const { sheets, matches } = await loadTestCase(req, spreadsheetId, sheetName, testCaseId);
+        if (sendMatchError(res, matches, testCaseId, sheetName)) return;
+
+        const spreadsheetInfo = await sheets.spreadsheets.get({
+            spreadsheetId,
+            fields: 'sheets.properties'
+        });
+        const sheetId = spreadsheetInfo.data.sheets.find(s => s.properties.title === sheetName)?.properties.sheetId;
+
+        const snapshot = await createSheetSnapshot({
+            sheets,
+            userId: req.user._id,
+            spreadsheetId,
+            sheetName,
+            operation: 'delete-test-case',
+            description: `Delete test case ${testCaseId}`
+        });
+
+        await sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+                requests: [{
+                    deleteDimension: {
+                        range: {
+                            sheetId,
+                            dimension: 'ROWS',
+                            startIndex: matches[0].rowIndex - 1,
+                            endIndex: matches[0].rowIndex
+                        }
+                    }
+                }]
+            }
+        });
+
+        console.log(`✅ Test case ${testCaseId} deleted from "${sheetName}"`);
+        res.json({
+            success: true,
+            testCase: withoutRowIndex(matches[0]),
+            snapshotId: snapshot._id,
+            message: `Test case ${testCaseId} deleted`
+        });
+
+    } catch (error) {
+        console.error('Error deleting test case:', error);
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to delete test case',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sheets/test-cases/bulk-update
+// Body: { spreadsheetId, sheetName, filter: { module, submodule, type, status, environment,
+// priority, severity, q }, set: { status: 'Not Tested', ... }, dryRun?, all?, templateId? }
+// Assigns `set` to every case matching `filter` (as in GET /test-cases) in one batched write.
+// With dryRun the cell changes are only previewed. An empty filter needs `all: true`.
+export const bulkUpdateTestCases = async (req, res) => {
+    const reporter = createRequestProgressReporter(req);
+
+    try {
+        const { spreadsheetId, sheetName, filter = {}, set, dryRun = false, all = false } = req.body;
+        const userId = req.user._id.toString();
+        if (!spreadsheetId || !sheetName) {
+            return missingSheetParams(res);
+        }
+
+        const { filters, search } = parseTestCaseFilter(filter);
+        if (Object.keys(filters).length === 0 && !search && all !== true) {
+            return res.status(400).json({ message: 'filter matches every test case; pass all: true to update the whole tab' });
+        }
+
+        console.log("🧮 Bulk updating test cases for user:", userId);
+        reporter.emit('step', { name: 'context_fetch' });
+
+        const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
+
+        const { values, errors } = parseTestCaseInput(set, template.columns, { partial: true });
+        if ('id' in values) {
+            errors.push('id cannot be bulk assigned; use /renumber');
+        }
+        if (errors.length === 0 && Object.keys(values).length === 0) {
+            errors.push('set must assign at least one field');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid field assignments', errors, operationId: reporter.operationId });
+        }
+
+        const { mapping, columns, testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+        const { testCases: matched } = queryTestCases(testCases, { filters, search }, template.columns);
+
+        const changes = matched.flatMap(tc => Object.entries(values)
+            .filter(([field, after]) => (tc[field] || '') !== after)
+            .map(([field, after]) => ({ id: tc.id, rowIndex: tc.rowIndex, field, before: tc[field] || '', after })));
+        const updatedRows = new Set(changes.map(change => change.rowIndex)).size;
+
+        const result = {
+            success: true,
+            operationId: reporter.operationId,
+            dryRun,
+            matchedCount: matched.length,
+            updatedRows,
+            set: values,
+            changes,
+            columns
+        };
+
+        if (dryRun || changes.length === 0) {
+            reporter.emit('done', { matchedCount: matched.length, updatedRows, dryRun });
+            return res.json({
+                ...result,
+                message: changes.length === 0
+                    ? `No changes (${matched.length} test cases matched)`
+                    : `${updatedRows} of ${matched.length} matching test cases would change`
+            });
+        }
+
+        reporter.emit('step', { name: 'write' });
+        const snapshot = await createSheetSnapshot({
+            sheets,
+            userId: req.user._id,
+            spreadsheetId,
+            sheetName,
+            operation: 'bulk-update',
+            description: `Bulk update of ${Object.keys(values).join(', ')} on ${updatedRows} test cases`,
+            reporter
+        });
+
+        const { addedColumns } = await writeTestCaseFields(sheets, spreadsheetId, sheetName, mapping, changes);
+
+        console.log(`✅ Bulk updated ${updatedRows} rows of "${sheetName}"`);
+        reporter.emit('rows_written', { sheetName, updated: updatedRows });
+        reporter.emit('done', { matchedCount: matched.length, updatedRows });
+
+        res.json({
+            ...result,
+            addedColumns,
+            snapshotId: snapshot._id,
+            message: `Updated ${updatedRows} of ${matched.length} matching test cases`
+        });
+
+    } catch (error) {
+        console.error('Error bulk updating test cases:', error);
+        reporter.emit('error', { message: error.message });
+        if (error.statusCode === 400) {
+            return res.status(400).json({ message: error.message, operationId: reporter.operationId });
+        }
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to bulk update test cases',
+            error: error.message,
+            operationId: reporter.operationId
+        });
+    }
+};
@@ -0,0 +1,389 @@
+import mongoose from 'mongoose';
+import TestRun from '../models/TestRun.js';
+import { getAuthenticatedSheetsClient } from './oauthController.js';
+import { sendSheetLayoutError, resolveRequestTemplate } from './sheetsController.js';
+import { readTestCaseSheet, writeTestCaseFields, addTestRunSheetData } from '../lib/sheetsHelpers.js';
+import { STATUSES } from '../lib/testCaseSchema.js';
+import { summarizeTestRun, testRunTabName, testRunTabItems } from '../lib/testRuns.js';
+import { createSheetSnapshot } from '../lib/sheetSnapshots.js';
+import { createRequestProgressReporter } from '../lib/progressEvents.js';
+
+const PROJECTION_TARGETS = ['sheet', 'tab'];
+
+const toRunSummary = (run) => ({
+    runId: run._id,
+    name: run.name,
+    build: run.build,
+    environment: run.environment,
+    spreadsheetId: run.spreadsheetId,
+    sheetName: run.sheetName,
+    status: run.status,
+    testCaseCount: run.results.length,
+    summary: summarizeTestRun(run),
+    projection: run.projection?.target ? run.projection : undefined,
+    createdAt: run.createdAt,
+    completedAt: run.completedAt
+});
+
+const toRunResponse = (run) => ({
+    ...toRunSummary(run),
+    results: run.results
+});
+
+// `runId` may be "latest": the newest run of the spreadsheetId / sheetName in the query or body
+const findUserRun = async (req) => {
+    const { runId } = req.params;
+    if (runId === 'latest') {
+        const spreadsheetId = req.query.spreadsheetId || req.body?.spreadsheetId;
+        const sheetName = req.query.sheetName || req.body?.sheetName;
+        if (!spreadsheetId || !sheetName) {
+            return null;
+        }
+        return TestRun.findOne({ userId: req.user._id, spreadsheetId, sheetName }).sort({ createdAt: -1 });
+    }
+    if (!mongoose.isValidObjectId(runId)) {
+        return null;
+    }
+    return TestRun.findOne({ _id: runId, userId: req.user._id });
+};
+
+const runNotFound = (res) => res.status(404).json({ message: 'Test run not found' });
+
+// GET /api/sheets/runs?spreadsheetId=&sheetName=&status=open|completed&limit=
+export const listTestRuns = async (req, res) => {
+    try {
+        const { spreadsheetId, sheetName, status, limit = 20 } = req.query;
+        const query = { userId: req.user._id };
+        if (spreadsheetId) {
+            query.spreadsheetId = spreadsheetId;
+        }
+        if (sheetName) {
+            query.sheetName = sheetName;
+        }
+        if (status) {
+            query.status = status;
+        }
+
+        const runs = await TestRun.find(query)
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(limit, 10) || 20, 100));
+
+        res.json({ runs: runs.map(toRunSummary) });
+    } catch (error) {
+        console.error('Error listing test runs:', error);
+        res.status(500).json({
+            message: 'Failed to list test runs',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sheets/runs
+// Body: { spreadsheetId, sheetName, name, build?, environment?, testCaseIds?, templateId? }
+// Without testCaseIds the run covers every test case of the tab.
+export const createTestRun = async (req, res) => {
+    try {
+        const { spreadsheetId, sheetName, name, build, environment, testCaseIds } = req.body;
+        const userId = req.user._id.toString();
+
+        if (!spreadsheetId || !sheetName || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ message: 'Missing required fields: spreadsheetId, sheetName and name' });
+        }
+        if (testCaseIds !== undefined && (!Array.isArray(testCaseIds) || testCaseIds.some(id => typeof id !== 'string'))) {
+            return res.status(400).json({ message: 'testCaseIds must be an array of test case IDs' });
+        }
+
+        console.log("🏃 Creating test run for user:", userId);
+
+        const sheets = await getAuthenticatedSheetsClient(userId);
+        const template = await resolveRequestTemplate(req, spreadsheetId);
+        const { testCases } = await readTestCaseSheet(sheets, spreadsheetId, sheetName, template.columns);
+
+        let selected = testCases;
+        if (testCaseIds?.length) {
+            const requestedIds = [...new Set(testCaseIds)];
+            const missingIds = requestedIds.filter(id => !testCases.some(tc => tc.id === id));
+            if (missingIds.length > 0) {
+                return res.status(400).json({ message: `Test cases not found in "${sheetName}"`, missingIds });
+            }
+            selected = requestedIds.map(id => testCases.find(tc => tc.id === id));
+        }
+        // A tab may repeat an ID; the run tracks it once
+        selected = selected.filter((tc, index) => selected.findIndex(other => other.id === tc.id) === index);
+
+        if (selected.length === 0) {
+            return res.status(400).json({ message: `No test cases found in "${sheetName}"` });
+        }
+
+        const run = await TestRun.create({
+            userId: req.user._id,
+            spreadsheetId,
+            sheetName,
+            name: name.trim(),
+            build,
+            environment,
+            results: selected.map(tc => ({ testCaseId: tc.id, module: tc.module, summary: tc.summary }))
+        });
+
+        console.log(`✅ Test run "${run.name}" created with ${run.results.length} test cases`);
+        res.status(201).json(toRunResponse(run));
+
+    } catch (error) {
+        console.error('Error creating test run:', error);
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to create test run',
+            error: error.message
+        });
+    }
+};
+
+export const getTestRun = async (req, res) => {
+    try {
+        const run = await findUserRun(req);
+        if (!run) {
+            return runNotFound(res);
+        }
+        res.json(toRunResponse(run));
+    } catch (error) {
+        console.error('Error getting test run:', error);
+        res.status(500).json({
+            message: 'Failed to get test run',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/sheets/runs/:runId/summary
+export const getTestRunSummary = async (req, res) => {
+    try {
+        const run = await findUserRun(req);
+        if (!run) {
+            return runNotFound(res);
+        }
+        res.json(toRunSummary(run));
+    } catch (error) {
+        console.error('Error getting test run summary:', error);
+        res.status(500).json({
+            message: 'Failed to get test run summary',
+            error: error.message
+        });
+    }
+};
+
+// PUT /api/sheets/runs/:runId/results
+// Body: { results: [{ testCaseId, status, actualResult? }] }. Each result is stamped with the
+// current user as tester and the time it was recorded.
+export const recordTestRunResults = async (req, res) => {
+    try {
+        const { results } = req.body;
+        if (!Array.isArray(results) || results.length === 0) {
+            return res.status(400).json({ message: 'results must be a non-empty array' });
+        }
+
+        const run = await findUserRun(req);
+        if (!run) {
+            return runNotFound(res);
+        }
+        if (run.status === 'completed') {
+            return res.status(409).json({ message: 'Test run is completed; results can no longer change' });
+        }
+
+        const errors = [];
+        results.forEach((result, index) => {
+            if (!run.results.some(existing => existing.testCaseId === result?.testCaseId)) {
+                errors.push(`results[${index}].testCaseId "${result?.testCaseId}" is not part of this run`);
+            }
+            if (!STATUSES.includes(result?.status)) {
+                errors.push(`results[${index}].status must be one of ${STATUSES.join(', ')}`);
+            }
+            if (result?.actualResult !== undefined && typeof result.actualResult !== 'string') {
+                errors.push(`results[${index}].actualResult must be a string`);
+            }
+        });
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid test run results', errors });
+        }
+
+        const executedAt = new Date();
+        results.forEach(({ testCaseId, status, actualResult }) => {
+            const existing = run.results.find(entry => entry.testCaseId === testCaseId);
+            existing.status = status;
+            if (actualResult !== undefined) {
+                existing.actualResult = actualResult;
+            }
+            existing.tester = req.user._id;
+            existing.testerName = req.user.username;
+            existing.executedAt = executedAt;
+        });
+        await run.save();
+
+        console.log(`📝 Recorded ${results.length} results in test run "${run.name}"`);
+        res.json(toRunResponse(run));
+
+    } catch (error) {
+        console.error('Error recording test run results:', error);
+        res.status(500).json({
+            message: 'Failed to record test run results',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sheets/runs/:runId/complete
+export const completeTestRun = async (req, res) => {
+    try {
+        const run = await findUserRun(req);
+        if (!run) {
+            return runNotFound(res);
+        }
+        if (run.status !== 'completed') {
+            run.status = 'completed';
+            run.completedAt = new Date();
+            await run.save();
+        }
+        res.json(toRunSummary(run));
+    } catch (error) {
+        console.error('Error completing test run:', error);
+        res.status(500).json({
+            message: 'Failed to complete test run',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sheets/runs/:runId/project
+// Body: { target: 'sheet' | 'tab', tabName?, dryRun?, templateId? } (runId may be "latest" with
+// spreadsheetId and sheetName). 'sheet' writes the executed results into the source tab's
+// Status and Actual Result columns; 'tab' writes the whole run to a new tab.
+export const projectTestRun = async (req, res) => {
+    const reporter = createRequestProgressReporter(req);
+
+    try {
+        const { target = 'sheet', tabName, dryRun = false } = req.body;
+        const userId = req.user._id.toString();
+
+        if (!PROJECTION_TARGETS.includes(target)) {
+            return res.status(400).json({ message: `target must be one of ${PROJECTION_TARGETS.join(', ')}` });
+        }
+
+        const run = await findUserRun(req);
+        if (!run) {
+            return runNotFound(res);
+        }
+
+        console.log(`📤 Projecting test run "${run.name}" to ${target} for user:`, userId);
+        reporter.emit('step', { name: 'context_fetch' });
+
+        const sheets = await getAuthenticatedSheetsClient(userId);
+
+        if (target === 'tab') {
+            const title = tabName || testRunTabName(run);
+            const items = testRunTabItems(run);
+            if (dryRun) {
+                return res.json({ success: true, dryRun: true, target, sheetName: title, rowCount: items.length, operationId: reporter.operationId });
+            }
+
+            const spreadsheetInfo = await sheets.spreadsheets.get({ spreadsheetId: run.spreadsheetId, fields: 'sheets.properties' });
+            if (spreadsheetInfo.data.sheets.some(sheet => sheet.properties.title === title)) {
+                return res.status(409).json({ message: `A tab named "${title}" already exists; pass another tabName` });
+            }
+
+            reporter.emit('step', { name: 'write' });
+            await addTestRunSheetData(sheets, run.spreadsheetId, title, items);
+            run.projection = { target, sheetName: title, projectedAt: new Date() };
+            await run.save();
+
+            reporter.emit('rows_written', { sheetName: title, added: items.length });
+            reporter.emit('done', { target, sheetName: title });
+            return res.json({ success: true, target, sheetName: title, rowCount: items.length, operationId: reporter.operationId });
+        }
+
+        const template = await resolveRequestTemplate(req, run.spreadsheetId);
+        const { mapping, testCases } = await readTestCaseSheet(sheets, run.spreadsheetId, run.sheetName, template.columns);
+
+        // Only executed results are projected; Not Tested would wipe the tab's current status
+        const executed = run.results.filter(result => result.status !== 'Not Tested');
+        const missingIds = executed.map(result => result.testCaseId).filter(id => !testCases.some(tc => tc.id === id));
+        const changes = executed.flatMap(result => testCases
+            .filter(tc => tc.id === result.testCaseId)
+            .flatMap(tc => [
+                { field: 'status', before: tc.status, after: result.status },
+                ...(result.actualResult ? [{ field: 'actualResult', before: tc.actualResult, after: result.actualResult }] : [])
+            ]
+                .filter(change => change.before !== change.after)
+                .map(change => ({ id: tc.id, rowIndex: tc.rowIndex, ...change }))));
+
+        const result = {
+            success: true,
+            operationId: reporter.operationId,
+            dryRun: Boolean(dryRun),
+            target,
+            sheetName: run.sheetName,
+            changes,
+            missingIds
+        };
+
+        if (dryRun || changes.length === 0) {
+            reporter.emit('done', { target, changes: changes.length, dryRun: Boolean(dryRun) });
+            return res.json({
+                ...result,
+                message: changes.length === 0 ? 'The tab already matches the run' : `${changes.length} cells would change`
+            });
+        }
+
+        reporter.emit('step', { name: 'write' });
+        const snapshot = await createSheetSnapshot({
+            sheets,
+            userId: req.user._id,
+            spreadsheetId: run.spreadsheetId,
+            sheetName: run.sheetName,
+            operation: 'project-run',
+            description: `Project test run "${run.name}"`,
+            reporter
+        });
+
+        const { addedColumns } = await writeTestCaseFields(sheets, run.spreadsheetId, run.sheetName, mapping, changes);
+        run.projection = { target, sheetName: run.sheetName, projectedAt: new Date() };
+        await run.save();
+
+        const updatedRows = new Set(changes.map(change => change.rowIndex)).size;
+        reporter.emit('rows_written', { sheetName: run.sheetName, updated: updatedRows });
+        reporter.emit('done', { target, changes: changes.length });
+
+        res.json({
+            ...result,
+            updatedRows,
+            addedColumns,
+            snapshotId: snapshot._id,
+            message: `Projected test run "${run.name}" into ${updatedRows} rows`
+        });
+
+    } catch (error) {
+        console.error('Error projecting test run:', error);
+        reporter.emit('error', { message: error.message });
+        if (sendSheetLayoutError(res, error)) return;
+        res.status(500).json({
+            message: 'Failed to project test run',
+            error: error.message,
+            operationId: reporter.operationId
+        });
+    }
+};
+
+export const deleteTestRun = async (req, res) => {
+    try {
+        const run = await findUserRun(req);
+        if (!run) {
+            return runNotFound(res);
+        }
+        await run.deleteOne();
+        res.json({ success: true, runId: run._id, message: 'Test run deleted' });
+    } catch (error) {
+        console.error('Error deleting test run:', error);
+        res.status(500).json({
+            message: 'Failed to delete test run',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,366 @@
+import { TEST_CASE_COLUMNS, mapHeaderRow, resolveSheetMapping } from './testCaseSchema.js';
+
+// Deterministic arrangement strategies for POST /api/sheets/custom-prompt.
+// Each strategy returns { orderedIds, groups, warnings } from the original test cases and
+// never calls the LLM; ties always keep the current sheet order.
+
+const TYPE_ORDER = ['Positive', 'Negative'];
+const DEFAULT_STATUS_ORDER = ['Fail', 'Blocked', 'Not Tested', 'Pass'];
+
+// Candidates are template fields (found through the tab's header mapping, so renamed headers
+// and synonyms work) or literal header names for columns no template defines
+const PRIORITY_CANDIDATES = [{ field: 'priority' }, { header: 'risk' }, { field: 'severity' }];
+const DEPENDENCY_CANDIDATES = ['depends on', 'dependencies', 'dependency', 'prerequisites', 'prerequisite', 'preconditions', 'precondition']
+    .map(header => ({ header }));
+
+const PRIORITY_WORDS = {
+    blocker: 0,
+    critical: 1,
+    highest: 1,
+    high: 2,
+    major: 2,
+    medium: 3,
+    normal: 3,
+    minor: 3,
+    low: 4,
+    trivial: 4,
+    lowest: 5
+};
+
+// Rank P1..P4, numeric levels and the usual words; unknown or empty values sort last
+export function rankPriority(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) {
+        return Infinity;
+    }
+    const pMatch = text.match(/^p\s*(\d+)/);
+    if (pMatch) {
+        return parseInt(pMatch[1], 10);
+    }
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return parseFloat(text);
+    }
+    const word = Object.keys(PRIORITY_WORDS).find(candidate => text.startsWith(candidate));
+    return word ? PRIORITY_WORDS[word] : Infinity;
+}
+
+// Find a column by explicit name (a field key, a template header or synonym, or the literal
+// header text), or by the first candidate present on the tab
+const findColumn = (context, explicitName, candidates) => {
+    const columns = context.columns || TEST_CASE_COLUMNS;
+    const mapping = resolveSheetMapping(context.header, columns);
+    const normalized = (context.header || []).map(cell => String(cell || '').trim().toLowerCase());
+    const byField = (field) => mapping.fields[field] ?? -1;
+    const byHeader = (header) => normalized.indexOf(String(header).trim().toLowerCase());
+
+    if (explicitName) {
+        const [field] = Object.keys(mapHeaderRow([explicitName], columns).fields);
+        const index = byField(explicitName) !== -1 ? byField(explicitName) : field ? byField(field) : -1;
+        return index !== -1 ? index : byHeader(explicitName);
+    }
+    for (const candidate of candidates) {
+        const index = candidate.field ? byField(candidate.field) : byHeader(candidate.header);
+        if (index !== -1) {
+            return index;
+        }
+    }
+    return -1;
+};
+
+const cellValue = (context, testCase, columnIndex) => {
+    const row = context.rows?.[testCase.rowIndex - 1] || [];
+    return row[columnIndex] || '';
+};
+
+// One entry per ID; duplicated IDs on the sheet move together with their first occurrence
+const uniqueById = (testCases) => {
+    const seen = new Set();
+    return testCases.filter(tc => {
+        if (seen.has(tc.id)) {
+            return false;
+        }
+        seen.add(tc.id);
+        return true;
+    });
+};
+
+// Stable sort by key, then collect consecutive labels into groups
+const arrangeByKey = (testCases, keyOf, labelOf) => {
+    const ordered = uniqueById(testCases)
+        .map((tc, index) => ({ tc, index, key: keyOf(tc) }))
+        .sort((a, b) => {
+            for (let i = 0; i < a.key.length; i++) {
+                if (a.key[i] < b.key[i]) return -1;
+                if (a.key[i] > b.key[i]) return 1;
+            }
+            return a.index - b.index;
+        })
+        .map(entry => entry.tc);
+
+    const groups = [];
+    ordered.forEach(tc => {
+        const label = labelOf(tc);
+        const last = groups[groups.length - 1];
+        if (last && last.label === label) {
+            last.ids.push(tc.id);
+        } else {
+            groups.push({ label, ids: [tc.id] });
+        }
+    });
+
+    return { orderedIds: ordered.map(tc => tc.id), groups, warnings: [] };
+};
+
+// Modules and submodules keep the order in which they first appear on the sheet
+function arrangeByModule(testCases) {
+    const moduleRank = new Map();
+    const submoduleRank = new Map();
+    testCases.forEach(tc => {
+        if (!moduleRank.has(tc.module)) {
+            moduleRank.set(tc.module, moduleRank.size);
+        }
+        const submoduleKey = `${tc.module}\u0000${tc.submodule}`;
+        if (!submoduleRank.has(submoduleKey)) {
+            submoduleRank.set(submoduleKey, submoduleRank.size);
+        }
+    });
+
+    return arrangeByKey(
+        testCases,
+        tc => [moduleRank.get(tc.module), submoduleRank.get(`${tc.module}\u0000${tc.submodule}`)],
+        tc => [tc.module, tc.submodule].filter(Boolean).join(' / ') || 'No module'
+    );
+}
+
+function arrangePositivesFirst(testCases) {
+    const rank = (type) => {
+        const index = TYPE_ORDER.indexOf(type);
+        return index === -1 ? TYPE_ORDER.length : index;
+    };
+
+    return arrangeByKey(
+        testCases,
+        tc => [rank(tc.testCaseType)],
+        tc => tc.testCaseType || 'Unspecified'
+    );
+}
+
+function arrangeByStatus(testCases, context, options = {}) {
+    const order = Array.isArray(options.order) && options.order.length > 0 ? options.order : DEFAULT_STATUS_ORDER;
+    const rank = (status) => {
+        const index = order.findIndex(candidate => candidate.toLowerCase() === String(status || '').toLowerCase());
+        return index === -1 ? order.length : index;
+    };
+
+    return arrangeByKey(
+        testCases,
+        tc => [rank(tc.status)],
+        tc => tc.status || 'Not Tested'
+    );
+}
+
+function arrangeByPriority(testCases, context, options = {}) {
+    const column = findColumn(context, options.column, PRIORITY_CANDIDATES);
+    if (column === -1) {
+        const error = new Error(options.column
+            ? `Column "${options.column}" not found on the sheet`
+            : 'No Priority, Risk or Severity column found on the sheet');
+        error.validationErrors = [error.message];
+        throw error;
+    }
+
+    // Sorting on Priority breaks ties by Severity when the sheet has both
+    const severityColumn = findColumn(context, null, [{ field: 'severity' }]);
+    const tieBreakColumn = severityColumn !== column ? severityColumn : -1;
+
+    const direction = options.direction === 'desc' ? -1 : 1;
+    const sortKey = (value) => {
+        const rank = rankPriority(value);
+        // Unranked values stay last in either direction
+        return [rank === Infinity ? 1 : 0, rank === Infinity ? 0 : rank * direction];
+    };
+    const arrangement = arrangeByKey(
+        testCases,
+        tc => [
+            ...sortKey(cellValue(context, tc, column)),
+            ...(tieBreakColumn !== -1 ? sortKey(cellValue(context, tc, tieBreakColumn)) : [])
+        ],
+        tc => cellValue(context, tc, column) || 'Unprioritized'
+    );
+
+    const unranked = testCases.filter(tc => rankPriority(cellValue(context, tc, column)) === Infinity);
+    if (unranked.length > 0) {
+        arrangement.warnings.push(`${unranked.length} test cases have no recognizable ${context.header[column]} value and were placed last`);
+    }
+    return arrangement;
+}
+
+// Dependencies come from a "Depends On"-style column when present, otherwise from other
+// test case IDs mentioned in the steps. Kahn's algorithm, picking the earliest row first,
+// then grouped by dependency depth.
+function arrangeByDependency(testCases, context, options = {}) {
+    const unique = uniqueById(testCases);
+    const ids = unique.map(tc => tc.id);
+    const knownIds = new Set(ids);
+    const column = findColumn(context, options.column, DEPENDENCY_CANDIDATES);
+    const warnings = [];
+
+    if (options.column && column === -1) {
+        const error = new Error(`Column "${options.column}" not found on the sheet`);
+        error.validationErrors = [error.message];
+        throw error;
+    }
+
+    const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const idPattern = ids.length > 0
+        ? new RegExp(`(?<![\\w-])(${[...ids].sort((a, b) => b.length - a.length).map(escape).join('|')})(?![\\w-])`, 'g')
+        : null;
+
+    const dependencies = new Map();
+    unique.forEach(tc => {
+        const source = column !== -1 ? cellValue(context, tc, column) : tc.testSteps;
+        const found = idPattern ? String(source || '').match(idPattern) || [] : [];
+        dependencies.set(tc.id, new Set(found.filter(id => id !== tc.id && knownIds.has(id))));
+    });
+
+    const depth = new Map();
+    const remaining = new Set(ids);
+    const orderedIds = [];
+
+    while (remaining.size > 0) {
+        const next = ids.find(id => remaining.has(id) && [...dependencies.get(id)].every(dep => !remaining.has(dep)));
+
+        if (!next) {
+            const cyclic = ids.filter(id => remaining.has(id));
+            warnings.push(`Circular dependencies between ${cyclic.join(', ')}; kept in sheet order`);
+            cyclic.forEach(id => {
+                depth.set(id, null);
+                orderedIds.push(id);
+            });
+            break;
+        }
+
+        const deps = [...dependencies.get(next)];
+        depth.set(next, deps.length === 0 ? 0 : Math.max(...deps.map(dep => (depth.get(dep) ?? 0) + 1)));
+        orderedIds.push(next);
+        remaining.delete(next);
+    }
+
+    if (column === -1 && [...dependencies.values()].every(deps => deps.size === 0)) {
+        warnings.push('No dependencies found (no dependency column and no test case IDs referenced in steps); sheet order kept');
+    }
+
+    // Emit level by level so each group is contiguous; still a valid topological order
+    const levelOf = (id) => depth.get(id) ?? Infinity;
+    const levelled = orderedIds
+        .map((id, index) => ({ id, index }))
+        .sort((a, b) => levelOf(a.id) - levelOf(b.id) || a.index - b.index)
+        .map(entry => entry.id);
+
+    const groups = [];
+    levelled.forEach(id => {
+        const level = depth.get(id);
+        const label = level === null ? 'Circular dependencies' : level === 0 ? 'No dependencies' : `Dependency level ${level}`;
+        const group = groups.find(candidate => candidate.label === label);
+        if (group) {
+            group.ids.push(id);
+        } else {
+            groups.push({ label, ids: [id] });
+        }
+    });
+
+    return { orderedIds: levelled, groups, warnings };
+}
+
+const columnOptionErrors = (column) => (column === undefined || (typeof column === 'string' && column.trim())
+    ? []
+    : ['column must be a header name']);
+
+export const ARRANGEMENT_STRATEGIES = {
+    module: {
+        description: 'Group by module, then submodule, in order of first appearance',
+        options: {},
+        arrange: arrangeByModule
+    },
+    positives_first: {
+        description: 'Positive test cases before negative ones',
+        options: {},
+        arrange: arrangePositivesFirst
+    },
+    status: {
+        description: 'Group by execution status (default order: Fail, Blocked, Not Tested, Pass)',
+        options: { order: 'array of status values' },
+        validateOptions: ({ order }) => (order === undefined || (Array.isArray(order) && order.every(value => typeof value === 'string' && value.trim()))
+            ? []
+            : ['order must be an array of status names']),
+        arrange: arrangeByStatus
+    },
+    priority: {
+        description: 'Sort by a Priority, Risk or Severity column (P1 first, unknown values last)',
+        options: { column: 'header name, defaults to Priority/Risk/Severity', direction: 'asc | desc' },
+        validateOptions: ({ column, direction }) => [
+            ...columnOptionErrors(column),
+            ...(direction === undefined || direction === 'asc' || direction === 'desc' ? [] : ['direction must be "asc" or "desc"'])
+        ],
+        arrange: arrangeByPriority
+    },
+    dependency: {
+        description: 'Prerequisites first, using a "Depends On" column or IDs referenced in the steps',
+        options: { column: 'header name, defaults to Depends On/Prerequisites' },
+        validateOptions: ({ column }) => columnOptionErrors(column),
+        arrange: arrangeByDependency
+    }
+};
+
+export const ARRANGEMENT_STRATEGY_NAMES = Object.keys(ARRANGEMENT_STRATEGIES);
+
+// Keyword mapping used when the LLM cannot classify a free-text prompt
+const STRATEGY_KEYWORDS = [
+    ['dependency', /\b(depend\w*|prerequisite\w*|precondition\w*|execution order|workflow)\b/i],
+    ['priority', /\b(priority|priorit\w+|risk\w*|severity|critical|p[1-4])\b/i],
+    ['status', /\b(status|fail\w*|pass\w*|blocked|not tested|untested)\b/i],
+    ['positives_first', /\b(positive\w*|negative\w*|happy path)\b/i],
+    ['module', /\b(module\w*|submodule\w*|feature\w*|area\w*)\b/i]
+];
+
+export function matchStrategyKeywords(prompt) {
+    const match = STRATEGY_KEYWORDS.find(([, pattern]) => pattern.test(prompt || ''));
+    return match ? match[0] : null;
+}
+
+// Errors for options that do not fit the strategy (they come from the request or the model):
+// a non-object, keys the strategy does not take, or values of the wrong shape
+export function validateStrategyOptions(strategy, options = {}) {
+    const definition = ARRANGEMENT_STRATEGIES[strategy];
+    if (!definition) {
+        return [`Unknown arrangement strategy: ${strategy}`];
+    }
+    if (options === null || options === undefined) {
+        return [];
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        return ['strategyOptions must be an object'];
+    }
+    const unknown = Object.keys(options).filter(key => !(key in definition.options));
+    return [
+        ...unknown.map(key => `Unknown option "${key}" for strategy ${strategy}`),
+        ...(definition.validateOptions?.(options) || [])
+    ];
+}
+
+// `context` is { header, rows, columns } from the sheet (columns = the template columns) so
+// column-based strategies can read extra columns. Invalid options throw a 400-style error.
+export function runArrangementStrategy(strategy, testCases, context, options = {}) {
+    const definition = ARRANGEMENT_STRATEGIES[strategy];
+    if (!definition) {
+        throw new Error(`Unknown arrangement strategy: ${strategy}`);
+    }
+    const optionErrors = validateStrategyOptions(strategy, options);
+    if (optionErrors.length > 0) {
+        const error = new Error(`Invalid options for arrangement strategy ${strategy}`);
+        error.statusCode = 400;
+        error.validationErrors = optionErrors;
+        throw error;
+    }
+    return definition.arrange(testCases, context, options || {});
+}
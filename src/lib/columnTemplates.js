@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import ColumnTemplate from '../models/ColumnTemplate.js';
+import { TEST_CASE_COLUMNS, buildTemplateColumns } from './testCaseSchema.js';
+import { DEFAULT_ID_SCHEME, resolveIdScheme } from './idSchemes.js';
+
+export const BUILT_IN_TEMPLATE = {
+    name: 'Built-in',
+    columns: TEST_CASE_COLUMNS,
+    idScheme: DEFAULT_ID_SCHEME,
+    exportProfiles: []
+};
+
+const templateNotFound = (templateId) => {
+    const error = new Error(`Column template ${templateId} not found`);
+    error.statusCode = 404;
+    return error;
+};
+
+// Pick the columns for a request: an explicit `templateId`, else the template attached to
+// the spreadsheet, else the user's default template, else the built-in columns.
+// Returns { templateId, name, columns, idScheme, exportProfiles } with columns ready for the schema helpers.
+export async function resolveColumnTemplate({ userId, templateId, spreadsheetId }) {
+    let template = null;
+
+    if (templateId) {
+        if (!mongoose.isValidObjectId(templateId)) {
+            throw templateNotFound(templateId);
+        }
+        template = await ColumnTemplate.findOne({ _id: templateId, userId });
+        if (!template) {
+            throw templateNotFound(templateId);
+        }
+    } else {
+        template = (spreadsheetId && await ColumnTemplate.findOne({ userId, spreadsheetIds: spreadsheetId }))
+            || await ColumnTemplate.findOne({ userId, isDefault: true });
+    }
+
+    if (!template) {
+        return { templateId: null, ...BUILT_IN_TEMPLATE };
+    }
+
+    return {
+        templateId: template._id,
+        name: template.name,
+        columns: buildTemplateColumns(template.columns),
+        idScheme: resolveIdScheme(template.idScheme),
+        exportProfiles: (template.exportProfiles || []).map(profile => profile.toObject?.() ?? profile)
+    };
+}
@@ -0,0 +1,640 @@
+import {
+    TEST_CASE_LEVELS,
+    TEST_SCENARIO_LEVELS,
+    planTestCaseChunks,
+    testCaseTargetCount,
+    shouldChunkTestCases,
+    splitByTestType,
+    validateGenerationControls,
+    analyzeScenarioGaps,
+    createGapFillingTestScenariosPrompt,
+    createCompactTestCasesContext,
+    createCompactTestScenariosContext,
+    validateAndCleanTestScenarios,
+    callLLMForJson,
+    appendTestCasesToExistingSheet,
+    appendTestScenariosToExistingSheet,
+    addTestCasesSheetData,
+    addTestScenariosSheetData,
+    updateGenerateTestCasesPrompt,
+    cleanGeneratedTestCases,
+    readTestCaseSheet
+} from './sheetsHelpers.js';
+import { noopReporter } from './progressEvents.js';
+import { resolveColumnTemplate } from './columnTemplates.js';
+import { createIdFormatter, nextIdNumber, assignIds } from './idSchemes.js';
+import { TEST_CASE_COLUMNS } from './testCaseSchema.js';
+import { testCasesSchema, TEST_SCENARIOS_SCHEMA } from './llmJson.js';
+import GenerationPreview from '../models/GenerationPreview.js';
+
+// Ordered steps reported on generation jobs
+export const GENERATION_STEPS = ['context_fetch', 'gap_analysis', 'llm_call', 'write', 'format'];
+
+// Fields accepted from POST /generate; everything else in the body is ignored
+export const GENERATION_INPUT_FIELDS = [
+    'module',
+    'summary',
+    'acceptanceCriteria',
+    'spreadsheetId',
+    'generateTestCases',
+    'generateTestScenarios',
+    'testCasesLevel',
+    'testScenariosLevel',
+    'testCasesSheetName',
+    'testScenariosSheetName',
+    'templateId',
+    'targetCount',
+    'positiveRatio',
+    'categoryMix',
+    'stepsFormat',
+    'dryRun'
+];
+
+const noopTracker = { step: async () => { } };
+
+export function pickGenerationInput(body) {
+    const input = {};
+    GENERATION_INPUT_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            input[field] = body[field];
+        }
+    });
+    return input;
+}
+
+// Returns an error message for invalid input, or null when the request can be queued
+export function validateGenerationInput(input) {
+    const { module, summary, acceptanceCriteria, spreadsheetId, generateTestCases = true, generateTestScenarios = true } = input;
+
+    if (!module || !summary || !acceptanceCriteria) {
+        return 'Missing required fields: module, summary, or acceptanceCriteria';
+    }
+
+    if (!spreadsheetId) {
+        return 'Missing required field: spreadsheetId';
+    }
+
+    if (!generateTestCases && !generateTestScenarios) {
+        return 'At least one generation option (testCases or testScenarios) must be selected';
+    }
+
+    const controlErrors = validateGenerationControls(input);
+    if (controlErrors.length > 0) {
+        return controlErrors.join('; ');
+    }
+
+    return null;
+}
+
+// Map a pipeline error to the HTTP-style payload the frontend already understands.
+// AI overload/rate-limit checks only apply to errors raised while talking to the model.
+export function classifyGenerationError(error, step = null) {
+    const message = error.message || '';
+    const duringLLMCall = step === 'llm_call' || step === 'gap_analysis';
+
+    if (duringLLMCall && (message.includes('503') || message.includes('overloaded'))) {
+        return {
+            statusCode: 503,
+            errorType: 'SERVICE_OVERLOADED',
+            message: 'AI service is currently overloaded. Please try again in a few minutes.',
+            retryAfter: 60000
+        };
+    }
+
+    if (duringLLMCall && (message.includes('429') || message.includes('rate limit'))) {
+        return {
+            statusCode: 429,
+            errorType: 'RATE_LIMITED',
+            message: 'Rate limit exceeded. Please wait before making another request.',
+            retryAfter: 30000
+        };
+    }
+
+    // The model kept returning JSON that failed schema validation; nothing was written
+    if (error.code === 'INVALID_MODEL_OUTPUT') {
+        return {
+            statusCode: 502,
+            errorType: 'INVALID_MODEL_OUTPUT',
+            message,
+            validationErrors: error.validationErrors
+        };
+    }
+
+    // Raised with an explicit status: unknown column template, tab without an ID column
+    if (error.statusCode === 404 || error.statusCode === 422) {
+        return {
+            statusCode: error.statusCode,
+            errorType: error.statusCode === 404 ? 'NOT_FOUND' : 'INVALID_SHEET_LAYOUT',
+            message,
+            ...(error.columns ? { columns: error.columns } : {})
+        };
+    }
+
+    if (message.includes('Authentication') || message.includes('not connected')) {
+        return {
+            statusCode: 401,
+            errorType: 'AUTH_ERROR',
+            message: 'Authentication failed. Please reconnect your Google Sheets.'
+        };
+    }
+
+    if (message.includes('Permission')) {
+        return {
+            statusCode: 403,
+            errorType: 'PERMISSION_ERROR',
+            message: 'Permission denied. Please check your Google Sheets permissions.'
+        };
+    }
+
+    if (message.includes('not found')) {
+        return {
+            statusCode: 404,
+            errorType: 'NOT_FOUND',
+            message: 'Spreadsheet or sheet not found. Please check your selection.'
+        };
+    }
+
+    return {
+        statusCode: 500,
+        errorType: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred. Please try again.',
+        error: process.env.NODE_ENV === 'development' ? message : undefined
+    };
+}
+
+async function createSheetTab(sheets, spreadsheetId, title, rowCount, columnCount) {
+    await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+            requests: [{
+                addSheet: {
+                    properties: {
+                        title,
+                        gridProperties: { rowCount, columnCount }
+                    }
+                }
+            }]
+        }
+    });
+}
+
+function buildTestScenariosPrompt(module, summary, acceptanceCriteria, testScenariosLevel, existingTestScenariosContext, nextId) {
+    const levelConfig = TEST_SCENARIO_LEVELS[testScenariosLevel] || TEST_SCENARIO_LEVELS['Medium'];
+    const testScenariosCount = Math.round((levelConfig.min + levelConfig.max) / 2);
+
+    return `
+Generate ${testScenariosCount} test scenarios for: ${module}
+SCENARIO LEVEL: ${testScenariosLevel.toUpperCase()} (${levelConfig.focus})
+
+Summary: ${summary}
+Acceptance Criteria: ${acceptanceCriteria}
+${existingTestScenariosContext ? `\nExisting Context:\n${existingTestScenariosContext}` : ''}
+
+LEVEL REQUIREMENTS:
+Coverage: ${levelConfig.coverage}
+
+Requirements:
+- Create different conditions/workflows than existing
+- Cover various user states and system conditions
+- Include valid/invalid inputs, error scenarios
+
+JSON Format:
+[
+  {
+    "id": "${nextId}",
+    "module": "${module}",
+    "condition": "Specific condition/state",
+    "testScenarios": "Complete workflow description",
+    "status": "Not Tested"
+  }
+]
+
+Return ONLY JSON array with ${testScenariosCount} scenarios.
+`;
+}
+
+// Renumber test cases from the ID scheme against the IDs currently in `sheetName` (none for
+// a new tab). Used when a preview is committed, since the tab may have grown since.
+export async function assignTestCaseIdsForSheet({ sheets, spreadsheetId, sheetName, testCases, module, columns = TEST_CASE_COLUMNS, idScheme }) {
+    let existingIds = [];
+    if (sheetName) {
+        const existing = await readTestCaseSheet(sheets, spreadsheetId, sheetName, columns);
+        existingIds = existing.testCases.map(tc => tc.id);
+    }
+    return assignIds(testCases, createIdFormatter(idScheme, 'testCases', module), existingIds).items;
+}
+
+// Append to `sheetName` when given, otherwise create a new timestamped tab laid out as the
+// template `columns`. Shared by the generation job and the preview commit endpoint.
+export async function writeTestCasesToSheet({ sheets, spreadsheetId, sheetName, testCases, module, timestamp, columns = TEST_CASE_COLUMNS, tracker = noopTracker, reporter = noopReporter }) {
+    const onFormatting = () => tracker.step('format');
+    let finalSheetName;
+
+    await tracker.step('write', `Writing ${testCases.length} test cases`);
+
+    if (sheetName) {
+        finalSheetName = sheetName;
+        console.log("📝 Appending test cases to existing sheet:", finalSheetName);
+        await appendTestCasesToExistingSheet(sheets, spreadsheetId, finalSheetName, testCases, module, onFormatting, columns);
+    } else {
+        finalSheetName = `Test Cases - ${module} - ${timestamp}`;
+        console.log("📝 Creating new test cases sheet:", finalSheetName);
+        await createSheetTab(sheets, spreadsheetId, finalSheetName, 100, columns.length);
+        await addTestCasesSheetData(sheets, spreadsheetId, finalSheetName, testCases, module, onFormatting, columns);
+    }
+
+    reporter.emit('rows_written', { kind: 'testCases', sheetName: finalSheetName, count: testCases.length });
+
+    return {
+        type: 'testCases',
+        name: finalSheetName,
+        count: testCases.length,
+        action: sheetName ? 'appended' : 'created'
+    };
+}
+
+export async function writeTestScenariosToSheet({ sheets, spreadsheetId, sheetName, testScenarios, module, timestamp, tracker = noopTracker, reporter = noopReporter }) {
+    const onFormatting = () => tracker.step('format');
+    let finalSheetName;
+
+    await tracker.step('write', `Writing ${testScenarios.length} test scenarios`);
+
+    if (sheetName) {
+        finalSheetName = sheetName;
+        console.log("📝 Appending test scenarios to existing sheet:", finalSheetName);
+        await appendTestScenariosToExistingSheet(sheets, spreadsheetId, finalSheetName, testScenarios, module, onFormatting);
+    } else {
+        finalSheetName = `Test Scenarios - ${module} - ${timestamp}`;
+        console.log("📝 Creating new test scenarios sheet:", finalSheetName);
+        await createSheetTab(sheets, spreadsheetId, finalSheetName, 50, 4);
+        await addTestScenariosSheetData(sheets, spreadsheetId, finalSheetName, testScenarios, module, onFormatting);
+    }
+
+    reporter.emit('rows_written', { kind: 'testScenarios', sheetName: finalSheetName, count: testScenarios.length });
+
+    return {
+        type: 'testScenarios',
+        name: finalSheetName,
+        count: testScenarios.length,
+        action: sheetName ? 'appended' : 'created'
+    };
+}
+
+// Extra calls allowed when de-duplication leaves fewer test cases than the level's minimum
+const MAX_TOP_UP_ROUNDS = 2;
+
+// High/Detailed (or a large targetCount): one LLM call per coverage category (planTestCaseChunks),
+// each told which summaries earlier chunks already produced. Returns the raw, unvalidated test
+// cases of all chunks.
+async function generateTestCaseChunks({ llm, level, controls, buildPrompt, schema, tracker, reporter }) {
+    const chunks = planTestCaseChunks(level, controls);
+    const generated = [];
+
+    for (const [index, { category, count }] of chunks.entries()) {
+        await tracker.step('llm_call', `Generating ${level} level test cases: ${category} (${index + 1}/${chunks.length})`);
+        reporter.emit('chunk', { kind: 'testCases', category, index: index + 1, total: chunks.length, requested: count });
+
+        const chunkTestCases = await callLLMForJson(llm, buildPrompt({
+            category,
+            count,
+            index: index + 1,
+            total: chunks.length,
+            typeCounts: splitByTestType(count, controls.positiveRatio),
+            generatedSummaries: generated.map(tc => tc.summary)
+        }), schema, { kind: 'testCases', reporter });
+
+        console.log(`🧩 ${category}: ${chunkTestCases.length} test cases`);
+        generated.push(...chunkTestCases);
+    }
+
+    return generated;
+}
+
+const countTypes = (testCases) => ({
+    positive: testCases.filter(tc => tc.testCaseType === 'Positive').length,
+    negative: testCases.filter(tc => tc.testCaseType === 'Negative').length
+});
+
+// Keep `count` test cases in their original order, staying within the requested type split
+// where possible. Returns [kept, dropped].
+function trimTestCases(testCases, count, desiredTypes) {
+    if (!desiredTypes) {
+        return [testCases.slice(0, count), testCases.slice(count)];
+    }
+
+    const quota = { Positive: desiredTypes.positive, Negative: desiredTypes.negative };
+    const keep = new Set();
+    testCases.forEach(tc => {
+        if (keep.size < count && quota[tc.testCaseType] > 0) {
+            quota[tc.testCaseType]--;
+            keep.add(tc);
+        }
+    });
+    testCases.forEach(tc => {
+        if (keep.size < count) {
+            keep.add(tc);
+        }
+    });
+
+    return [testCases.filter(tc => keep.has(tc)), testCases.filter(tc => !keep.has(tc))];
+}
+
+// Bring the accepted count to the requested targetCount, or within TEST_CASE_LEVELS min/max
+// without one: top up with follow-up calls when de-duplication left too few, and move
+// anything above the maximum to the rejected list.
+async function reconcileTestCaseCount(testCases, { llm, level, controls, buildPrompt, schema, existingTestCases, cleanOptions, tracker, reporter }) {
+    const levelConfig = TEST_CASE_LEVELS[level] || TEST_CASE_LEVELS['Medium'];
+    const min = controls.targetCount || levelConfig.min;
+    const max = controls.targetCount || levelConfig.max;
+    const target = testCaseTargetCount(level, controls);
+    let accepted = testCases;
+
+    for (let round = 1; accepted.length < min && round <= MAX_TOP_UP_ROUNDS; round++) {
+        // With a ratio, ask for exactly the types that are still missing
+        const desiredTypes = splitByTestType(target, controls.positiveRatio);
+        const current = countTypes(accepted);
+        const typeCounts = desiredTypes && {
+            positive: Math.max(desiredTypes.positive - current.positive, 0),
+            negative: Math.max(desiredTypes.negative - current.negative, 0)
+        };
+        const requested = typeCounts ? typeCounts.positive + typeCounts.negative : target - accepted.length;
+
+        await tracker.step('llm_call', `Generating ${requested} more ${level} level test cases`);
+        reporter.emit('top_up', { kind: 'testCases', round, requested, current: accepted.length, min });
+
+        const extraTestCases = await callLLMForJson(llm, buildPrompt({
+            count: requested,
+            typeCounts,
+            generatedSummaries: accepted.map(tc => tc.summary)
+        }), schema, { kind: 'testCases', reporter });
+
+        accepted = [...accepted, ...cleanGeneratedTestCases(extraTestCases, [...existingTestCases, ...accepted], cleanOptions)];
+    }
+
+    if (accepted.length < min) {
+        const expected = controls.targetCount ? `${min} were requested` : `the ${level} level expects at least ${min}`;
+        console.warn(`⚠️ Only ${accepted.length} unique test cases; ${expected}`);
+        reporter.emit('warning', { message: `Only ${accepted.length} unique test cases were generated; ${expected}` });
+    }
+
+    if (accepted.length > max) {
+        const [kept, dropped] = trimTestCases(accepted, max, splitByTestType(max, controls.positiveRatio));
+        dropped.forEach(testCase => {
+            cleanOptions.rejected?.push(controls.targetCount
+                ? { testCase, reason: 'above_target_count', message: `Above the requested count of ${max}` }
+                : { testCase, reason: 'above_level_max', message: `Above the ${level} level maximum of ${max}` });
+        });
+        accepted = kept;
+    }
+
+    return accepted;
+}
+
+export const createGenerationTimestamp = () => new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+
+// Full generate flow: read context, ask the model, then write and format the sheets.
+// All model calls happen before the first write so a failed LLM call never leaves
+// half-written tabs behind. `tracker.step(name, detail)` is called on every step change
+// and fine-grained progress (LLM retries, parse counts, duplicates, rows) goes to `reporter`.
+// With `options.dryRun` nothing is written: the result is stored as a GenerationPreview.
+export async function runGenerationPipeline({ sheets, llm, options, userId = null, jobId = null, tracker = noopTracker, reporter = noopReporter }) {
+    const {
+        module,
+        summary,
+        acceptanceCriteria,
+        spreadsheetId,
+        generateTestCases = true,
+        generateTestScenarios = true,
+        testCasesLevel = 'Medium',
+        testScenariosLevel = 'Medium'
+    } = options;
+
+    // Optional overrides of the level's count and distribution (see planTestCaseChunks) and
+    // stepsFormat: 'gherkin' for Given/When/Then steps
+    const controls = {
+        targetCount: options.targetCount,
+        positiveRatio: options.positiveRatio,
+        categoryMix: options.categoryMix,
+        stepsFormat: options.stepsFormat || 'steps'
+    };
+
+    const testCasesSheetName = options.testCasesSheetName?.trim() || null;
+    const testScenariosSheetName = options.testScenariosSheetName?.trim() || null;
+    const timestamp = createGenerationTimestamp();
+
+    console.log(`📊 Requested: ${testCasesLevel} level test cases, ${testScenariosLevel} level scenarios`);
+
+    let existingTestCases = [];
+    let existingTestScenarios = [];
+    let existingTestCasesContext = "";
+    let existingTestScenariosContext = "";
+
+    await tracker.step('context_fetch');
+
+    // Column template and ID scheme for the prompt, parser and writer; an unknown templateId fails the job
+    const template = await resolveColumnTemplate({ userId, templateId: options.templateId, spreadsheetId });
+    const { columns } = template;
+    const testCaseIds = createIdFormatter(template.idScheme, 'testCases', module);
+    const scenarioIds = createIdFormatter(template.idScheme, 'testScenarios', module);
+    if (template.templateId) {
+        console.log(`🧩 Using column template "${template.name}" (${columns.length} columns)`);
+    }
+
+    if (generateTestCases && testCasesSheetName) {
+        try {
+            ({ testCases: existingTestCases } = await readTestCaseSheet(sheets, spreadsheetId, testCasesSheetName, columns));
+
+            if (existingTestCases.length > 0) {
+                existingTestCasesContext = createCompactTestCasesContext(existingTestCases, testCasesSheetName);
+            }
+        } catch (error) {
+            console.log("⚠️ Could not fetch existing test cases context:", error.message);
+        }
+    }
+
+    if (generateTestScenarios && testScenariosSheetName) {
+        try {
+            const existingResponse = await sheets.spreadsheets.values.get({
+                spreadsheetId,
+                range: `'${testScenariosSheetName}'!A:D`,
+            });
+
+            const existingRows = existingResponse.data.values || [];
+            existingTestScenarios = existingRows.slice(1).map(row => ({
+                condition: row[1] || '',
+                testScenarios: row[2] || ''
+            })).filter(ts => ts.testScenarios);
+
+            if (existingTestScenarios.length > 0) {
+                existingTestScenariosContext = createCompactTestScenariosContext(existingTestScenarios, testScenariosSheetName);
+            }
+        } catch (error) {
+            console.log("⚠️ Could not fetch existing test scenarios context:", error.message);
+        }
+    }
+
+    let gapScenarios = [];
+
+    if (existingTestScenarios.length > 0) {
+        await tracker.step('gap_analysis', `Analyzing gaps in ${existingTestScenarios.length} existing scenarios`);
+        console.log(`🔍 Analyzing gaps in ${existingTestScenarios.length} existing scenarios...`);
+
+        const gapAnalysis = analyzeScenarioGaps(existingTestScenarios, module, acceptanceCriteria);
+
+        if (gapAnalysis.hasGaps) {
+            console.log(`📋 Found gaps: ${gapAnalysis.gapAnalysis}`);
+
+            const gapPrompt = createGapFillingTestScenariosPrompt(
+                module,
+                summary,
+                acceptanceCriteria,
+                gapAnalysis,
+                existingTestScenariosContext,
+                scenarioIds.format(existingTestScenarios.length + 1)
+            );
+
+            if (gapPrompt) {
+                console.log("🤖 Generating gap-filling scenarios...");
+                gapScenarios = validateAndCleanTestScenarios(
+                    await callLLMForJson(llm, gapPrompt, TEST_SCENARIOS_SCHEMA, { kind: 'gapScenarios', reporter })
+                );
+                console.log(`✅ Generated ${gapScenarios.length} gap-filling scenarios`);
+            }
+        } else {
+            console.log("✅ No gaps found in existing scenarios - good coverage!");
+        }
+    }
+
+    let testCases = [];
+    let testScenarios = [];
+    const rejectedTestCases = [];
+
+    if (generateTestCases) {
+        await tracker.step('llm_call', `Generating ${testCasesLevel} level test cases`);
+
+        const existingIds = existingTestCases.map(tc => tc.id);
+        const nextId = testCaseIds.format(nextIdNumber(existingIds, testCaseIds));
+
+        const buildPrompt = (chunk = null) => updateGenerateTestCasesPrompt(
+            module,
+            summary,
+            acceptanceCriteria,
+            testCasesLevel,
+            existingTestCasesContext,
+            nextId,
+            columns,
+            chunk,
+            controls
+        );
+        const schema = testCasesSchema(columns, { stepsFormat: controls.stepsFormat });
+        const cleanOptions = { reporter, rejected: rejectedTestCases, columns };
+
+        let generatedTestCases;
+        if (shouldChunkTestCases(testCasesLevel, controls)) {
+            console.log(`🤖 Generating ${testCaseTargetCount(testCasesLevel, controls)} ${testCasesLevel} level test cases in coverage category chunks...`);
+            generatedTestCases = await generateTestCaseChunks({ llm, level: testCasesLevel, controls, buildPrompt, schema, tracker, reporter });
+        } else {
+            console.log(`🤖 Generating ${testCasesLevel} level test cases with enhanced duplicate prevention...`);
+            generatedTestCases = await callLLMForJson(llm, buildPrompt(), schema, { kind: 'testCases', reporter });
+        }
+
+        // Chunks are merged before de-duplication so overlap between categories is caught too
+        testCases = cleanGeneratedTestCases(generatedTestCases, existingTestCases, cleanOptions);
+        testCases = await reconcileTestCaseCount(testCases, {
+            llm,
+            level: testCasesLevel,
+            controls,
+            buildPrompt,
+            schema,
+            existingTestCases,
+            cleanOptions,
+            tracker,
+            reporter
+        });
+
+        // Whatever IDs the model returned are replaced; rejected cases are numbered after the
+        // accepted ones so a rescued case never collides
+        ({ items: testCases } = assignIds(testCases, testCaseIds, existingIds));
+        const { items: renumberedRejected } = assignIds(
+            rejectedTestCases.map(rejected => rejected.testCase),
+            testCaseIds,
+            [...existingIds, ...testCases.map(tc => tc.id)]
+        );
+        renumberedRejected.forEach((testCase, index) => {
+            rejectedTestCases[index].testCase = testCase;
+        });
+
+        console.log(`📊 Final unique test cases after enhanced validation: ${testCases.length}`);
+    }
+
+    if (generateTestScenarios) {
+        await tracker.step('llm_call', `Generating ${testScenariosLevel} level test scenarios`);
+
+        const testScenariosPrompt = buildTestScenariosPrompt(
+            module,
+            summary,
+            acceptanceCriteria,
+            testScenariosLevel,
+            existingTestScenariosContext,
+            scenarioIds.format(existingTestScenarios.length + 1)
+        );
+
+        console.log(`🤖 Generating ${testScenariosLevel} level test scenarios...`);
+        const parsedScenarios = validateAndCleanTestScenarios(
+            await callLLMForJson(llm, testScenariosPrompt, TEST_SCENARIOS_SCHEMA, { kind: 'testScenarios', reporter })
+        );
+        // Scenario tabs have no ID column, so numbering continues after the existing rows
+        ({ items: testScenarios } = assignIds([...parsedScenarios, ...gapScenarios], scenarioIds, [], existingTestScenarios.length + 1));
+    }
+
+    if (options.dryRun) {
+        const preview = await GenerationPreview.create({
+            userId,
+            jobId,
+            spreadsheetId,
+            module,
+            testCasesSheetName,
+            testScenariosSheetName,
+            testCasesLevel,
+            testScenariosLevel,
+            templateId: template.templateId,
+            testCases,
+            testScenarios,
+            rejectedTestCases
+        });
+
+        console.log(`👀 Dry run: stored preview ${preview._id} without touching Sheets`);
+
+        return {
+            dryRun: true,
+            previewId: preview._id,
+            testCases,
+            testScenarios,
+            rejectedTestCases,
+            createdSheets: [],
+            message: `Preview ready: ${testCases.length} test cases and ${testScenarios.length} test scenarios (${rejectedTestCases.length} test cases rejected)`
+        };
+    }
+
+    const createdSheets = [];
+    const writeOptions = { sheets, spreadsheetId, module, timestamp, tracker, reporter };
+
+    if (testCases.length > 0) {
+        const sheetInfo = await writeTestCasesToSheet({ ...writeOptions, sheetName: testCasesSheetName, testCases, columns });
+        createdSheets.push({ ...sheetInfo, level: testCasesLevel });
+    }
+
+    if (testScenarios.length > 0) {
+        const sheetInfo = await writeTestScenariosToSheet({ ...writeOptions, sheetName: testScenariosSheetName, testScenarios });
+        createdSheets.push({ ...sheetInfo, level: testScenariosLevel, gapsFilled: gapScenarios.length });
+    }
+
+    console.log("✅ Generation completed successfully");
+
+    return {
+        testCases: generateTestCases ? testCases : [],
+        testScenarios: generateTestScenarios ? testScenarios : [],
+        createdSheets,
+        message: `Successfully ${createdSheets.map(s => `${s.action} ${s.count} ${s.level} level ${s.type === 'testCases' ? 'test cases' : 'test scenarios'} ${s.action === 'appended' ? 'to' : 'in'} "${s.name}"`).join(' and ')}`
+    };
+}
@@ -0,0 +1,257 @@
+import GenerationJob from '../models/GenerationJob.js';
+import User from '../models/User.js';
+import { getAuthenticatedSheetsClient } from '../controller/oauthController.js';
+import { getLLMProvider } from './llmProviders.js';
+import { createProgressReporter, progressChannel } from './progressEvents.js';
+import {
+    GENERATION_STEPS,
+    runGenerationPipeline,
+    classifyGenerationError
+} from './generationPipeline.js';
+
+const POLL_INTERVAL_MS = 2000;
+const HEARTBEAT_INTERVAL_MS = 15000;
+const RECOVERY_INTERVAL_MS = 60000;
+const STALE_JOB_MS = 2 * 60 * 1000;
+
+const concurrency = parseInt(process.env.GENERATION_WORKER_CONCURRENCY, 10) || 1;
+
+let activeJobs = 0;
+let claiming = false;
+let pollTimer = null;
+let recoveryTimer = null;
+
+// Persists step transitions on the job document. Only one step is "running" at a time;
+// steps can be re-entered (e.g. write -> format -> write for cases then scenarios).
+// Step changes and the final outcome are mirrored on the job's SSE progress channel.
+function createJobTracker(job, reporter) {
+    return {
+        async step(name, detail) {
+            const now = new Date();
+
+            job.steps.forEach(step => {
+                if (step.status === 'running' && step.name !== name) {
+                    step.status = 'completed';
+                    step.completedAt = now;
+                }
+            });
+
+            const step = job.steps.find(s => s.name === name);
+            if (step.status !== 'running') {
+                step.status = 'running';
+                step.startedAt = step.startedAt || now;
+                step.completedAt = undefined;
+            }
+            if (detail) {
+                step.detail = detail;
+            }
+
+            job.currentStep = name;
+            job.heartbeatAt = now;
+            await job.save();
+            reporter.emit('step', { name, detail: step.detail || null });
+        },
+
+        async complete(result) {
+            const now = new Date();
+
+            job.steps.forEach(step => {
+                if (step.status === 'running') {
+                    step.status = 'completed';
+                    step.completedAt = now;
+                } else if (step.status === 'pending') {
+                    step.status = 'skipped';
+                }
+            });
+
+            job.status = 'completed';
+            job.result = result;
+            job.currentStep = undefined;
+            job.finishedAt = now;
+            await job.save();
+            reporter.emit('done', {
+                jobId: job._id,
+                createdSheets: result.createdSheets,
+                previewId: result.previewId,
+                message: result.message
+            });
+        },
+
+        async fail(error) {
+            const now = new Date();
+            const failedStep = job.currentStep || null;
+
+            job.steps.forEach(step => {
+                if (step.status === 'running') {
+                    step.status = 'failed';
+                    step.completedAt = now;
+                }
+            });
+
+            job.status = 'failed';
+            const jobError = { ...classifyGenerationError(error, failedStep), step: failedStep };
+            job.error = jobError;
+            job.finishedAt = now;
+            await job.save();
+            reporter.emit('error', { jobId: job._id, ...jobError });
+        }
+    };
+}
+
+async function runJob(job) {
+    const reporter = createProgressReporter(progressChannel(job.userId.toString(), job._id.toString()), job._id.toString());
+    const tracker = createJobTracker(job, reporter);
+    const heartbeat = setInterval(() => {
+        GenerationJob.updateOne({ _id: job._id }, { heartbeatAt: new Date() })
+            .catch(error => console.warn('⚠️ Failed to refresh job heartbeat:', error.message));
+    }, HEARTBEAT_INTERVAL_MS);
+
+    console.log(`🏗️ Starting generation job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+        const user = await User.findById(job.userId).select('-password');
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const sheets = await getAuthenticatedSheetsClient(job.userId.toString());
+        const result = await runGenerationPipeline({
+            sheets,
+            llm: getLLMProvider(user),
+            options: job.input,
+            userId: job.userId,
+            jobId: job._id,
+            tracker,
+            reporter
+        });
+
+        await tracker.complete(result);
+        console.log(`✅ Generation job ${job._id} completed`);
+    } catch (error) {
+        console.error(`❌ Generation job ${job._id} failed:`, error);
+        try {
+            await tracker.fail(error);
+        } catch (saveError) {
+            console.error('❌ Could not record job failure:', saveError);
+        }
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+// Claim queued jobs atomically so several server instances can share one queue
+async function processQueue() {
+    if (claiming) return;
+    claiming = true;
+
+    try {
+        while (activeJobs < concurrency) {
+            const now = new Date();
+            const job = await GenerationJob.findOneAndUpdate(
+                { status: 'queued' },
+                {
+                    $set: { status: 'running', startedAt: now, heartbeatAt: now },
+                    $inc: { attempts: 1 }
+                },
+                { sort: { createdAt: 1 }, new: true }
+            );
+
+            if (!job) break;
+
+            activeJobs++;
+            runJob(job).finally(() => {
+                activeJobs--;
+                setImmediate(processQueue);
+            });
+        }
+    } catch (error) {
+        console.error('❌ Error polling generation queue:', error.message);
+    } finally {
+        claiming = false;
+    }
+}
+
+// Jobs whose worker stopped heart-beating were interrupted by a restart or crash.
+// Jobs that never reached the write step had no side effects and are re-queued;
+// once rows may have been written, re-running could duplicate them, so they fail.
+export async function recoverInterruptedJobs() {
+    const staleBefore = new Date(Date.now() - STALE_JOB_MS);
+    const staleJobs = await GenerationJob.find({
+        status: 'running',
+        heartbeatAt: { $lt: staleBefore }
+    });
+
+    for (const job of staleJobs) {
+        const writeStep = job.steps.find(step => step.name === 'write');
+        const writeStarted = writeStep && writeStep.status !== 'pending';
+        const now = new Date();
+
+        if (!writeStarted && job.attempts < job.maxAttempts) {
+            console.log(`♻️ Re-queueing interrupted generation job ${job._id}`);
+            job.status = 'queued';
+            job.currentStep = undefined;
+            job.steps = GENERATION_STEPS.map(name => ({ name }));
+        } else {
+            console.log(`💥 Marking interrupted generation job ${job._id} as failed`);
+            job.status = 'failed';
+            job.finishedAt = now;
+            job.error = {
+                statusCode: 500,
+                errorType: 'INTERRUPTED',
+                message: writeStarted
+                    ? 'The server restarted while writing to the spreadsheet. Some rows may already have been written; please review the sheet before retrying.'
+                    : 'The job was interrupted too many times and has been abandoned.',
+                step: job.currentStep
+            };
+            job.steps.forEach(step => {
+                if (step.status === 'running') {
+                    step.status = 'failed';
+                    step.completedAt = now;
+                }
+            });
+        }
+
+        await job.save();
+    }
+
+    return staleJobs.length;
+}
+
+export async function enqueueGenerationJob(userId, input) {
+    const job = await GenerationJob.create({
+        userId,
+        input,
+        steps: GENERATION_STEPS.map(name => ({ name }))
+    });
+
+    setImmediate(processQueue);
+    return job;
+}
+
+export async function startGenerationWorker() {
+    if (pollTimer) return;
+
+    try {
+        const recovered = await recoverInterruptedJobs();
+        if (recovered > 0) {
+            console.log(`♻️ Recovered ${recovered} interrupted generation job(s)`);
+        }
+    } catch (error) {
+        console.error('❌ Failed to recover interrupted jobs:', error.message);
+    }
+
+    pollTimer = setInterval(processQueue, POLL_INTERVAL_MS);
+    recoveryTimer = setInterval(() => {
+        recoverInterruptedJobs().catch(error => console.error('❌ Job recovery failed:', error.message));
+    }, RECOVERY_INTERVAL_MS);
+
+    console.log(`👷 Generation worker started (concurrency: ${concurrency})`);
+    processQueue();
+}
+
+export function stopGenerationWorker() {
+    clearInterval(pollTimer);
+    clearInterval(recoveryTimer);
+    pollTimer = null;
+    recoveryTimer = null;
+}
@@ -0,0 +1,164 @@
+// Gherkin (Given/When/Then) test steps and .feature export.
+// In the sheet a Gherkin test case keeps its whole scenario body in the Test Steps cell, one
+// step per line; a Scenario Outline adds an "Examples:" line followed by a pipe table:
+//
+//   Given the user is on the login page
+//   When they sign in as "<username>"
+//   Then they see "<message>"
+//   Examples:
+//   | username | message |
+//   | alice    | Welcome |
+
+export const STEPS_FORMATS = ['steps', 'gherkin'];
+
+export const GHERKIN_STEP_PATTERN = '^(Given|When|Then|And|But) ';
+
+const STEP_KEYWORD = /^(Given|When|Then|And|But|\*)\s+/;
+const EXAMPLES_LINE = /^Examples:\s*$/i;
+const PLAIN_STEP_PREFIX = /^(Step\s*\d+[.:)]|\d+[.)])\s*/i;
+
+const tableRow = (cells) => `| ${cells.map(cell => String(cell ?? '').replace(/\|/g, '\\|').trim()).join(' | ')} |`;
+
+const parseTableRow = (line) => line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.replace(/\\\|/g, '|').trim());
+
+// Cell text for generated steps (array or newline text) and optional examples { headers, rows }
+export function formatGherkinSteps(steps, examples = null) {
+    const lines = (Array.isArray(steps) ? steps : String(steps || '').split('\n'))
+        .map(line => String(line).trim())
+        .filter(Boolean);
+
+    if (examples?.headers?.length && examples.rows?.length) {
+        lines.push('Examples:', tableRow(examples.headers), ...examples.rows.map(tableRow));
+    }
+    return lines.join('\n');
+}
+
+// { steps: [...], examples: { headers, rows } | null } from a Test Steps cell
+export function parseGherkinSteps(text) {
+    const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const examplesIndex = lines.findIndex(line => EXAMPLES_LINE.test(line));
+    const stepLines = examplesIndex === -1 ? lines : lines.slice(0, examplesIndex);
+    const tableLines = examplesIndex === -1 ? [] : lines.slice(examplesIndex + 1).filter(line => line.startsWith('|'));
+
+    return {
+        steps: stepLines,
+        examples: tableLines.length >= 2
+            ? { headers: parseTableRow(tableLines[0]), rows: tableLines.slice(1).map(parseTableRow) }
+            : null
+    };
+}
+
+export const isGherkinStep = (line) => STEP_KEYWORD.test(String(line || '').trim());
+
+// "Step 1. Open the page" / "1) Open the page" -> "Open the page"
+export const stripStepNumber = (line) => String(line || '').trim().replace(PLAIN_STEP_PREFIX, '');
+
+// Gherkin step lines for any test case. Free-text "Step 1. ..." steps become "* ..." steps and
+// the expected result is added as a Then step when the steps have none.
+function toScenarioSteps(testCase) {
+    const { steps, examples } = parseGherkinSteps(testCase.testSteps);
+    const gherkinSteps = steps.map(line => {
+        const step = stripStepNumber(line);
+        return isGherkinStep(step) ? step : `* ${step}`;
+    });
+
+    if (!gherkinSteps.some(line => /^Then\s/.test(line)) && testCase.expectedResults) {
+        String(testCase.expectedResults).split('\n').map(line => line.trim()).filter(Boolean).forEach((line, index) => {
+            gherkinSteps.push(`${index === 0 ? 'Then' : 'And'} ${line}`);
+        });
+    }
+    return { steps: gherkinSteps, examples };
+}
+
+// Leading Given/And steps every scenario of a feature shares; moved into a Background
+function sharedBackground(scenarios) {
+    if (scenarios.length < 2) {
+        return [];
+    }
+    const background = [];
+    for (let index = 0; ; index++) {
+        const line = scenarios[0].steps[index];
+        if (!line || !(index === 0 ? /^Given\s/.test(line) : /^(Given|And)\s/.test(line))) {
+            break;
+        }
+        // A scenario must keep at least one step of its own
+        if (!scenarios.every(scenario => scenario.steps[index] === line && scenario.steps.length > index + 1)) {
+            break;
+        }
+        background.push(line);
+    }
+    return background;
+}
+
+const tagOf = (value) => {
+    const tag = String(value || '').trim().replace(/\s+/g, '-').replace(/[^\w.-]/g, '');
+    return tag ? `@${tag}` : null;
+};
+
+export const slugify = (value) => String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'untitled';
+
+function renderFeature(name, testCases) {
+    const scenarios = testCases.map(testCase => ({ testCase, ...toScenarioSteps(testCase) }));
+    const background = sharedBackground(scenarios);
+    const lines = [`Feature: ${name}`, ''];
+
+    if (background.length > 0) {
+        lines.push('  Background:', ...background.map((line, index) => `    ${index === 0 ? line : line.replace(/^Given\s/, 'And ')}`), '');
+    }
+
+    scenarios.forEach(({ testCase, steps, examples }) => {
+        const tags = [testCase.id, testCase.priority, testCase.severity, testCase.testCaseType?.toLowerCase()]
+            .map(tagOf)
+            .filter(Boolean);
+        const ownSteps = steps.slice(background.length);
+        if (ownSteps.length > 0 && background.length > 0 && /^And\s/.test(ownSteps[0])) {
+            ownSteps[0] = ownSteps[0].replace(/^And\s/, 'Given ');
+        }
+
+        if (tags.length > 0) {
+            lines.push(`  ${tags.join(' ')}`);
+        }
+        lines.push(`  ${examples ? 'Scenario Outline' : 'Scenario'}: ${testCase.summary}`);
+        lines.push(...ownSteps.map(line => `    ${line}`));
+        if (examples) {
+            lines.push('', '    Examples:', ...[examples.headers, ...examples.rows].map(row => `      ${tableRow(row)}`));
+        }
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+// One .feature file per module, or per module + submodule with groupBy 'submodule'.
+// Returns [{ path, name, scenarioCount, content }].
+export function buildFeatureFiles(testCases, { groupBy = 'module' } = {}) {
+    const groups = new Map();
+
+    testCases.forEach(testCase => {
+        const module = testCase.module || 'Untitled';
+        const submodule = groupBy === 'submodule' ? (testCase.submodule || 'General') : null;
+        const key = submodule ? `${module}\u0000${submodule}` : module;
+        if (!groups.has(key)) {
+            groups.set(key, { module, submodule, testCases: [] });
+        }
+        groups.get(key).testCases.push(testCase);
+    });
+
+    return [...groups.values()].map(({ module, submodule, testCases: groupTestCases }) => {
+        const name = submodule ? `${module} - ${submodule}` : module;
+        return {
+            path: submodule ? `${slugify(module)}/${slugify(submodule)}.feature` : `${slugify(module)}.feature`,
+            name,
+            scenarioCount: groupTestCases.length,
+            content: renderFeature(name, groupTestCases)
+        };
+    });
+}
@@ -0,0 +1,187 @@
+// Test case and scenario ID schemes. An ID is [MODULECODE<sep>]PREFIX<sep>NUMBER, with the
+// number zero-padded to `padding` digits: the default scheme gives PC_1 / TS_1, while
+// { testCasePrefix: 'TC', separator: '-', padding: 4, includeModuleCode: true } gives LOGIN-TC-0042.
+// IDs returned by the model are never trusted: they are reassigned here, numbering from
+// the highest existing ID with the same prefix.
+
+export const DEFAULT_ID_SCHEME = {
+    testCasePrefix: 'PC',
+    scenarioPrefix: 'TS',
+    separator: '_',
+    padding: 0,
+    includeModuleCode: false,
+    moduleCode: ''
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export function resolveIdScheme(scheme = {}) {
+    const resolved = { ...DEFAULT_ID_SCHEME };
+    Object.keys(DEFAULT_ID_SCHEME).forEach(key => {
+        if (scheme?.[key] !== undefined && scheme[key] !== null) {
+            resolved[key] = scheme[key];
+        }
+    });
+    return resolved;
+}
+
+// Returns a list of problems with an ID scheme; empty when it is usable
+export function validateIdScheme(scheme) {
+    if (scheme === undefined || scheme === null) {
+        return [];
+    }
+    if (typeof scheme !== 'object' || Array.isArray(scheme)) {
+        return ['idScheme must be an object'];
+    }
+
+    const errors = [];
+    ['testCasePrefix', 'scenarioPrefix'].forEach(key => {
+        if (scheme[key] !== undefined && !/^[A-Za-z][A-Za-z0-9]{0,15}$/.test(scheme[key])) {
+            errors.push(`idScheme.${key} must be 1-16 letters or digits, starting with a letter`);
+        }
+    });
+    if (scheme.separator !== undefined && !['', '-', '_', '.'].includes(scheme.separator)) {
+        errors.push('idScheme.separator must be one of "-", "_", "." or ""');
+    }
+    if (scheme.padding !== undefined && (!Number.isInteger(scheme.padding) || scheme.padding < 0 || scheme.padding > 8)) {
+        errors.push('idScheme.padding must be an integer between 0 and 8');
+    }
+    if (scheme.moduleCode !== undefined && scheme.moduleCode !== '' && !/^[A-Za-z0-9]{1,16}$/.test(scheme.moduleCode)) {
+        errors.push('idScheme.moduleCode must be 1-16 letters or digits');
+    }
+    const resolved = resolveIdScheme(scheme);
+    if (resolved.testCasePrefix.toUpperCase() === resolved.scenarioPrefix.toUpperCase()) {
+        errors.push('idScheme.testCasePrefix and idScheme.scenarioPrefix must differ');
+    }
+    return errors;
+}
+
+// "User Login" -> "USERLOGIN"; an explicit scheme.moduleCode wins
+export function moduleCodeFor(module, scheme) {
+    const code = scheme.moduleCode || String(module || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return code.slice(0, 16);
+}
+
+// { prefix, format(n), parse(id) } for one kind of item in one module. `parse` returns the
+// number of an ID written with this prefix, or null for anything else.
+export function createIdFormatter(scheme, kind = 'testCases', module = '') {
+    const resolved = resolveIdScheme(scheme);
+    const { separator, padding } = resolved;
+    const parts = [];
+    if (resolved.includeModuleCode) {
+        const code = moduleCodeFor(module, resolved);
+        if (code) {
+            parts.push(code);
+        }
+    }
+    parts.push(kind === 'testScenarios' ? resolved.scenarioPrefix : resolved.testCasePrefix);
+
+    const prefix = parts.join(separator) + separator;
+    const pattern = new RegExp(`^${escapeRegExp(prefix)}0*(\\d+)$`, 'i');
+
+    return {
+        prefix,
+        format: (number) => `${prefix}${String(number).padStart(padding, '0')}`,
+        parse: (id) => {
+            const match = String(id || '').trim().match(pattern);
+            return match ? parseInt(match[1], 10) : null;
+        }
+    };
+}
+
+// Highest existing number for the formatter's prefix, plus one
+export function nextIdNumber(existingIds, formatter) {
+    const numbers = existingIds.map(formatter.parse).filter(number => number !== null);
+    return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+}
+
+// Give `items` fresh sequential IDs after the highest of `existingIds` (and from at least
+// `minimumNumber`). Returns the renumbered items and { [modelId]: newId } for the IDs that changed.
+export function assignIds(items, formatter, existingIds = [], minimumNumber = 1) {
+    let next = Math.max(nextIdNumber(existingIds, formatter), minimumNumber);
+    const idMap = {};
+
+    const assigned = items.map(item => {
+        const id = formatter.format(next++);
+        if (item.id && item.id !== id) {
+            idMap[item.id] = id;
+        }
+        return { ...item, id };
+    });
+
+    return { items: assigned, idMap };
+}
+
+// Plan a renumbering of a test cases tab in sheet order. `rows` are the raw sheet rows
+// (header first); rows with an ID get the next number for their prefix, rows matched by
+// `skipRow` (group headers) are left alone. IDs that were unique on the sheet are also
+// rewritten where other cells reference them (steps, "Depends On"), in one pass so
+// swapped numbers never chain. Returns { rows, changes, changedRowIndexes, changedCells,
+// referencesUpdated }; `changedCells` ([{ rowIndex, column, value }]) are the only cells to write.
+export function renumberRows(rows, { idColumn, formatterFor, moduleOf = () => '', skipRow = () => false }) {
+    const counters = new Map();
+    const changes = [];
+    const changedCells = [];
+    const occurrences = new Map();
+    const isIdRow = (row) => row && String(row[idColumn] || '').trim() && !skipRow(row);
+
+    rows.slice(1).forEach(row => {
+        if (isIdRow(row)) {
+            const id = String(row[idColumn]).trim();
+            occurrences.set(id, (occurrences.get(id) || 0) + 1);
+        }
+    });
+
+    const updated = rows.map(row => [...(row || [])]);
+    updated.slice(1).forEach((row, index) => {
+        if (!isIdRow(row)) {
+            return;
+        }
+        const formatter = formatterFor(moduleOf(row));
+        const number = counters.get(formatter.prefix) || 1;
+        counters.set(formatter.prefix, number + 1);
+
+        const oldId = String(row[idColumn]).trim();
+        const newId = formatter.format(number);
+        if (oldId !== newId) {
+            row[idColumn] = newId;
+            changes.push({ rowIndex: index + 2, oldId, newId });
+            changedCells.push({ rowIndex: index + 2, column: idColumn, value: newId });
+        }
+    });
+
+    const changedRowIndexes = new Set(changes.map(change => change.rowIndex));
+    const references = new Map(changes
+        .filter(change => occurrences.get(change.oldId) === 1)
+        .map(change => [change.oldId, change.newId]));
+    let referencesUpdated = 0;
+
+    if (references.size > 0) {
+        const pattern = new RegExp(`(?<![\\w-])(${[...references.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\w-])`, 'g');
+        updated.slice(1).forEach((row, index) => {
+            if (skipRow(row)) {
+                return;
+            }
+            row.forEach((cell, column) => {
+                if (column === idColumn || typeof cell !== 'string') {
+                    return;
+                }
+                const rewritten = cell.replace(pattern, id => references.get(id));
+                if (rewritten !== cell) {
+                    row[column] = rewritten;
+                    changedCells.push({ rowIndex: index + 2, column, value: rewritten });
+                    referencesUpdated++;
+                    changedRowIndexes.add(index + 2);
+                }
+            });
+        });
+    }
+
+    return {
+        rows: updated,
+        changes,
+        changedRowIndexes: [...changedRowIndexes].sort((a, b) => a - b),
+        changedCells,
+        referencesUpdated
+    };
+}
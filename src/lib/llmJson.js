@@ -0,0 +1,235 @@
+import { TEST_CASE_COLUMNS } from './testCaseSchema.js';
+import { GHERKIN_STEP_PATTERN } from './gherkin.js';
+
+// Declared shapes for every JSON reply we ask the model for, plus a small validator for the
+// subset of JSON Schema they use (type, required, properties, items, enum, pattern, minItems, minLength).
+// Model output is only used once it validates; see callLLMForJson in sheetsHelpers.js for the
+// repair loop that sends validation errors back to the model.
+
+const TEXT = { type: 'string', minLength: 1 };
+const STEPS = { type: ['string', 'array'], items: { type: 'string' }, minLength: 1, minItems: 1 };
+
+// Gherkin test cases carry their steps as Given/When/Then lines plus optional Scenario Outline examples
+const GHERKIN_STEPS = { type: 'array', minItems: 2, items: { type: 'string', pattern: GHERKIN_STEP_PATTERN } };
+const GHERKIN_EXAMPLES = {
+    type: 'object',
+    required: ['headers', 'rows'],
+    properties: {
+        headers: { type: 'array', minItems: 1, items: TEXT },
+        rows: { type: 'array', minItems: 1, items: { type: 'array', items: { type: ['string', 'number', 'boolean'] } } }
+    }
+};
+
+export function testCasesSchema(columns = TEST_CASE_COLUMNS, { stepsFormat = 'steps' } = {}) {
+    const properties = {
+        id: { type: ['string', 'number'] },
+        module: { type: 'string' },
+        submodule: { type: 'string' },
+        summary: TEXT,
+        testSteps: STEPS,
+        expectedResults: { type: ['string', 'array'], items: { type: 'string' }, minLength: 1, minItems: 1 },
+        testCaseType: { type: 'string', enum: ['Positive', 'Negative'] },
+        environment: { type: 'string' },
+        status: { type: 'string' },
+        priority: { type: 'string' },
+        severity: { type: 'string' }
+    };
+    if (stepsFormat === 'gherkin') {
+        properties.testSteps = GHERKIN_STEPS;
+        properties.examples = GHERKIN_EXAMPLES;
+    }
+    columns.filter(column => column.custom).forEach(column => {
+        properties[column.field] = { type: ['string', 'number', 'array'] };
+    });
+
+    return {
+        type: 'array',
+        minItems: 1,
+        items: {
+            type: 'object',
+            required: ['summary', 'testSteps', 'expectedResults', 'testCaseType'],
+            properties
+        }
+    };
+}
+
+export const TEST_SCENARIOS_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['condition', 'testScenarios'],
+        properties: {
+            id: { type: ['string', 'number'] },
+            module: { type: 'string' },
+            condition: TEXT,
+            testScenarios: TEXT,
+            status: { type: 'string' }
+        }
+    }
+};
+
+export const ARRANGEMENT_INTENT_SCHEMA = {
+    type: 'object',
+    required: ['strategy'],
+    properties: {
+        strategy: TEXT,
+        options: { type: 'object' },
+        confidence: { type: 'number' },
+        summary: { type: 'string' }
+    }
+};
+
+export const ARRANGEMENT_SCHEMA = {
+    type: 'object',
+    required: ['orderedIds'],
+    properties: {
+        orderedIds: { type: 'array', minItems: 1, items: { type: ['string', 'number'] } },
+        groups: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['label', 'ids'],
+                properties: {
+                    label: TEXT,
+                    ids: { type: 'array', items: { type: ['string', 'number'] } }
+                }
+            }
+        },
+        arrangementLogic: { type: 'string' }
+    }
+};
+
+export const MODIFICATIONS_SCHEMA = {
+    type: 'object',
+    required: ['modifications'],
+    properties: {
+        modifications: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['action'],
+                properties: {
+                    testCaseId: { type: 'string' },
+                    action: { type: 'string', enum: ['update', 'delete', 'add'] },
+                    changes: { type: 'object' },
+                    reason: { type: 'string' }
+                }
+            }
+        },
+        summary: { type: 'string' }
+    }
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'invalid number';
+    return typeof value;
+};
+
+// Returns a list of "path: problem" messages; empty when `value` matches `schema`
+export function validateAgainstSchema(value, schema, path = '$') {
+    const errors = [];
+    const type = typeOf(value);
+    const allowedTypes = [].concat(schema.type || []);
+
+    if (allowedTypes.length > 0 && !allowedTypes.includes(type)) {
+        errors.push(`${path}: expected ${allowedTypes.join(' or ')}, got ${type}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+        errors.push(`${path}: must not be empty`);
+    }
+    if (type === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: must match ${schema.pattern}`);
+    }
+
+    if (type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${path}: must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push(`${path}.${key}: is required`);
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined && value[key] !== null) {
+                errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Parse a model reply as JSON of the schema's top-level type. Code fences and prose around
+// the JSON are ignored; nothing else is "fixed". Returns { value, errors }.
+export function parseModelJson(text, schema) {
+    const cleanedText = String(text || '').replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+    const [open, close] = schema.type === 'array' ? ['[', ']'] : ['{', '}'];
+    const startIndex = cleanedText.indexOf(open);
+    const endIndex = cleanedText.lastIndexOf(close);
+
+    if (startIndex === -1) {
+        return { value: null, errors: [`Response does not contain a JSON ${schema.type}`] };
+    }
+    if (endIndex <= startIndex) {
+        return { value: null, errors: [`Response is not complete JSON (it appears to be truncated)`] };
+    }
+
+    let value;
+    try {
+        value = JSON.parse(cleanedText.substring(startIndex, endIndex + 1));
+    } catch (error) {
+        const truncated = !cleanedText.endsWith(close);
+        return { value: null, errors: [`Response is not valid JSON${truncated ? ' (it appears to be truncated)' : ''}: ${error.message}`] };
+    }
+
+    const errors = validateAgainstSchema(value, schema);
+    return { value: errors.length === 0 ? value : null, errors };
+}
+
+// Prompt for a repair attempt: the original request, the rejected reply and what was wrong with it
+export function buildRepairPrompt(prompt, responseText, errors, schema) {
+    const shownErrors = errors.slice(0, 20);
+    const reply = String(responseText || '');
+
+    return `${prompt}
+
+---
+Your previous response was rejected because it did not match the required JSON format.
+
+Problems:
+${shownErrors.map(error => `- ${error}`).join('\n')}${errors.length > shownErrors.length ? `\n- ...and ${errors.length - shownErrors.length} more` : ''}
+
+Previous response${reply.length > 4000 ? ' (first 4000 characters)' : ''}:
+${reply.substring(0, 4000)}
+
+Required JSON Schema:
+${JSON.stringify(schema)}
+
+Return the complete corrected response as ONLY valid JSON. If it was cut off, return fewer or shorter items so the whole JSON fits.`;
+}
+
+// Raised when the model still returns unusable JSON after every repair attempt
+export function invalidModelOutputError(kind, errors, attempts) {
+    const error = new Error(`The AI returned invalid ${kind} after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${errors.slice(0, 3).join('; ')}`);
+    error.code = 'INVALID_MODEL_OUTPUT';
+    error.statusCode = 502;
+    error.validationErrors = errors;
+    return error;
+}
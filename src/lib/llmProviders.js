@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import dotenv from "dotenv";
+dotenv.config();
+
+// Every provider exposes the same tiny surface: { name, model, generateText(prompt) }.
+// callGeminiWithRetry (sheetsHelpers.js) only depends on generateText, so retries,
+// backoff and error classification work the same for every backend.
+export const LLM_PROVIDERS = ['gemini', 'openai', 'fixture'];
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-1.5-flash',
+    openai: 'gpt-4o-mini',
+    fixture: 'fixture'
+};
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 120000;
+
+const splitList = (value) => (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const normalizeBaseUrl = (url) => (url || '').trim().replace(/\/+$/, '');
+
+// Deployment-wide defaults, read on every call so tests can change env between runs
+export function getDeploymentLLMConfig() {
+    const provider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+    return {
+        provider,
+        model: process.env.LLM_MODEL || DEFAULT_MODELS[provider],
+        baseUrl: normalizeBaseUrl(process.env.LLM_BASE_URL),
+        fixturesDir: process.env.LLM_FIXTURES_DIR || path.resolve('fixtures/llm'),
+        recordFixtures: process.env.LLM_RECORD_FIXTURES === 'true',
+        // Providers and base URLs a user is allowed to pick in their own settings
+        allowedProviders: splitList(process.env.LLM_ALLOWED_PROVIDERS || 'gemini,openai'),
+        allowedBaseUrls: splitList(process.env.LLM_ALLOWED_BASE_URLS).map(normalizeBaseUrl)
+    };
+}
+
+// Merge per-user settings over the deployment defaults. Only whitelisted providers and
+// base URLs are honoured so a user cannot point the server at an arbitrary host.
+export function resolveLLMConfig(user) {
+    const deployment = getDeploymentLLMConfig();
+    const userSettings = user?.llmSettings || {};
+
+    const provider = deployment.allowedProviders.includes(userSettings.provider)
+        ? userSettings.provider
+        : deployment.provider;
+
+    const userBaseUrl = normalizeBaseUrl(userSettings.baseUrl);
+
+    return {
+        ...deployment,
+        provider,
+        model: userSettings.model || (provider === deployment.provider ? deployment.model : DEFAULT_MODELS[provider]),
+        baseUrl: userBaseUrl && deployment.allowedBaseUrls.includes(userBaseUrl) ? userBaseUrl : deployment.baseUrl
+    };
+}
+
+// Validate settings coming from the API before they are stored on the user
+export function validateUserLLMSettings(settings = {}) {
+    const deployment = getDeploymentLLMConfig();
+    const errors = [];
+
+    if (settings.provider && !deployment.allowedProviders.includes(settings.provider)) {
+        errors.push(`Provider "${settings.provider}" is not enabled. Allowed: ${deployment.allowedProviders.join(', ')}`);
+    }
+
+    if (settings.baseUrl && !deployment.allowedBaseUrls.includes(normalizeBaseUrl(settings.baseUrl))) {
+        errors.push(`Base URL "${settings.baseUrl}" is not in the allowed list for this deployment`);
+    }
+
+    if (settings.model !== undefined && settings.model !== null && typeof settings.model !== 'string') {
+        errors.push('Model must be a string');
+    }
+
+    return errors;
+}
+
+export function hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+}
+
+function createGeminiProvider({ model }) {
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const generativeModel = genAI.getGenerativeModel({ model });
+
+    return {
+        name: 'gemini',
+        model,
+        async generateText(prompt) {
+            const result = await generativeModel.generateContent(prompt);
+            const response = await result.response;
+            return response.text();
+        }
+    };
+}
+
+// Works with OpenAI itself and any server exposing /v1/chat/completions
+// (Ollama, llama.cpp server, vLLM, LM Studio, ...)
+function createOpenAICompatibleProvider({ model, baseUrl }) {
+    const endpoint = `${baseUrl || 'https://api.openai.com/v1'}/chat/completions`;
+    const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+    const timeoutMs = parseInt(process.env.LLM_REQUEST_TIMEOUT_MS, 10) || DEFAULT_REQUEST_TIMEOUT_MS;
+
+    return {
+        name: 'openai',
+        model,
+        async generateText(prompt) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model,
+                    messages: [{ role: 'user', content: prompt }],
+                    temperature: 0.7
+                }),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (!response.ok) {
+                const body = await response.text();
+                // Keep the status code in the message: callGeminiWithRetry retries on 429/503
+                throw new Error(`LLM request failed with status ${response.status}: ${body.substring(0, 300)}`);
+            }
+
+            const data = await response.json();
+            const text = data.choices?.[0]?.message?.content;
+
+            if (typeof text !== 'string') {
+                throw new Error('LLM response did not contain any message content');
+            }
+
+            return text;
+        }
+    };
+}
+
+// Replays recorded responses keyed by a hash of the prompt, so the whole pipeline
+// can run offline and deterministically. Falls back to "default.txt" when present.
+function createFixtureProvider({ fixturesDir }) {
+    return {
+        name: 'fixture',
+        model: 'fixture',
+        async generateText(prompt) {
+            const key = hashPrompt(prompt);
+
+            for (const fileName of [`${key}.txt`, 'default.txt']) {
+                try {
+                    return await fs.readFile(path.join(fixturesDir, fileName), 'utf8');
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        throw error;
+                    }
+                }
+            }
+
+            throw new Error(`No LLM fixture found for prompt ${key} in ${fixturesDir}`);
+        }
+    };
+}
+
+// Wrap a live provider and save every response as a fixture for later replay
+function withFixtureRecording(provider, fixturesDir) {
+    return {
+        ...provider,
+        async generateText(prompt) {
+            const text = await provider.generateText(prompt);
+            await fs.mkdir(fixturesDir, { recursive: true });
+            await fs.writeFile(path.join(fixturesDir, `${hashPrompt(prompt)}.txt`), text, 'utf8');
+            return text;
+        }
+    };
+}
+
+export function createLLMProvider(config) {
+    let provider;
+
+    switch (config.provider) {
+        case 'gemini':
+            provider = createGeminiProvider(config);
+            break;
+        case 'openai':
+            provider = createOpenAICompatibleProvider(config);
+            break;
+        case 'fixture':
+            return createFixtureProvider(config);
+        default:
+            throw new Error(`Unknown LLM provider "${config.provider}"`);
+    }
+
+    return config.recordFixtures ? withFixtureRecording(provider, config.fixturesDir) : provider;
+}
+
+// Main entry point used by controllers: deployment defaults + the user's own choice
+export function getLLMProvider(user) {
+    return createLLMProvider(resolveLLMConfig(user));
+}
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import {
+    TEST_CASE_COLUMNS,
+    resolveSheetMapping,
+    mappingWidth,
+    columnLetter,
+    testCaseToRow,
+    normalizePriority,
+    normalizeSeverity,
+    cleanColumnValue,
+    withPriorityAndSeverity
+} from './testCaseSchema.js';
+import { writeTestCaseFields } from './sheetsHelpers.js';
+import { createIdFormatter, nextIdNumber } from './idSchemes.js';
+
+// Every template column except the ID can be changed by a modification
+export const modifiableFields = (columns = TEST_CASE_COLUMNS) => columns
+    .map(column => column.field)
+    .filter(field => field !== 'id');
+
+// Priority/Severity from the model are normalised and custom dropdowns snap to their allowed
+// values; unknown values are dropped from the change, while an empty value clears the field
+const normalizeChanges = (changes = {}, columns) => {
+    const normalized = { ...changes };
+    const normalizeField = (field, clean) => {
+        if (changes[field] === undefined) return;
+        const text = String(changes[field] ?? '').trim();
+        const value = text ? clean(changes[field]) : '';
+        if (text && !value) {
+            delete normalized[field];
+        } else {
+            normalized[field] = value;
+        }
+    };
+    normalizeField('priority', normalizePriority);
+    normalizeField('severity', normalizeSeverity);
+    columns.filter(column => column.custom).forEach(column => {
+        normalizeField(column.field, value => cleanColumnValue({ ...column, default: '' }, value));
+    });
+    return normalized;
+};
+
+// Stable hash of the tab contents; a plan can only be applied to the exact sheet it was computed on
+export function computeSheetFingerprint(rows) {
+    return crypto.createHash('sha256').update(JSON.stringify(rows || [])).digest('hex');
+}
+
+const pickFields = (testCase, fields) => {
+    const picked = { id: testCase.id };
+    fields.forEach(field => {
+        picked[field] = testCase[field] || '';
+    });
+    return picked;
+};
+
+// Turn the AI modification list into a per-test-case diff. Items the plan cannot act on
+// (unknown IDs for update/delete, unknown actions) are kept with `applicable: false`
+// so reviewers see everything the model proposed. Added cases get the next free IDs of
+// `idScheme` whatever the model suggested (kept as `proposedTestCaseId` when different).
+export function buildModificationDiff(modifications, testCases, columns = TEST_CASE_COLUMNS, { idScheme } = {}) {
+    const fields = modifiableFields(columns);
+    const takenIds = testCases.map(tc => tc.id);
+    const addDefaults = Object.fromEntries(columns.filter(column => column.default).map(column => [column.field, column.default]));
+
+    return (modifications || []).map((mod, index) => {
+        const changes = normalizeChanges(mod.changes, columns);
+        const testCase = testCases.find(tc => tc.id === mod.testCaseId);
+        const item = {
+            itemId: `m${index + 1}`,
+            testCaseId: mod.testCaseId,
+            action: mod.action,
+            reason: mod.reason || '',
+            rowIndex: testCase ? testCase.rowIndex : null,
+            before: testCase ? pickFields(testCase, fields) : null,
+            after: null,
+            fieldChanges: [],
+            applicable: true
+        };
+
+        if (mod.action === 'update' && testCase) {
+            const after = pickFields(testCase, fields);
+            fields.forEach(field => {
+                if (changes[field] === undefined) return;
+                const value = String(changes[field] ?? '');
+                if (value !== (testCase[field] || '')) {
+                    after[field] = value;
+                    item.fieldChanges.push({ field, before: testCase[field] || '', after: value });
+                }
+            });
+            item.after = after;
+        } else if (mod.action === 'delete' && testCase) {
+            item.fieldChanges = fields
+                .filter(field => testCase[field])
+                .map(field => ({ field, before: testCase[field], after: '' }));
+        } else if (mod.action === 'add') {
+            let after = {};
+            fields.forEach(field => {
+                after[field] = changes[field] || addDefaults[field] || '';
+            });
+            const formatter = createIdFormatter(idScheme, 'testCases', after.module);
+            after = withPriorityAndSeverity({ id: formatter.format(nextIdNumber(takenIds, formatter)), ...after });
+            takenIds.push(after.id);
+            if (after.id !== mod.testCaseId) {
+                item.proposedTestCaseId = mod.testCaseId;
+                item.testCaseId = after.id;
+            }
+            item.after = after;
+            item.fieldChanges = fields
+                .filter(field => after[field])
+                .map(field => ({ field, before: '', after: after[field] }));
+        } else {
+            item.applicable = false;
+            item.reason = item.reason || `Cannot ${mod.action} unknown test case ${mod.testCaseId}`;
+        }
+
+        return item;
+    });
+}
+
+// Write approved diff items back to the sheet through its header mapping for `columns`. `rows` is the
+// current tab contents (header included). Updates write only their changed cells, RAW, adding
+// a header for a field that has no column yet; added cases land right after the rows.
+export async function applyModificationDiff(sheets, spreadsheetId, sheetName, items, rows, columns = TEST_CASE_COLUMNS) {
+    const approved = items.filter(item => item.applicable);
+    const updated = approved.filter(item => item.action === 'update' && item.fieldChanges.length > 0);
+    const deleted = approved.filter(item => item.action === 'delete');
+    const added = approved.filter(item => item.action === 'add');
+    const rowCount = rows.length;
+
+    const changes = updated.flatMap(item => item.fieldChanges
+        .map(change => ({ rowIndex: item.rowIndex, field: change.field, after: change.after })));
+    const { mapping } = await writeTestCaseFields(sheets, spreadsheetId, sheetName, resolveSheetMapping(rows[0], columns), changes);
+
+    if (deleted.length > 0) {
+        await sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+                valueInputOption: 'RAW',
+                data: deleted.map(item => {
+                    const width = Math.max(mappingWidth(mapping), (rows[item.rowIndex - 1] || []).length);
+                    return {
+                        range: `'${sheetName}'!A${item.rowIndex}:${columnLetter(width - 1)}${item.rowIndex}`,
+                        values: [new Array(width).fill('')]
+                    };
+                })
+            }
+        });
+    }
+
+    if (added.length > 0) {
+        await sheets.spreadsheets.values.update({
+            spreadsheetId,
+            range: `'${sheetName}'!A${rowCount + 1}`,
+            valueInputOption: 'RAW',
+            requestBody: {
+                values: added.map(item => testCaseToRow(item.after, mapping))
+            }
+        });
+    }
+
+    return { updatedCount: updated.length + deleted.length, addedCount: added.length };
+}
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+// In-process progress bus used by the SSE endpoint. Events are kept for a few minutes
+// so a client that subscribes right after starting an operation still sees everything.
+// Note: this lives in memory, so the SSE stream must be served by the same instance
+// that runs the operation (sticky sessions when running more than one server).
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const HISTORY_TTL_MS = 5 * 60 * 1000;
+const MAX_EVENTS_PER_CHANNEL = 500;
+
+export const TERMINAL_EVENT_TYPES = ['done', 'error'];
+
+const channels = new Map();
+
+function getChannelHistory(channel) {
+    let history = channels.get(channel);
+    if (!history) {
+        history = { events: [], lastId: 0, timer: null };
+        channels.set(channel, history);
+    }
+    return history;
+}
+
+function scheduleCleanup(channel, history) {
+    clearTimeout(history.timer);
+    history.timer = setTimeout(() => channels.delete(channel), HISTORY_TTL_MS);
+    history.timer.unref?.();
+}
+
+// Channels are scoped per user so one user can never subscribe to another's operation
+export const progressChannel = (userId, operationId) => `${userId}:${operationId}`;
+
+export function createProgressReporter(channel, operationId = null) {
+    return {
+        channel,
+        operationId,
+        emit(type, data = {}) {
+            const history = getChannelHistory(channel);
+            const event = {
+                id: ++history.lastId,
+                type,
+                data,
+                timestamp: new Date().toISOString()
+            };
+
+            history.events.push(event);
+            if (history.events.length > MAX_EVENTS_PER_CHANNEL) {
+                history.events.shift();
+            }
+            scheduleCleanup(channel, history);
+
+            emitter.emit(channel, event);
+            return event;
+        }
+    };
+}
+
+// Reporter that drops everything; default for code paths called without a stream
+export const noopReporter = {
+    channel: null,
+    operationId: null,
+    emit: () => null
+};
+
+// For synchronous endpoints (/modify, /custom-prompt): the client picks an operationId,
+// opens the SSE stream, then sends it in the request body. One is generated otherwise.
+export function createRequestProgressReporter(req) {
+    const operationId = (typeof req.body?.operationId === 'string' && req.body.operationId.trim())
+        || crypto.randomUUID();
+
+    return createProgressReporter(progressChannel(req.user._id.toString(), operationId), operationId);
+}
+
+// Replays buffered events newer than `afterId`, then streams live ones.
+// Returns an unsubscribe function.
+export function subscribeToProgress(channel, listener, afterId = 0) {
+    const history = channels.get(channel);
+    if (history) {
+        history.events
+            .filter(event => event.id > afterId)
+            .forEach(listener);
+    }
+
+    emitter.on(channel, listener);
+    return () => emitter.off(channel, listener);
+}
+
+export function hasTerminalEvent(channel) {
+    const history = channels.get(channel);
+    return !!history && history.events.some(event => TERMINAL_EVENT_TYPES.includes(event.type));
+}
@@ -0,0 +1,116 @@
+import SheetSnapshot from '../models/SheetSnapshot.js';
+import { noopReporter } from './progressEvents.js';
+import { TEST_CASE_RANGE, columnLetter } from './testCaseSchema.js';
+
+// 0-based index of a column letter ("A" -> 0, "AA" -> 26)
+const columnIndex = (letters) => [...letters.toUpperCase()].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// Snapshot a tab range before overwriting it. The range is read here with formulas and
+// unformatted values (not the caller's display values), so a restore brings back formulas,
+// leading-zero text and dates as they were. Throws if the snapshot cannot be stored, so
+// the destructive write never runs without a way back.
+export async function createSheetSnapshot({
+    sheets,
+    userId,
+    spreadsheetId,
+    sheetName,
+    range = TEST_CASE_RANGE,
+    operation,
+    description,
+    restoredFrom,
+    reporter = noopReporter
+}) {
+    const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `'${sheetName}'!${range}`,
+        valueRenderOption: 'FORMULA'
+    });
+    const rows = response.data.values || [];
+
+    const snapshot = await SheetSnapshot.create({
+        userId,
+        spreadsheetId,
+        sheetName,
+        range,
+        operation,
+        description,
+        values: rows,
+        valueRenderOption: 'FORMULA',
+        rowCount: rows.length,
+        restoredFrom
+    });
+
+    console.log(`📸 Snapshot ${snapshot._id} taken of "${sheetName}" (${rows.length} rows) before ${operation}`);
+    reporter.emit('snapshot', { snapshotId: snapshot._id, sheetName, rowCount: rows.length });
+
+    return snapshot;
+}
+
+// Write a snapshot back over its range. The current contents are snapshotted first,
+// so a restore can itself be undone.
+export async function restoreSheetSnapshot(sheets, snapshot, reporter = noopReporter) {
+    const { spreadsheetId, sheetName, range } = snapshot;
+
+    const safetySnapshot = await createSheetSnapshot({
+        sheets,
+        userId: snapshot.userId,
+        spreadsheetId,
+        sheetName,
+        range,
+        operation: 'restore',
+        description: `State before restoring snapshot ${snapshot._id}`,
+        restoredFrom: snapshot._id,
+        reporter
+    });
+
+    await sheets.spreadsheets.values.clear({
+        spreadsheetId,
+        range: `'${sheetName}'!${range}`
+    });
+
+    if (snapshot.values.length > 0) {
+        const startColumn = range.split(':')[0].replace(/\d+/g, '') || 'A';
+        const startIndex = columnIndex(startColumn);
+
+        if (snapshot.valueRenderOption !== 'FORMULA') {
+            // Snapshots from before formulas were captured only have display values
+            await sheets.spreadsheets.values.update({
+                spreadsheetId,
+                range: `'${sheetName}'!${startColumn}1`,
+                valueInputOption: 'USER_ENTERED',
+                requestBody: {
+                    values: snapshot.values
+                }
+            });
+        } else {
+            // Values go back RAW so text is not re-parsed; only formulas are entered as formulas
+            await sheets.spreadsheets.values.update({
+                spreadsheetId,
+                range: `'${sheetName}'!${startColumn}1`,
+                valueInputOption: 'RAW',
+                requestBody: {
+                    values: snapshot.values
+                }
+            });
+
+            const formulas = snapshot.values.flatMap((row, rowIndex) => (row || [])
+                .map((value, index) => ({ value, index }))
+                .filter(({ value }) => typeof value === 'string' && value.startsWith('='))
+                .map(({ value, index }) => ({
+                    range: `'${sheetName}'!${columnLetter(startIndex + index)}${rowIndex + 1}`,
+                    values: [[value]]
+                })));
+            if (formulas.length > 0) {
+                await sheets.spreadsheets.values.batchUpdate({
+                    spreadsheetId,
+                    requestBody: { valueInputOption: 'USER_ENTERED', data: formulas }
+                });
+            }
+        }
+    }
+
+    console.log(`⏪ Restored "${sheetName}" from snapshot ${snapshot._id}`);
+    reporter.emit('rows_written', { sheetName, count: snapshot.values.length });
+
+    return { safetySnapshotId: safetySnapshot._id, rowCount: snapshot.values.length };
+}
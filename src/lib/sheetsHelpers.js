@@ -1,160 +1,477 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from "dotenv";
+import { noopReporter } from './progressEvents.js';
+import {
+    DEFAULT_PRIORITY,
+    DEFAULT_SEVERITY,
+    TEST_CASE_RANGE,
+    TEST_CASE_COLUMNS,
+    TEST_SCENARIO_COLUMNS,
+    TEST_RUN_COLUMNS,
+    resolveSheetMapping,
+    describeMapping,
+    extendMapping,
+    mappingWidth,
+    columnLetter,
+    rowToTestCase,
+    testCaseToRow,
+    withPriorityAndSeverity,
+    normalizePriority,
+    normalizeSeverity,
+    templateMapping,
+    withCustomFields
+} from './testCaseSchema.js';
+import {
+    ARRANGEMENT_STRATEGIES,
+    ARRANGEMENT_STRATEGY_NAMES,
+    matchStrategyKeywords,
+    validateStrategyOptions
+} from './arrangementStrategies.js';
+import {
+    ARRANGEMENT_INTENT_SCHEMA,
+    ARRANGEMENT_SCHEMA,
+    parseModelJson,
+    buildRepairPrompt,
+    invalidModelOutputError
+} from './llmJson.js';
+import { STEPS_FORMATS, formatGherkinSteps } from './gherkin.js';
+import { DASHBOARD_TITLE } from './suiteMetrics.js';
 dotenv.config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-const TEST_CASE_LEVELS = {
+export const TEST_CASE_LEVELS = {
     'Low': { min: 1, max: 5, focus: 'Critical paths only', coverage: 'Happy path + 1-2 critical negatives' },
     'Medium': { min: 5, max: 15, focus: 'Core functionality + key negatives', coverage: 'Main workflows + input validation + error handling' },
     'High': { min: 15, max: 25, focus: 'Comprehensive coverage + edge cases', coverage: 'All user paths + boundary testing + integration scenarios' },
     'Detailed': { min: 25, max: 40, focus: 'Exhaustive testing + all scenarios', coverage: 'All permutations + stress testing + complex workflows' }
 };
 
-const TEST_SCENARIO_LEVELS = {
+// Coverage categories a request can weight through `categoryMix`
+export const COVERAGE_CATEGORIES = {
+    happyPath: 'Happy Path Variations',
+    validation: 'Input Validation',
+    errorHandling: 'Error Handling',
+    boundary: 'Edge Cases & Boundaries',
+    integration: 'Integration & Workflow'
+};
+
+// Default mix per level as [category, level-specific label, share of the target count]. Large
+// requests are generated one category per LLM call so no single response has to hold 20-40
+// fully written test cases.
+export const COVERAGE_DISTRIBUTIONS = {
+    'Low': [['happyPath', 'Critical Happy Paths', 0.60], ['validation', 'Essential Validation', 0.40]],
+    'Medium': [['happyPath', 'Happy Path Variations', 0.45], ['validation', 'Input Validation', 0.30], ['errorHandling', 'Error Handling', 0.25]],
+    'High': [['happyPath', 'Happy Path Variations', 0.35], ['validation', 'Input Validation', 0.25], ['errorHandling', 'Error Handling', 0.20], ['boundary', 'Edge Cases & Boundaries', 0.15], ['integration', 'Integration & Workflow', 0.05]],
+    'Detailed': [['happyPath', 'Happy Path Complex Variations', 0.30], ['validation', 'Comprehensive Input Validation', 0.25], ['errorHandling', 'Extensive Error Handling', 0.20], ['boundary', 'Edge Cases & Boundary Testing', 0.15], ['integration', 'Integration & Cross-Component', 0.10]]
+};
+
+export const CHUNKED_LEVELS = ['High', 'Detailed'];
+
+// Largest single-call request; explicit target counts above it are chunked like High/Detailed
+export const MAX_TEST_CASES_PER_CALL = TEST_CASE_LEVELS['Medium'].max;
+
+export const MAX_TARGET_COUNT = 100;
+
+// `controls` are the optional /generate overrides: { targetCount, positiveRatio, categoryMix }
+export function testCaseTargetCount(level, controls = {}) {
+    if (controls.targetCount) {
+        return controls.targetCount;
+    }
+    const levelConfig = TEST_CASE_LEVELS[level] || TEST_CASE_LEVELS['Medium'];
+    return Math.round((levelConfig.min + levelConfig.max) / 2);
+}
+
+export function shouldChunkTestCases(level, controls = {}) {
+    return controls.targetCount
+        ? controls.targetCount > MAX_TEST_CASES_PER_CALL
+        : CHUNKED_LEVELS.includes(level);
+}
+
+// Split `total` by `weights` into whole numbers that add up to exactly `total` (largest remainder)
+function allocateCounts(total, weights) {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    const exact = weights.map(weight => (weightSum > 0 ? (total * weight) / weightSum : 0));
+    const counts = exact.map(Math.floor);
+    let remaining = total - counts.reduce((sum, count) => sum + count, 0);
+
+    exact
+        .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+        .sort((a, b) => b.remainder - a.remainder)
+        .forEach(({ index }) => {
+            if (remaining > 0) {
+                counts[index]++;
+                remaining--;
+            }
+        });
+    return counts;
+}
+
+// [{ key, category, count }] in prompt order: the level's default mix, or `controls.categoryMix`
+// weights ({ happyPath: 2, boundary: 1 }). Categories that end up with no tests are left out.
+export function planTestCaseChunks(level, controls = {}) {
+    const testCasesCount = testCaseTargetCount(level, controls);
+    const levelDistribution = COVERAGE_DISTRIBUTIONS[level] || COVERAGE_DISTRIBUTIONS['Medium'];
+    const distribution = controls.categoryMix
+        ? Object.keys(COVERAGE_CATEGORIES)
+            .filter(key => controls.categoryMix[key] > 0)
+            .map(key => [key, levelDistribution.find(([levelKey]) => levelKey === key)?.[1] || COVERAGE_CATEGORIES[key], controls.categoryMix[key]])
+        : levelDistribution;
+
+    const counts = allocateCounts(testCasesCount, distribution.map(([, , share]) => share));
+    return distribution
+        .map(([key, category], index) => ({ key, category, count: counts[index] }))
+        .filter(chunk => chunk.count > 0);
+}
+
+// { positive, negative } for `count` tests, or null when no ratio was requested
+export function splitByTestType(count, positiveRatio) {
+    if (positiveRatio === undefined || positiveRatio === null) {
+        return null;
+    }
+    const positive = Math.round(count * positiveRatio);
+    return { positive, negative: count - positive };
+}
+
+// Returns a list of problems with the count/distribution/format overrides of a /generate body
+export function validateGenerationControls({ targetCount, positiveRatio, categoryMix, stepsFormat } = {}) {
+    const errors = [];
+    if (stepsFormat !== undefined && !STEPS_FORMATS.includes(stepsFormat)) {
+        errors.push(`stepsFormat must be one of ${STEPS_FORMATS.join(', ')}`);
+    }
+    if (targetCount !== undefined && (!Number.isInteger(targetCount) || targetCount < 1 || targetCount > MAX_TARGET_COUNT)) {
+        errors.push(`targetCount must be an integer between 1 and ${MAX_TARGET_COUNT}`);
+    }
+    if (positiveRatio !== undefined && (typeof positiveRatio !== 'number' || positiveRatio < 0 || positiveRatio > 1)) {
+        errors.push('positiveRatio must be a number between 0 and 1');
+    }
+    if (categoryMix !== undefined) {
+        if (!categoryMix || typeof categoryMix !== 'object' || Array.isArray(categoryMix)) {
+            errors.push('categoryMix must be an object');
+        } else {
+            const unknown = Object.keys(categoryMix).filter(key => !COVERAGE_CATEGORIES[key]);
+            if (unknown.length > 0) {
+                errors.push(`Unknown categoryMix categories: ${unknown.join(', ')} (allowed: ${Object.keys(COVERAGE_CATEGORIES).join(', ')})`);
+            }
+            const weights = Object.values(categoryMix);
+            if (weights.some(weight => typeof weight !== 'number' || weight < 0)) {
+                errors.push('categoryMix weights must be non-negative numbers');
+            } else if (!weights.some(weight => weight > 0)) {
+                errors.push('categoryMix needs at least one category with a positive weight');
+            }
+        }
+    }
+    return errors;
+}
+
+export const TEST_SCENARIO_LEVELS = {
     'Low': { min: 1, max: 3, focus: 'Happy path workflows', coverage: 'Primary success scenarios' },
     'Medium': { min: 3, max: 8, focus: 'Core workflows + error paths', coverage: 'Success + failure workflows + recovery paths' },
     'High': { min: 8, max: 15, focus: 'Complete user journeys', coverage: 'All user types + complex scenarios + integrations' },
     'Detailed': { min: 15, max: 25, focus: 'All possible workflows + integrations', coverage: 'Every possible path + system integrations + edge workflows' }
 };
 
-// Analyze the intent behind the custom prompt
-export async function analyzePromptIntent(prompt, testCases) {
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+// Keep the options from the model that the strategy accepts. Invalid ones are dropped (all of
+// them when only their combination is invalid): they are not the client's to fix with a 400.
+const acceptedModelOptions = (strategy, options) => {
+    if (strategy === 'custom' || !options || typeof options !== 'object' || Array.isArray(options)) {
+        return {};
+    }
+    const accepted = Object.fromEntries(Object.entries(options)
+        .filter(([key, value]) => validateStrategyOptions(strategy, { [key]: value }).length === 0));
+    return validateStrategyOptions(strategy, accepted).length === 0 ? accepted : {};
+};
 
-    // FIXED: Use optimized prompt instead of the original heavy one
+// Map a free-text arrangement prompt onto one of the deterministic strategies in
+// arrangementStrategies.js. The model only picks the strategy and its options; 'custom'
+// means none fit and the ID-only AI ordering below is used instead.
+export async function analyzePromptIntent(prompt, testCases, llm, reporter = noopReporter) {
     const intentPrompt = `
-Analyze test case arrangement request:
+Map a test case arrangement request onto one of the available strategies.
 
 User Prompt: "${prompt}"
 Test Cases: ${testCases.length} total
 Sample IDs: ${testCases.slice(0, 10).map(tc => tc.id).join(', ')}
 
-Return JSON with intent analysis including:
-- intent: workflow|priority|dependency|risk|module|execution|custom
-- strategy: arrangement approach
+Available strategies:
+${ARRANGEMENT_STRATEGY_NAMES.map(name => `- ${name}: ${ARRANGEMENT_STRATEGIES[name].description}. Options: ${JSON.stringify(ARRANGEMENT_STRATEGIES[name].options)}`).join('\n')}
+- custom: none of the above fits the request
+
+Return JSON with:
+- strategy: one of ${[...ARRANGEMENT_STRATEGY_NAMES, 'custom'].join('|')}
+- options: object with only the options listed for that strategy (may be empty)
 - confidence: 0-1 score
-- arrangementCriteria: sorting/grouping details
 - summary: what will be done
 
 Return ONLY valid JSON.
 `;
 
     try {
-        const result = await model.generateContent(intentPrompt);
-        const response = await result.response;
-        const intentText = response.text();
+        const intent = await callLLMForJson(llm, intentPrompt, ARRANGEMENT_INTENT_SCHEMA, { kind: 'arrangementIntent', baseDelay: 1000, reporter });
+        const strategy = [...ARRANGEMENT_STRATEGY_NAMES, 'custom'].includes(intent.strategy) ? intent.strategy : 'custom';
 
-        const cleanedText = intentText.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-        return JSON.parse(cleanedText);
+        return {
+            strategy,
+            options: acceptedModelOptions(strategy, intent.options),
+            confidence: intent.confidence,
+            summary: intent.summary || '',
+            source: 'llm'
+        };
     } catch (error) {
         console.error('Error analyzing intent:', error);
+
+        const strategy = matchStrategyKeywords(prompt);
+        if (!strategy) {
+            throw new Error(`Could not map the prompt to an arrangement strategy: ${error.message}`);
+        }
+
         return {
-            intent: 'workflow',
-            strategy: 'basic_workflow_arrangement',
-            confidence: 0.7,
-            detectedPattern: 'custom',
-            arrangementCriteria: {
-                primarySort: 'priority',
-                secondarySort: 'type',
-                groupBy: null,
-                direction: 'ascending'
-            },
-            summary: 'Arranging test cases in a logical workflow order',
-            changes: 'Test cases will be reordered based on testing best practices'
+            strategy,
+            options: {},
+            confidence: 0.5,
+            summary: ARRANGEMENT_STRATEGIES[strategy].description,
+            source: 'keywords'
         };
     }
 }
 
-// Apply intelligent arrangement based on intent
-export async function applyIntelligentArrangement(testCases, prompt, intentAnalysis) {
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+export const GROUP_LAYOUTS = ['none', 'headers', 'column'];
+
+// Group header rows written by an arrangement carry this prefix in the ID column so they can
+// be told apart from test cases (and dropped) when the tab is read or arranged again.
+export const GROUP_HEADER_PREFIX = '## ';
+
+export function isGroupHeaderLabel(value) {
+    return typeof value === 'string' && value.startsWith(GROUP_HEADER_PREFIX);
+}
 
+// Ask the model for an ordering only. Row data never round-trips through the LLM;
+// the server reorders the original rows with buildArrangedRows.
+export async function applyIntelligentArrangement(testCases, prompt, llm, reporter = noopReporter) {
     const arrangementPrompt = `
 Arrange ${testCases.length} test cases per user request.
 
 User Request: "${prompt}"
-Strategy: ${intentAnalysis.strategy}
 
 Test Cases (IDs and summaries only):
 ${testCases.map(tc => `${tc.id}: ${tc.summary}`).join('\n')}
 
 Return JSON with:
-- arrangedTestCases: reordered array (keep ALL original fields)
+- orderedIds: array with EVERY test case ID above exactly once, in the new order
+- groups: array of { "label": "short group name", "ids": [IDs in this group] } (optional)
 - arrangementLogic: explanation
-- groupings: logical groups formed
 
-Apply strategy: ${intentAnalysis.strategy}
-Keep ALL original test case data intact, only change order.
+Do not return test case data, only IDs. Do not invent IDs.
 
 Return ONLY valid JSON.
 `;
 
-    try {
-        const result = await model.generateContent(arrangementPrompt);
-        const response = await result.response;
-        const arrangementText = response.text();
-        const cleanedText = arrangementText.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-        const arrangementResult = JSON.parse(cleanedText);
-
-        // Validate that we have all original test cases
-        if (arrangementResult.arrangedTestCases.length !== testCases.length) {
-            console.warn('⚠️ Arrangement result has different count, falling back to priority sort');
-            return sortByPriority(testCases);
+    const arrangementResult = await callLLMForJson(llm, arrangementPrompt, ARRANGEMENT_SCHEMA, { kind: 'arrangement', baseDelay: 1000, reporter });
+
+    const orderedIds = Array.isArray(arrangementResult.orderedIds) ? arrangementResult.orderedIds.map(String) : [];
+    const validationErrors = validateArrangementOrder(orderedIds, testCases);
+
+    if (validationErrors.length > 0) {
+        console.warn('⚠️ Arrangement rejected:', validationErrors.join('; '));
+        reporter.emit('warning', { message: 'Arrangement rejected', errors: validationErrors });
+        const error = new Error('AI arrangement did not return every test case ID exactly once');
+        error.validationErrors = validationErrors;
+        throw error;
+    }
+
+    return {
+        orderedIds,
+        groups: normalizeArrangementGroups(arrangementResult.groups, orderedIds),
+        arrangementLogic: arrangementResult.arrangementLogic || ''
+    };
+}
+
+// Every ID on the sheet must appear exactly once, and nothing else may appear
+export function validateArrangementOrder(orderedIds, testCases) {
+    const errors = [];
+    const knownIds = new Set(testCases.map(tc => tc.id));
+    const seen = new Set();
+
+    orderedIds.forEach(id => {
+        if (!knownIds.has(id)) {
+            errors.push(`Unknown ID: ${id}`);
+        } else if (seen.has(id)) {
+            errors.push(`Duplicate ID: ${id}`);
+        }
+        seen.add(id);
+    });
+
+    knownIds.forEach(id => {
+        if (!seen.has(id)) {
+            errors.push(`Missing ID: ${id}`);
         }
+    });
 
-        return arrangementResult.arrangedTestCases;
+    return errors;
+}
 
-    } catch (error) {
-        console.error('Error in arrangement:', error);
-        // Fallback to simple priority-based sorting
-        return sortByPriority(testCases);
+// Keep groups that reference known IDs; an ID claimed by several groups stays in the first
+function normalizeArrangementGroups(groups, orderedIds) {
+    if (!Array.isArray(groups)) {
+        return [];
     }
+
+    const known = new Set(orderedIds);
+    const assigned = new Set();
+
+    return groups.map(group => {
+        const ids = (Array.isArray(group?.ids) ? group.ids : [])
+            .map(String)
+            .filter(id => known.has(id) && !assigned.has(id));
+        ids.forEach(id => assigned.add(id));
+        return { label: String(group?.label || '').trim() || 'Ungrouped', ids };
+    }).filter(group => group.ids.length > 0);
 }
 
-// Update spreadsheet with new arrangement
-export async function updateSpreadsheetWithArrangement(sheets, spreadsheetId, sheetName, arrangedTestCases, headerRow) {
-    try {
-        // Prepare data for update
-        const updatedData = [headerRow]; // Keep original header
-
-        arrangedTestCases.forEach(testCase => {
-            updatedData.push([
-                testCase.id,
-                testCase.module,
-                testCase.submodule,
-                testCase.summary,
-                testCase.testSteps,
-                testCase.expectedResults,
-                testCase.actualResult || '',
-                testCase.testCaseType,
-                testCase.environment,
-                testCase.status
-            ]);
+// Reorder the original sheet rows by ID. Rows sharing an ID move together, rows without an
+// ID keep their place at the end, and group header rows from a previous arrangement (and
+// empty rows) are dropped. `groupLayout` adds header rows or a Group column.
+// `idColumn` is the ID column index from the tab's header mapping. Returns the arranged
+// `rows` (header included), their `sources` (index in `rows` each came from, null for a new
+// group header row), `groupColumn` (-1 without one) and `groupedCount`, the number of rows
+// before the ID-less ones, which the Group column covers.
+export function buildArrangedRows(rows, orderedIds, groups = [], groupLayout = 'none', idColumn = 0) {
+    const header = [...(rows[0] || [])];
+    const rowsById = new Map();
+    const unidentifiedRows = [];
+
+    rows.slice(1).forEach((row, index) => {
+        const entry = { row: [...row], source: index + 1 };
+        const id = row[idColumn] || '';
+        if (isGroupHeaderLabel(id)) {
+            return;
+        }
+        if (!id) {
+            if (row.some(cell => cell !== '' && cell !== undefined && cell !== null)) {
+                unidentifiedRows.push(entry);
+            }
+            return;
+        }
+        if (!rowsById.has(id)) {
+            rowsById.set(id, []);
+        }
+        rowsById.get(id).push(entry);
+    });
+
+    const groupById = new Map();
+    groups.forEach(group => group.ids.forEach(id => groupById.set(id, group.label)));
+
+    let groupColumn = -1;
+    if (groupLayout === 'column') {
+        groupColumn = header.indexOf('Group');
+        if (groupColumn === -1) {
+            groupColumn = header.length;
+            header[groupColumn] = 'Group';
+        }
+    }
+
+    const arranged = [{ row: header, source: 0 }];
+    let previousGroup = null;
+
+    orderedIds.forEach(id => {
+        const label = groupById.get(id) || null;
+
+        if (groupLayout === 'headers' && label && label !== previousGroup) {
+            const count = orderedIds.filter(otherId => groupById.get(otherId) === label).length;
+            const headerRow = new Array(idColumn + 1).fill('');
+            headerRow[idColumn] = `${GROUP_HEADER_PREFIX}${label} (${count})`;
+            arranged.push({ row: headerRow, source: null });
+        }
+        previousGroup = label;
+
+        (rowsById.get(id) || []).forEach(entry => {
+            if (groupColumn !== -1) {
+                while (entry.row.length < groupColumn) {
+                    entry.row.push('');
+                }
+                entry.row[groupColumn] = label || '';
+            }
+            arranged.push(entry);
+        });
+    });
+
+    const all = [...arranged, ...unidentifiedRows];
+    return {
+        rows: all.map(entry => entry.row),
+        sources: all.map(entry => entry.source),
+        groupColumn,
+        groupedCount: arranged.length
+    };
+}
+
+// Put the tab rows (`rows` as read) in the order of a buildArrangedRows result by moving
+// them, so every cell keeps its formula, value type and formatting. Dropped rows are deleted
+// and new group header rows inserted; their labels and the Group column are written RAW.
+export async function updateSpreadsheetWithArrangement(sheets, spreadsheetId, sheetName, rows, arranged) {
+    const spreadsheetInfo = await sheets.spreadsheets.get({
+        spreadsheetId,
+        fields: 'sheets.properties'
+    });
+    const sheetId = spreadsheetInfo.data.sheets.find(s => s.properties.title === sheetName)?.properties.sheetId;
+    if (sheetId === undefined) {
+        throw new Error(`Sheet "${sheetName}" not found`);
+    }
+
+    const rowRange = (index) => ({ sheetId, dimension: 'ROWS', startIndex: index, endIndex: index + 1 });
+    const requests = [];
+    const data = [];
+
+    // Bottom up, so the indexes of the rows above stay valid
+    const kept = arranged.sources.filter(source => source !== null);
+    const keptSet = new Set(kept);
+    for (let index = rows.length - 1; index >= 0; index--) {
+        if (!keptSet.has(index)) {
+            requests.push({ deleteDimension: { range: rowRange(index) } });
+        }
+    }
+
+    // Move each row up into its place; `current` follows the order as the moves apply
+    const current = [...kept].sort((a, b) => a - b);
+    kept.forEach((source, position) => {
+        const from = current.indexOf(source);
+        if (from !== position) {
+            requests.push({ moveDimension: { source: rowRange(from), destinationIndex: position } });
+            current.splice(from, 1);
+            current.splice(position, 0, source);
+        }
+    });
+
+    // Top down, so each group header row lands at its final index
+    arranged.sources.forEach((source, index) => {
+        if (source === null) {
+            requests.push({ insertDimension: { range: rowRange(index), inheritFromBefore: false } });
+            data.push({ range: `'${sheetName}'!A${index + 1}`, values: [arranged.rows[index]] });
+        }
+    });
+
+    if (arranged.groupColumn !== -1) {
+        const letter = columnLetter(arranged.groupColumn);
+        data.push({
+            range: `'${sheetName}'!${letter}1:${letter}${arranged.groupedCount}`,
+            values: arranged.rows.slice(0, arranged.groupedCount).map(row => [row[arranged.groupColumn] ?? ''])
         });
+    }
 
-        // FIXED: Clear the existing data for 10 columns
-        await sheets.spreadsheets.values.clear({
+    if (requests.length > 0) {
+        await sheets.spreadsheets.batchUpdate({
             spreadsheetId,
-            range: `'${sheetName}'!A:J`
+            requestBody: { requests }
         });
+    }
 
-        // Write the rearranged data
-        await sheets.spreadsheets.values.update({
+    if (data.length > 0) {
+        await sheets.spreadsheets.values.batchUpdate({
             spreadsheetId,
-            range: `'${sheetName}'!A1`,
-            valueInputOption: 'USER_ENTERED',
             requestBody: {
-                values: updatedData
+                valueInputOption: 'RAW',
+                data
             }
         });
-
-        console.log("✅ Spreadsheet updated with new arrangement");
-        return true;
-    } catch (error) {
-        console.error('Error updating spreadsheet:', error);
-        return false;
     }
+
+    console.log("✅ Spreadsheet updated with new arrangement");
 }
 
 // ENHANCED: More comprehensive existing context extraction
@@ -254,9 +571,78 @@ export function createCompactTestCasesContext(existingTestCases, sheetName) {
     return createEnhancedTestCasesContext(existingTestCases, sheetName);
 }
 
-export function createAntiDuplicatePrompt(module, summary, acceptanceCriteria, level, nextIdNumber, existingContext) {
+// Example object for the JSON format section, one key per template column the model fills
+function buildTestCaseExample(columns, module, nextId, stepsFormat = 'steps') {
+    const defaultOf = (field) => columns.find(column => column.field === field)?.default;
+    const examples = {
+        id: nextId,
+        module,
+        submodule: 'UNIQUE_COMPONENT_NAME',
+        summary: 'UNIQUE test description with specific objective',
+        testSteps: stepsFormat === 'gherkin'
+            ? ['Given a specific precondition', 'When the user performs a specific action', 'Then a specific outcome is visible', 'And a distinct validation holds']
+            : 'Step 1. Specific action\nStep 2. Unique verification\nStep 3. Distinct validation',
+        expectedResults: 'Specific expected outcome',
+        environment: defaultOf('environment') || 'Test',
+        status: defaultOf('status') || 'Not Tested'
+    };
+
+    const example = {};
+    columns.filter(column => column.field !== 'actualResult').forEach(column => {
+        if (examples[column.field] !== undefined) {
+            example[column.field] = examples[column.field];
+        } else if (column.allowedValues?.length) {
+            example[column.field] = column.allowedValues.join('|');
+        } else {
+            example[column.field] = column.description || column.header;
+        }
+        if (column.field === 'testSteps' && stepsFormat === 'gherkin') {
+            example.examples = null;
+        }
+    });
+    return example;
+}
+
+const GHERKIN_GUIDANCE = `
+GHERKIN STEPS (BDD mode):
+- testSteps is an array of Gherkin steps, each starting with Given, When, Then, And or But
+- Start with Given (preconditions), then When (actions), then Then (observable outcomes)
+- Keep steps declarative and reusable across scenarios; no "Step 1." numbering or UI coordinates
+- For data-driven cases write <placeholders> in the steps and set "examples" to
+  { "headers": ["placeholder", ...], "rows": [["value", ...], ...] } (a Scenario Outline); otherwise "examples": null
+- Test cases of one submodule that share the same first Given steps should word them identically
+`;
+
+// Field-level guidance: Priority/Severity meanings and the project's custom fields
+function buildFieldGuidance(columns) {
+    const sections = [];
+    const fields = new Set(columns.map(column => column.field));
+
+    if (fields.has('priority') || fields.has('severity')) {
+        sections.push(`PRIORITY & SEVERITY:
+- priority: P1 = core flow / release blocker, P2 = important, P3 = normal, P4 = nice to have
+- severity: impact if this test fails (Critical = data loss, security or outage; Major = feature broken; Minor = workaround exists; Trivial = cosmetic)`);
+    }
+
+    const customColumns = columns.filter(column => column.custom);
+    if (customColumns.length > 0) {
+        sections.push(`PROJECT FIELDS (fill for every test case):
+${customColumns.map(column => `- ${column.field} ("${column.header}")${column.description ? `: ${column.description}` : ''}${column.allowedValues?.length ? ` - one of ${column.allowedValues.join('|')}` : ''}${column.type === 'number' ? ' - a number' : ''}${column.type === 'date' ? ' - a date (YYYY-MM-DD)' : ''}`).join('\n')}`);
+    }
+
+    return sections.length > 0 ? `\n${sections.join('\n\n')}\n` : '';
+}
+
+// `chunk` ({ category, count, index, total, generatedSummaries }) narrows the prompt to one
+// coverage category and lists what earlier chunks of the same run already produced; without a
+// category it asks for `count` additional tests in any category (top-up calls). `controls` are
+// the optional /generate overrides: count/ratio/mix (see planTestCaseChunks) and stepsFormat
+// ('gherkin' for Given/When/Then steps); a chunk's `typeCounts` ({ positive, negative })
+// override the ratio.
+export function createAntiDuplicatePrompt(module, summary, acceptanceCriteria, level, nextId, existingContext, columns = TEST_CASE_COLUMNS, chunk = null, controls = {}) {
     const levelConfig = TEST_CASE_LEVELS[level] || TEST_CASE_LEVELS['Medium'];
-    const testCasesCount = Math.round((levelConfig.min + levelConfig.max) / 2);
+    const testCasesCount = chunk ? chunk.count : testCaseTargetCount(level, controls);
+    const typeCounts = chunk?.typeCounts || splitByTestType(testCasesCount, controls.positiveRatio);
 
     const levelInstructions = {
         'Low': `
@@ -291,12 +677,29 @@ DETAILED LEVEL FOCUS:
 - Integration with external systems`
     };
 
-    const distributionMap = {
-        'Low': `- Critical Happy Paths: ${Math.ceil(testCasesCount * 0.60)} tests\n- Essential Validation: ${Math.ceil(testCasesCount * 0.40)} tests`,
-        'Medium': `- Happy Path Variations: ${Math.ceil(testCasesCount * 0.45)} tests\n- Input Validation: ${Math.ceil(testCasesCount * 0.30)} tests\n- Error Handling: ${Math.ceil(testCasesCount * 0.25)} tests`,
-        'High': `- Happy Path Variations: ${Math.ceil(testCasesCount * 0.35)} tests\n- Input Validation: ${Math.ceil(testCasesCount * 0.25)} tests\n- Error Handling: ${Math.ceil(testCasesCount * 0.20)} tests\n- Edge Cases & Boundaries: ${Math.ceil(testCasesCount * 0.15)} tests\n- Integration & Workflow: ${Math.ceil(testCasesCount * 0.05)} tests`,
-        'Detailed': `- Happy Path Complex Variations: ${Math.ceil(testCasesCount * 0.30)} tests\n- Comprehensive Input Validation: ${Math.ceil(testCasesCount * 0.25)} tests\n- Extensive Error Handling: ${Math.ceil(testCasesCount * 0.20)} tests\n- Edge Cases & Boundary Testing: ${Math.ceil(testCasesCount * 0.15)} tests\n- Integration & Cross-Component: ${Math.ceil(testCasesCount * 0.10)} tests`
-    };
+    const plannedChunks = planTestCaseChunks(level, controls);
+    const distribution = plannedChunks.map(({ category, count }) => `- ${category}: ${count} tests`).join('\n');
+
+    let coverageSection = `COVERAGE DISTRIBUTION (${testCasesCount} unique tests):
+${distribution}`;
+    if (chunk?.category) {
+        const otherCategories = plannedChunks.map(({ category }) => category).filter(category => category !== chunk.category);
+        coverageSection = `COVERAGE CATEGORY: ${chunk.category} (batch ${chunk.index} of ${chunk.total})
+Generate ONLY "${chunk.category}" tests in this batch.${otherCategories.length > 0 ? ` ${otherCategories.join(', ')} are covered by separate batches.` : ''}`;
+    } else if (chunk) {
+        coverageSection = `ADDITIONAL TESTS: ${testCasesCount} more tests for areas the tests below do not cover yet, in any category.`;
+    }
+    if (chunk?.generatedSummaries?.length > 0) {
+        coverageSection += `
+
+ALREADY GENERATED IN THIS RUN (do not repeat or rephrase):
+${chunk.generatedSummaries.map(generated => `- ${generated}`).join('\n')}`;
+    }
+    if (typeCounts) {
+        coverageSection += `
+
+TEST TYPE MIX: exactly ${typeCounts.positive} Positive and ${typeCounts.negative} Negative test cases.`;
+    }
 
     return `
 Generate ${testCasesCount} COMPLETELY UNIQUE test cases for: ${module}
@@ -317,8 +720,7 @@ ANTI-DUPLICATE REQUIREMENTS:
 5. Use different edge cases and boundary conditions
 6. Different error scenarios and recovery paths
 
-COVERAGE DISTRIBUTION (${testCasesCount} unique tests):
-${distributionMap[level] || distributionMap['Medium']}
+${coverageSection}
 
 UNIQUENESS STRATEGIES:
 - Use different submodules for similar functionality
@@ -328,20 +730,8 @@ UNIQUENESS STRATEGIES:
 - Different data volumes and types
 
 JSON Format (STRICTLY follow):
-[
-  {
-    "id": "PC_${nextIdNumber}",
-    "module": "${module}",
-    "submodule": "UNIQUE_COMPONENT_NAME",
-    "summary": "UNIQUE test description with specific objective",
-    "testSteps": "Step 1. Specific action\\nStep 2. Unique verification\\nStep 3. Distinct validation",
-    "expectedResults": "Specific expected outcome",
-    "testCaseType": "Positive|Negative",
-    "environment": "Test",
-    "status": "Not Tested"
-  }
-]
-
+${JSON.stringify([buildTestCaseExample(columns, module, nextId, controls.stepsFormat)], null, 2)}
+${controls.stepsFormat === 'gherkin' ? GHERKIN_GUIDANCE : ''}${buildFieldGuidance(columns)}
 CRITICAL: Every test case must be completely different in approach, data, and validation method.
 Return ONLY the JSON array with ${testCasesCount} absolutely unique test cases.
 `;
@@ -483,7 +873,7 @@ function extractScenariosFromCriteria(acceptanceCriteria) {
     return scenarios;
 }
 
-export function createGapFillingTestScenariosPrompt(module, summary, acceptanceCriteria, gapAnalysis, existingContext) {
+export function createGapFillingTestScenariosPrompt(module, summary, acceptanceCriteria, gapAnalysis, existingContext, nextId = 'TS_1') {
     if (!gapAnalysis.hasGaps) {
         return null; // No gaps, no need to generate
     }
@@ -520,7 +910,7 @@ REQUIREMENTS FOR GAP-FILLING:
 JSON Format:
 [
   {
-    "id": "TS_GAP_1",
+    "id": "${nextId}",
     "module": "${module}",
     "condition": "Missing functionality condition",
     "testScenarios": "Simple gap-filling scenario description",
@@ -533,19 +923,24 @@ CRITICAL: Only generate scenarios that fill actual gaps. Return ONLY JSON array
 }
 
 // ENHANCED: Update the main generation function to use these improvements
-export function updateGenerateTestCasesPrompt(module, summary, acceptanceCriteria, level, existingTestCasesContext, nextIdNumber) {
+export function updateGenerateTestCasesPrompt(module, summary, acceptanceCriteria, level, existingTestCasesContext, nextId, columns = TEST_CASE_COLUMNS, chunk = null, controls = {}) {
     return createAntiDuplicatePrompt(
         module, 
         summary, 
         acceptanceCriteria, 
         level, 
-        nextIdNumber, 
-        existingTestCasesContext
+        nextId, 
+        existingTestCasesContext,
+        columns,
+        chunk,
+        controls
     );
 }
 
 // ENHANCED: Improved validation with stronger duplicate detection
-export function validateAndCleanTestCasesEnhanced(testCases, existingTestCases = []) {
+// Every dropped case is reported as a `duplicate_removed` progress event with its reason,
+// and appended to `rejected` (when given) so previews can show why it was dropped.
+export function validateAndCleanTestCasesEnhanced(testCases, existingTestCases = [], { reporter = noopReporter, rejected = null, columns = TEST_CASE_COLUMNS } = {}) {
     console.log(`🔍 Starting enhanced validation for ${testCases.length} generated test cases`);
 
     // Combine new and existing test cases for comprehensive duplicate checking
@@ -557,17 +952,19 @@ export function validateAndCleanTestCasesEnhanced(testCases, existingTestCases =
             steps = steps.join('\n');
         }
 
-        return {
-            id: tc.id || `PC_${(index + 1)}`,
+        return withCustomFields({
+            id: tc.id || String(index + 1),
             module: tc.module || '',
             submodule: tc.submodule || '',
-            summary: tc.summary || tc.title || `Test Case ${index + 1}`,
+            summary: tc.summary || tc.title || '',
             testSteps: steps || '',
             expectedResults: tc.expectedResults || tc.expectedResult || '',
             testCaseType: tc.testCaseType || 'Positive',
             environment: tc.environment || 'Test',
-            status: tc.status || 'Not Tested'
-        };
+            status: tc.status || 'Not Tested',
+            priority: normalizePriority(tc.priority) || DEFAULT_PRIORITY,
+            severity: normalizeSeverity(tc.severity) || DEFAULT_SEVERITY
+        }, tc, columns);
     }).filter(tc => tc.summary);
 
     // ENHANCED: Multi-level duplicate detection
@@ -577,6 +974,13 @@ export function validateAndCleanTestCasesEnhanced(testCases, existingTestCases =
     const seenPurposes = new Set();
     let duplicateCount = 0;
 
+    const dropCase = (tc, reason, message) => {
+        console.warn(`🚨 ${message}: ${tc.summary}`);
+        duplicateCount++;
+        reporter.emit('duplicate_removed', { id: tc.id, summary: tc.summary, reason, message });
+        rejected?.push({ testCase: tc, reason, message });
+    };
+
     // Add existing test cases to seen sets
     allExistingCases.forEach(existingTc => {
         seenSummaries.add(existingTc.summary.toLowerCase().trim());
@@ -593,8 +997,7 @@ export function validateAndCleanTestCasesEnhanced(testCases, existingTestCases =
 
         // Check 1: Exact summary duplicate
         if (seenSummaries.has(summaryKey)) {
-            console.warn(`🚨 Duplicate summary removed: ${tc.summary}`);
-            duplicateCount++;
+            dropCase(tc, 'duplicate_summary', 'Duplicate summary removed');
             return;
         }
 
@@ -602,8 +1005,7 @@ export function validateAndCleanTestCasesEnhanced(testCases, existingTestCases =
         let hasSimilarSteps = false;
         for (const existingSteps of seenStepsSignatures) {
             if (calculateAdvancedSimilarity(stepsSignature, existingSteps) > 0.75) {
-                console.warn(`🚨 Similar test steps removed: ${tc.summary}`);
-                duplicateCount++;
+                dropCase(tc, 'similar_steps', 'Similar test steps removed');
                 hasSimilarSteps = true;
                 break;
             }
@@ -614,8 +1016,7 @@ export function validateAndCleanTestCasesEnhanced(testCases, existingTestCases =
         let hasSimilarPurpose = false;
         for (const existingPurpose of seenPurposes) {
             if (calculatePurposeSimilarity(testPurpose, existingPurpose) > 0.70) {
-                console.warn(`🚨 Similar test purpose removed: ${tc.summary}`);
-                duplicateCount++;
+                dropCase(tc, 'similar_purpose', 'Similar test purpose removed');
                 hasSimilarPurpose = true;
                 break;
             }
@@ -627,8 +1028,7 @@ export function validateAndCleanTestCasesEnhanced(testCases, existingTestCases =
         for (const uniqueCase of uniqueCases) {
             if (calculateAdvancedSimilarity(stepsSignature, createStepsSignature(uniqueCase.testSteps)) > 0.70 ||
                 calculatePurposeSimilarity(testPurpose, extractTestPurpose(uniqueCase.summary)) > 0.70) {
-                console.warn(`🚨 Duplicate within batch removed: ${tc.summary}`);
-                duplicateCount++;
+                dropCase(tc, 'duplicate_in_batch', 'Duplicate within batch removed');
                 isDuplicateInBatch = true;
                 break;
             }
@@ -719,23 +1119,28 @@ function calculatePurposeSimilarity(purpose1, purpose2) {
     return commonWords.length / totalWords;
 }
 
-// Replace parseGeminiJSON validation call with enhanced version
-export function parseGeminiJSONEnhanced(text, existingTestCases = []) {
-    console.log("🔍 Starting enhanced JSON parsing...");
-
-    // Use existing parsing logic first
-    const parsed = parseGeminiJSON(text);
-
-    // Then apply enhanced validation
-    return performPostGenerationValidation(parsed, existingTestCases);
+// Clean and de-duplicate test cases that already passed testCasesSchema (see callLLMForJson).
+// Scenario Outline examples from Gherkin mode are folded into the Test Steps cell.
+export function cleanGeneratedTestCases(testCases, existingTestCases = [], options = {}) {
+    const withExamples = testCases.map(tc => (tc.examples ? { ...tc, testSteps: formatGherkinSteps(tc.testSteps, tc.examples) } : tc));
+    const cleaned = validateAndCleanTestCases(withExamples, options);
+    return performPostGenerationValidation(cleaned, existingTestCases, options);
 }
 
 // ENHANCED: Post-generation validation
-export function performPostGenerationValidation(generatedTestCases, existingTestCases = []) {
+export function performPostGenerationValidation(generatedTestCases, existingTestCases = [], options = {}) {
     console.log("🔍 Performing post-generation validation...");
+    const { reporter = noopReporter } = options;
 
     // Use enhanced validation
-    const validatedCases = validateAndCleanTestCasesEnhanced(generatedTestCases, existingTestCases);
+    const validatedCases = validateAndCleanTestCasesEnhanced(generatedTestCases, existingTestCases, options);
+
+    reporter.emit('validated', {
+        kind: 'testCases',
+        received: generatedTestCases.length,
+        unique: validatedCases.length,
+        removed: generatedTestCases.length - validatedCases.length
+    });
 
     // Additional checks
     if (validatedCases.length < generatedTestCases.length * 0.7) {
@@ -779,118 +1184,26 @@ ${recentScenarios}
 CRITICAL: Create NEW scenarios with different conditions!`;
 }
 
-// Robust JSON parser for Gemini responses
-export function parseGeminiJSON(text) {
-    console.log("🔍 Starting JSON parsing...");
-    console.log("📄 Raw text length:", text.length);
-    console.log("📄 First 500 chars:", text.substring(0, 500));
-
-    let cleanedText = text.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-
-    const startIndex = cleanedText.indexOf('[');
-    const endIndex = cleanedText.lastIndexOf(']');
-
-    if (startIndex === -1 || endIndex === -1 || endIndex <= startIndex) {
-        console.log("❌ No valid JSON array boundaries found");
-        console.log("🔧 Using fallback test cases");
-        return getFallbackTestCases();
-    }
-
-    const jsonString = cleanedText.substring(startIndex, endIndex + 1);
-    console.log("📝 Extracted JSON string length:", jsonString.length);
-    console.log("📝 First 200 chars of JSON:", jsonString.substring(0, 200));
-
-    // Strategy 1: Direct parsing
-    try {
-        const parsed = JSON.parse(jsonString);
-        if (Array.isArray(parsed) && parsed.length > 0) {
-            console.log("✅ Direct JSON parsing successful");
-            console.log("📊 Parsed", parsed.length, "test cases");
-            const cleaned = validateAndCleanTestCases(parsed);
-            console.log("📊 After validation:", cleaned.length, "test cases");
-            return cleaned;
-        }
-    } catch (error) {
-        console.log("❌ Direct parsing failed:", error.message);
-    }
-
-    // Strategy 2: Fix common JSON issues
-    try {
-        let fixedJson = jsonString
-            .replace(/,(\s*[}\]])/g, '$1')  // Remove trailing commas
-            .replace(/\n/g, '\\n')          // Escape newlines
-            .replace(/\r/g, '\\r')          // Escape carriage returns
-            .replace(/\t/g, '\\t');         // Escape tabs
-
-        console.log("🔧 Attempting to parse fixed JSON...");
-        const parsed = JSON.parse(fixedJson);
-        if (Array.isArray(parsed) && parsed.length > 0) {
-            console.log("✅ Fixed JSON parsing successful");
-            return validateAndCleanTestCases(parsed);
-        }
-    } catch (error) {
-        console.log("❌ Fixed JSON parsing failed:", error.message);
-    }
-
-    // Strategy 3: Manual parsing
-    console.log("🔧 Attempting manual parsing...");
-    const manualParsed = manuallyParseTestCases(text);
-    if (manualParsed.length > 0) {
-        console.log("✅ Manual parsing successful");
-        return manualParsed;
-    }
-
-    console.log("❌ All parsing strategies failed, using fallback");
-    return getFallbackTestCases();
-}
-
-export function parseTestScenariosJSON(text) {
-    console.log("🔍 Starting test scenarios JSON parsing...");
-
-    let cleanedText = text.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-
-    const startIndex = cleanedText.indexOf('[');
-    const endIndex = cleanedText.lastIndexOf(']');
-
-    if (startIndex === -1 || endIndex === -1 || endIndex <= startIndex) {
-        console.log("❌ No valid JSON array boundaries found for scenarios");
-        return getFallbackTestScenarios();
-    }
-
-    const jsonString = cleanedText.substring(startIndex, endIndex + 1);
-
-    try {
-        const parsed = JSON.parse(jsonString);
-        if (Array.isArray(parsed) && parsed.length > 0) {
-            console.log("✅ Test scenarios JSON parsing successful");
-            return validateAndCleanTestScenarios(parsed);
-        }
-    } catch (error) {
-        console.log("❌ Test scenarios parsing failed:", error.message);
-    }
-
-    console.log("❌ Test scenarios parsing failed, using fallback");
-    return getFallbackTestScenarios();
-}
-
-export function validateAndCleanTestCases(testCases) {
+export function validateAndCleanTestCases(testCases, { reporter = noopReporter, rejected = null, columns = TEST_CASE_COLUMNS } = {}) {
     const cleaned = testCases.map((tc, index) => {
         let steps = tc.testSteps || tc.steps;
         if (Array.isArray(steps)) {
             steps = steps.join('\n');
         }
 
-        return {
-            id: tc.id || `PC_${(index + 1)}`,
+        return withCustomFields({
+            id: tc.id || String(index + 1),
             module: tc.module || '',
             submodule: tc.submodule || '',
-            summary: tc.summary || tc.title || `Test Case ${index + 1}`,
+            summary: tc.summary || tc.title || '',
             testSteps: steps || '',
             expectedResults: tc.expectedResults || tc.expectedResult || '',
             testCaseType: tc.testCaseType || 'Positive',
             environment: tc.environment || 'Test',
-            status: tc.status || 'Not Tested'
-        };
+            status: tc.status || 'Not Tested',
+            priority: normalizePriority(tc.priority) || DEFAULT_PRIORITY,
+            severity: normalizeSeverity(tc.severity) || DEFAULT_SEVERITY
+        }, tc, columns);
     }).filter(tc => tc.summary);
 
     // Enhanced duplicate detection
@@ -907,6 +1220,8 @@ export function validateAndCleanTestCases(testCases) {
         if (seenSummaries.has(summaryKey)) {
             console.warn(`🚨 Duplicate summary removed: ${tc.summary}`);
             duplicateCount++;
+            reporter.emit('duplicate_removed', { id: tc.id, summary: tc.summary, reason: 'duplicate_summary', message: 'Duplicate summary removed' });
+            rejected?.push({ testCase: tc, reason: 'duplicate_summary', message: 'Duplicate summary removed' });
             return;
         }
 
@@ -916,6 +1231,8 @@ export function validateAndCleanTestCases(testCases) {
             if (calculateSimpleSimilarity(stepsSignature, existingSteps) > 0.85) {
                 console.warn(`🚨 Similar test steps removed: ${tc.summary}`);
                 duplicateCount++;
+                reporter.emit('duplicate_removed', { id: tc.id, summary: tc.summary, reason: 'similar_steps', message: 'Similar test steps removed' });
+                rejected?.push({ testCase: tc, reason: 'similar_steps', message: 'Similar test steps removed' });
                 isSimilar = true;
                 break;
             }
@@ -937,10 +1254,10 @@ export function validateAndCleanTestCases(testCases) {
 
 export function validateAndCleanTestScenarios(scenarios) {
     return scenarios.map((scenario, index) => ({
-        id: scenario.id || `TS_${(index + 1)}`,
+        id: scenario.id || String(index + 1),
         module: scenario.module || '',
         condition: scenario.condition || '',
-        testScenarios: scenario.testScenarios || scenario.description || `Test Scenario ${index + 1} Description`,
+        testScenarios: scenario.testScenarios || scenario.description || '',
         status: scenario.status || 'Not Tested'
     })).filter(scenario => scenario.testScenarios);
 }
@@ -959,79 +1276,6 @@ function calculateSimpleSimilarity(str1, str2) {
     return intersection.size / union.size;
 }
 
-function manuallyParseTestCases(text) {
-    const testCases = [];
-    const tcRegex = /"id":\s*"(PC_\d+)"/g;  // Changed from TC to PC_
-    const matches = [...text.matchAll(tcRegex)];
-
-    console.log(`🔍 Found ${matches.length} test case IDs manually`);
-
-    for (let i = 0; i < matches.length; i++) {
-        const tcId = matches[i][1];
-        const startPos = matches[i].index;
-        const endPos = i < matches.length - 1 ? matches[i + 1].index : text.length;
-        const tcText = text.substring(startPos, endPos);
-
-        const testCase = {
-            id: tcId,
-            module: extractField(tcText, 'module'),
-            submodule: extractField(tcText, 'submodule'),
-            summary: extractField(tcText, 'summary'),
-            testSteps: extractField(tcText, 'testSteps'),
-            expectedResults: extractField(tcText, 'expectedResults'),
-            testCaseType: extractField(tcText, 'testCaseType') || 'Positive',
-            environment: extractField(tcText, 'environment') || 'Test',
-            status: extractField(tcText, 'status') || 'Not Tested'
-        };
-
-        if (testCase.summary) {
-            testCases.push(testCase);
-        }
-    }
-
-    return testCases;
-}
-
-function extractField(text, fieldName) {
-    const regex = new RegExp(`"${fieldName}":\\s*"([^"]*)"`, 'i');
-    const match = text.match(regex);
-    return match ? match[1].replace(/\\n/g, '\n') : '';
-}
-
-function getFallbackTestCases() {
-    const fallbackCases = [];
-    for (let i = 1; i <= 20; i++) {
-        fallbackCases.push({
-            id: `PC_${i}`,
-            module: 'Test Module',
-            submodule: 'Test Submodule',
-            summary: `Test Case ${i} Summary`,
-            testSteps: `Step 1. Perform action for test case ${i}\nStep 2. Verify result\nStep 3. Validate outcome`,
-            expectedResults: `Expected result for test case ${i}`,
-            testCaseType: i % 4 === 0 ? 'Negative' : 'Positive',
-            environment: 'Test',
-            status: 'Not Tested'
-        });
-    }
-    return fallbackCases;
-}
-
-function getFallbackTestScenarios() {
-    const fallbackScenarios = [];
-    const conditions = ['Using Valid Credentials for Login', 'Using Invalid Credentials for Login', 'Forgot Password', 'Language Change', 'Attempt with empty fields'];
-
-    for (let i = 1; i <= 10; i++) {
-        fallbackScenarios.push({
-            id: `TS_${i}`,
-            module: 'Test Module',
-            condition: conditions[(i - 1) % conditions.length] || 'Default Condition',
-            testScenarios: `Test Scenario ${i}: End-to-end workflow testing for the module functionality`,
-            status: 'Not Tested'
-        });
-    }
-    return fallbackScenarios;
-}
-
 // Helper functions
 function getDistribution(testCases, field) {
     const distribution = {};
@@ -1041,30 +1285,25 @@ function getDistribution(testCases, field) {
     return Object.entries(distribution).map(([key, value]) => `${key}:${value}`).join(', ');
 }
 
-function sortByPriority(testCases) {
-    return testCases.sort((a, b) => {
-        const priorityOrder = { 'High': 1, 'Medium': 2, 'Low': 3 };
-        return priorityOrder[a.priority] - priorityOrder[b.priority];
-    });
-}
-
-export async function callGeminiWithRetry(model, prompt, maxRetries = 3, baseDelay = 1000) {
+// `llm` is any provider from llmProviders.js (Gemini, OpenAI-compatible, fixture replay).
+// Attempts, retries and failures are published on `reporter` for the SSE progress stream.
+export async function callGeminiWithRetry(llm, prompt, maxRetries = 3, baseDelay = 1000, reporter = noopReporter) {
     let lastError;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-            console.log(`🤖 Gemini API call attempt ${attempt}/${maxRetries}`);
+            console.log(`🤖 LLM call attempt ${attempt}/${maxRetries} (${llm.name}/${llm.model})`);
+            reporter.emit('llm_attempt', { attempt, maxRetries, provider: llm.name, model: llm.model });
 
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text();
+            const text = await llm.generateText(prompt);
 
-            console.log(`✅ Gemini API call successful on attempt ${attempt}`);
+            console.log(`✅ LLM call successful on attempt ${attempt}`);
+            reporter.emit('llm_success', { attempt, characters: text.length });
             return text;
 
         } catch (error) {
             lastError = error;
-            console.error(`❌ Gemini API call failed on attempt ${attempt}:`, error.message);
+            console.error(`❌ LLM call failed on attempt ${attempt}:`, error.message);
 
             // Check if it's a rate limit or overload error
             if (error.message.includes('503') ||
@@ -1076,6 +1315,7 @@ export async function callGeminiWithRetry(model, prompt, maxRetries = 3, baseDel
                     // Exponential backoff with jitter
                     const delay = baseDelay * Math.pow(2, attempt - 1) + Math.random() * 1000;
                     console.log(`⏳ Waiting ${Math.round(delay)}ms before retry...`);
+                    reporter.emit('llm_retry', { attempt, maxRetries, delayMs: Math.round(delay), error: error.message });
                     await new Promise(resolve => setTimeout(resolve, delay));
                     continue;
                 }
@@ -1086,22 +1326,52 @@ export async function callGeminiWithRetry(model, prompt, maxRetries = 3, baseDel
                 !error.message.includes('overloaded') &&
                 !error.message.includes('rate limit') &&
                 !error.message.includes('429')) {
+                reporter.emit('llm_failed', { attempt, error: error.message });
                 throw error;
             }
         }
     }
 
     // If all retries failed, throw the last error
+    reporter.emit('llm_failed', { attempt: maxRetries, error: lastError.message });
     throw lastError;
 }
 
+export const MAX_JSON_REPAIR_ATTEMPTS = 2;
+
+// Call the model for a JSON reply matching `schema` (see llmJson.js). Output that is invalid,
+// truncated or off-schema is sent back with the validation errors for up to `maxRepairs`
+// further attempts; after that an INVALID_MODEL_OUTPUT error (statusCode 502) is thrown.
+// Callers never substitute placeholder data for a failed reply.
+export async function callLLMForJson(llm, prompt, schema, { kind = 'response', maxRepairs = MAX_JSON_REPAIR_ATTEMPTS, baseDelay = 2000, reporter = noopReporter } = {}) {
+    let currentPrompt = prompt;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+        const text = await callGeminiWithRetry(llm, currentPrompt, 3, baseDelay, reporter);
+        const parsed = parseModelJson(text, schema);
+        errors = parsed.errors;
+
+        if (errors.length === 0) {
+            reporter.emit('parsed', { kind, count: Array.isArray(parsed.value) ? parsed.value.length : 1, attempt });
+            return parsed.value;
+        }
+
+        console.warn(`⚠️ Invalid ${kind} JSON on attempt ${attempt}:`, errors.slice(0, 5).join('; '));
+        reporter.emit('validation_failed', { kind, attempt, errors: errors.slice(0, 20), willRepair: attempt <= maxRepairs });
+        currentPrompt = buildRepairPrompt(prompt, text, errors, schema);
+    }
+
+    throw invalidModelOutputError(kind, errors, maxRepairs + 1);
+}
+
 // NEW: Function to append test cases to existing sheet
-export async function appendTestCasesToExistingSheet(sheets, spreadsheetId, sheetName, testCases, module) {
+export async function appendTestCasesToExistingSheet(sheets, spreadsheetId, sheetName, testCases, module, onFormatting, columns = TEST_CASE_COLUMNS) {
     try {
         // Get existing data to find the next available row
         const existingData = await sheets.spreadsheets.values.get({
             spreadsheetId,
-            range: `'${sheetName}'!A:J`,
+            range: `'${sheetName}'!${TEST_CASE_RANGE}`,
         });
 
         const existingRows = existingData.data.values || [];
@@ -1121,19 +1391,27 @@ export async function appendTestCasesToExistingSheet(sheets, spreadsheetId, shee
         }
         const sheetId = sheet.properties.sheetId;
 
-        // Prepare new test case data (without header)
-        const newTestCasesData = testCases.map(testCase => [
-            testCase.id || '',
-            testCase.module || module,
-            testCase.submodule || '',
-            testCase.summary || '',
-            testCase.testSteps || '',
-            testCase.expectedResults || '',
-            '', // Actual Result - empty initially
-            testCase.testCaseType || 'Positive',
-            testCase.environment || 'Test',
-            testCase.status || 'Not Tested'
-        ]);
+        // Write through the tab's own header mapping; Priority/Severity and the template's
+        // custom fields are added after the last header when the tab predates them
+        let mapping = resolveSheetMapping(existingRows[0], columns);
+        if (mapping.fields.id === undefined) {
+            const error = new Error(`No test case ID column found in "${sheetName}"`);
+            error.statusCode = 422;
+            error.columns = describeMapping(mapping);
+            throw error;
+        }
+        if (existingRows.length > 0) {
+            const addedFields = columns
+                .filter(column => column.custom || column.field === 'priority' || column.field === 'severity')
+                .map(column => column.field);
+            mapping = await addMissingColumns(sheets, spreadsheetId, sheetName, mapping, addedFields, sheetId);
+        }
+
+        // Prepare new test case data (without header); Actual Result starts empty
+        const newTestCasesData = testCases.map(testCase => testCaseToRow(
+            withPriorityAndSeverity({ ...testCase, module: testCase.module || module, actualResult: '' }),
+            mapping
+        ));
 
         // Append the new data
         await sheets.spreadsheets.values.update({
@@ -1142,6 +1420,7 @@ export async function appendTestCasesToExistingSheet(sheets, spreadsheetId, shee
             valueInputOption: 'USER_ENTERED',
             requestBody: { values: newTestCasesData }
         });
+        await onFormatting?.();
 
         // NOW ADD FORMATTING FOR THE NEW ROWS
         const startRowIndex = nextRow - 1; // Convert to 0-based index
@@ -1151,33 +1430,7 @@ export async function appendTestCasesToExistingSheet(sheets, spreadsheetId, shee
 
         const formatRequests = [
             // Format the new data rows with proper spacing and alignment
-            {
-                repeatCell: {
-                    range: {
-                        sheetId: sheetId,
-                        startRowIndex: startRowIndex,
-                        endRowIndex: endRowIndex,
-                        startColumnIndex: 0,
-                        endColumnIndex: 10
-                    },
-                    cell: {
-                        userEnteredFormat: {
-                            textFormat: {
-                                fontSize: 10
-                            },
-                            verticalAlignment: 'TOP',
-                            wrapStrategy: 'WRAP',
-                            padding: {
-                                top: 6,
-                                bottom: 6,
-                                left: 6,
-                                right: 6
-                            }
-                        }
-                    },
-                    fields: 'userEnteredFormat'
-                }
-            },
+            dataRowFormatRequest(sheetId, startRowIndex, endRowIndex, mappingWidth(mapping)),
             // Set row heights for better spacing
             {
                 updateDimensionProperties: {
@@ -1199,172 +1452,16 @@ export async function appendTestCasesToExistingSheet(sheets, spreadsheetId, shee
             requestBody: { requests: formatRequests }
         });
 
-        // Add conditional formatting for Test Case Type column (column H = index 7)
-        const conditionalFormatRequests = [
-            {
-                addConditionalFormatRule: {
-                    rule: {
-                        ranges: [{
-                            sheetId: sheetId,
-                            startRowIndex: startRowIndex,
-                            endRowIndex: endRowIndex,
-                            startColumnIndex: 7,
-                            endColumnIndex: 8
-                        }],
-                        booleanRule: {
-                            condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'Positive' }] },
-                            format: { backgroundColor: { red: 0.85, green: 0.95, blue: 0.85 } }
-                        }
-                    },
-                    index: 0
-                }
-            },
-            {
-                addConditionalFormatRule: {
-                    rule: {
-                        ranges: [{
-                            sheetId: sheetId,
-                            startRowIndex: startRowIndex,
-                            endRowIndex: endRowIndex,
-                            startColumnIndex: 7,
-                            endColumnIndex: 8
-                        }],
-                        booleanRule: {
-                            condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'Negative' }] },
-                            format: { backgroundColor: { red: 1.0, green: 0.85, blue: 0.85 } }
-                        }
-                    },
-                    index: 1
-                }
-            },
-            // Status conditional formatting (column J = index 9)
-            {
-                addConditionalFormatRule: {
-                    rule: {
-                        ranges: [{
-                            sheetId: sheetId,
-                            startRowIndex: startRowIndex,
-                            endRowIndex: endRowIndex,
-                            startColumnIndex: 9,
-                            endColumnIndex: 10
-                        }],
-                        booleanRule: {
-                            condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'Pass' }] },
-                            format: {
-                                backgroundColor: { red: 0.0, green: 0.5, blue: 0.0 },
-                                textFormat: { foregroundColor: { red: 1.0, green: 1.0, blue: 1.0 } }
-                            }
-                        }
-                    },
-                    index: 2
-                }
-            },
-            {
-                addConditionalFormatRule: {
-                    rule: {
-                        ranges: [{
-                            sheetId: sheetId,
-                            startRowIndex: startRowIndex,
-                            endRowIndex: endRowIndex,
-                            startColumnIndex: 9,
-                            endColumnIndex: 10
-                        }],
-                        booleanRule: {
-                            condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'Fail' }] },
-                            format: {
-                                backgroundColor: { red: 0.6, green: 0.0, blue: 0.0 },
-                                textFormat: { foregroundColor: { red: 1.0, green: 1.0, blue: 1.0 } }
-                            }
-                        }
-                    },
-                    index: 3
-                }
-            },
-            {
-                addConditionalFormatRule: {
-                    rule: {
-                        ranges: [{
-                            sheetId: sheetId,
-                            startRowIndex: startRowIndex,
-                            endRowIndex: endRowIndex,
-                            startColumnIndex: 9,
-                            endColumnIndex: 10
-                        }],
-                        booleanRule: {
-                            condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'Blocked' }] },
-                            format: {
-                                backgroundColor: { red: 1.0, green: 1.0, blue: 0.0 },
-                                textFormat: { foregroundColor: { red: 0.0, green: 0.0, blue: 0.0 } }
-                            }
-                        }
-                    },
-                    index: 4
-                }
-            }
-        ];
-
-        // Apply conditional formatting
+        // Conditional formatting for whichever of Type/Status/Priority/Severity the tab has,
+        // and validation for every template dropdown it has
         await sheets.spreadsheets.batchUpdate({
             spreadsheetId,
-            requestBody: { requests: conditionalFormatRequests }
-        });
-
-        // Add data validation for the new rows
-        const dataValidationRequests = [
-            // Test Case Type validation (column H = index 7)
-            {
-                setDataValidation: {
-                    range: {
-                        sheetId: sheetId,
-                        startRowIndex: startRowIndex,
-                        endRowIndex: endRowIndex,
-                        startColumnIndex: 7,
-                        endColumnIndex: 8
-                    },
-                    rule: {
-                        condition: {
-                            type: 'ONE_OF_LIST',
-                            values: [
-                                { userEnteredValue: 'Positive' },
-                                { userEnteredValue: 'Negative' }
-                            ]
-                        },
-                        showCustomUi: true,
-                        strict: true
-                    }
-                }
-            },
-            // Status validation (column J = index 9)
-            {
-                setDataValidation: {
-                    range: {
-                        sheetId: sheetId,
-                        startRowIndex: startRowIndex,
-                        endRowIndex: endRowIndex,
-                        startColumnIndex: 9,
-                        endColumnIndex: 10
-                    },
-                    rule: {
-                        condition: {
-                            type: 'ONE_OF_LIST',
-                            values: [
-                                { userEnteredValue: 'Not Tested' },
-                                { userEnteredValue: 'Pass' },
-                                { userEnteredValue: 'Fail' },
-                                { userEnteredValue: 'Blocked' }
-                            ]
-                        },
-                        showCustomUi: true,
-                        strict: true
-                    }
-                }
+            requestBody: {
+                requests: [
+                    ...columnFormatRequests(sheetId, mapping, startRowIndex, endRowIndex, FORMATTED_FIELDS),
+                    ...columnValidationRequests(sheetId, mapping, startRowIndex, endRowIndex)
+                ]
             }
-        ];
-
-        // Apply data validation
-        await sheets.spreadsheets.batchUpdate({
-            spreadsheetId,
-            requestBody: { requests: dataValidationRequests }
         });
 
         console.log("✅ Test cases appended successfully with full formatting");
@@ -1375,8 +1472,64 @@ export async function appendTestCasesToExistingSheet(sheets, spreadsheetId, shee
     }
 }
 
+// Style of appended test case rows
+function dataRowFormatRequest(sheetId, startRowIndex, endRowIndex, width) {
+    return {
+        repeatCell: {
+            range: {
+                sheetId: sheetId,
+                startRowIndex: startRowIndex,
+                endRowIndex: endRowIndex,
+                startColumnIndex: 0,
+                endColumnIndex: width
+            },
+            cell: {
+                userEnteredFormat: {
+                    textFormat: {
+                        fontSize: 10
+                    },
+                    verticalAlignment: 'TOP',
+                    wrapStrategy: 'WRAP',
+                    padding: {
+                        top: 6,
+                        bottom: 6,
+                        left: 6,
+                        right: 6
+                    }
+                }
+            },
+            fields: 'userEnteredFormat'
+        }
+    };
+}
+
+// Re-apply the data row style and dropdown validation to a row edited in place (1-based
+// `rowIndex`). Colour rules are left alone: they are range rules added when rows are first
+// written, and adding them on every edit would pile up duplicates.
+export async function formatEditedTestCaseRow(sheets, spreadsheetId, sheetName, mapping, rowIndex) {
+    const spreadsheetInfo = await sheets.spreadsheets.get({
+        spreadsheetId,
+        fields: 'sheets.properties'
+    });
+    const sheetId = spreadsheetInfo.data.sheets.find(s => s.properties.title === sheetName)?.properties.sheetId;
+    if (sheetId === undefined) {
+        throw new Error(`Sheet "${sheetName}" not found`);
+    }
+
+    await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+            requests: [
+                dataRowFormatRequest(sheetId, rowIndex - 1, rowIndex, mappingWidth(mapping)),
+                ...columnValidationRequests(sheetId, mapping, rowIndex - 1, rowIndex)
+            ]
+        }
+    });
+    return sheetId;
+}
+
 // NEW: Function to append test scenarios to existing sheet
-export async function appendTestScenariosToExistingSheet(sheets, spreadsheetId, sheetName, testScenarios, module) {
+export async function appendTestScenariosToExistingSheet(sheets, spreadsheetId, sheetName, testScenarios, module, onFormatting) {
     try {
         // Get existing data to find the next available row
         const existingData = await sheets.spreadsheets.values.get({
@@ -1416,6 +1569,7 @@ export async function appendTestScenariosToExistingSheet(sheets, spreadsheetId,
             valueInputOption: 'USER_ENTERED',
             requestBody: { values: newTestScenariosData }
         });
+        await onFormatting?.();
 
         // ADD FORMATTING FOR THE NEW ROWS
         const startRowIndex = nextRow - 1; // Convert to 0-based index
@@ -1590,7 +1744,8 @@ export async function appendTestScenariosToExistingSheet(sheets, spreadsheetId,
 
 
 // Helper function to add test cases sheet data
-export async function addTestCasesSheetData(sheets, spreadsheetId, sheetName, testCases, module) {
+// `onFormatting` (optional) is awaited once the values are written, before styling starts
+export async function addTestCasesSheetData(sheets, spreadsheetId, sheetName, testCases, module, onFormatting, columns = TEST_CASE_COLUMNS) {
     // Get sheet ID for formatting
     const spreadsheetInfo = await sheets.spreadsheets.get({
         spreadsheetId,
@@ -1600,32 +1755,14 @@ export async function addTestCasesSheetData(sheets, spreadsheetId, sheetName, te
     const sheet = spreadsheetInfo.data.sheets.find(s => s.properties.title === sheetName);
     const sheetId = sheet.properties.sheetId;
 
-    // Prepare Test Cases Sheet Data
-    const testCasesHeaderRow = [
-        'Test Case ID',
-        'Module',
-        'Submodule',
-        'Summary',
-        'Test Steps',
-        'Expected Results',
-        'Actual Result',
-        'Test Case Type',
-        'Environment',
-        'Status'
-    ];
+    // Prepare Test Cases Sheet Data in the template's column order; Actual Result starts empty
+    const mapping = templateMapping(columns);
+    const testCasesHeaderRow = columns.map(column => column.header);
 
-    const testCasesDataRows = testCases.map(testCase => [
-        testCase.id || '',
-        testCase.module || module,
-        testCase.submodule || '',
-        testCase.summary || '',
-        testCase.testSteps || '',
-        testCase.expectedResults || '',
-        '', // Actual Result - empty initially
-        testCase.testCaseType || 'Positive',
-        testCase.environment || 'Test',
-        testCase.status || 'Not Tested'
-    ]);
+    const testCasesDataRows = testCases.map(testCase => testCaseToRow(
+        withPriorityAndSeverity({ ...testCase, module: testCase.module || module, actualResult: '' }),
+        mapping
+    ));
 
     const testCasesAllData = [testCasesHeaderRow, ...testCasesDataRows];
 
@@ -1636,6 +1773,7 @@ export async function addTestCasesSheetData(sheets, spreadsheetId, sheetName, te
         valueInputOption: 'USER_ENTERED',
         requestBody: { values: testCasesAllData }
     });
+    await onFormatting?.();
 
     // Apply formatting to Test Cases Sheet with corrected conditional formatting
     const testCasesFormatRequests = [
@@ -1647,59 +1785,37 @@ export async function addTestCasesSheetData(sheets, spreadsheetId, sheetName, te
                     startRowIndex: 0,
                     endRowIndex: 1,
                     startColumnIndex: 0,
-                    endColumnIndex: 10
+                    endColumnIndex: columns.length
                 },
                 cell: {
-                    userEnteredFormat: {
-                        backgroundColor: {
-                            red: 0.047,
-                            green: 0.204,
-                            blue: 0.239
-                        },
-                        textFormat: {
-                            foregroundColor: {
-                                red: 1.0,
-                                green: 1.0,
-                                blue: 1.0
-                            },
-                            bold: true,
-                            fontSize: 11
-                        },
-                        horizontalAlignment: 'CENTER',
-                        verticalAlignment: 'MIDDLE',
-                        padding: {
-                            top: 8,
-                            bottom: 8,
-                            left: 4,
-                            right: 4
-                        }
-                    }
+                    userEnteredFormat: HEADER_FORMAT
                 },
                 fields: 'userEnteredFormat'
             }
         },
         // Set better column widths for test cases
-        {
+        ...columns.map((column, index) => ({
             updateDimensionProperties: {
                 range: {
                     sheetId: sheetId,
                     dimension: 'COLUMNS',
-                    startIndex: 0,
-                    endIndex: 1
+                    startIndex: index,
+                    endIndex: index + 1
                 },
-                properties: { pixelSize: 120 },
+                properties: { pixelSize: columnWidth(column) },
                 fields: 'pixelSize'
             }
-        },
+        })),
+        // Set row heights for better spacing
         {
             updateDimensionProperties: {
                 range: {
                     sheetId: sheetId,
-                    dimension: 'COLUMNS',
-                    startIndex: 1,
-                    endIndex: 2
+                    dimension: 'ROWS',
+                    startIndex: 0,
+                    endIndex: 1
                 },
-                properties: { pixelSize: 100 },
+                properties: { pixelSize: 35 },
                 fields: 'pixelSize'
             }
         },
@@ -1707,318 +1823,541 @@ export async function addTestCasesSheetData(sheets, spreadsheetId, sheetName, te
             updateDimensionProperties: {
                 range: {
                     sheetId: sheetId,
-                    dimension: 'COLUMNS',
-                    startIndex: 2,
-                    endIndex: 3
+                    dimension: 'ROWS',
+                    startIndex: 1,
+                    endIndex: testCases.length + 1
                 },
-                properties: { pixelSize: 130 },
+                properties: { pixelSize: 80 },
                 fields: 'pixelSize'
             }
         },
+        // Format data rows with better spacing
         {
-            updateDimensionProperties: {
+            repeatCell: {
                 range: {
                     sheetId: sheetId,
-                    dimension: 'COLUMNS',
-                    startIndex: 3,
-                    endIndex: 4
+                    startRowIndex: 1,
+                    endRowIndex: testCases.length + 1,
+                    startColumnIndex: 0,
+                    endColumnIndex: columns.length
                 },
-                properties: { pixelSize: 220 },
-                fields: 'pixelSize'
+                cell: {
+                    userEnteredFormat: {
+                        textFormat: {
+                            fontSize: 10
+                        },
+                        verticalAlignment: 'TOP',
+                        wrapStrategy: 'WRAP',
+                        padding: {
+                            top: 6,
+                            bottom: 6,
+                            left: 6,
+                            right: 6
+                        }
+                    }
+                },
+                fields: 'userEnteredFormat'
             }
         },
-        {
-            updateDimensionProperties: {
+        // Type, Status, Priority and Severity colours
+        ...columnFormatRequests(sheetId, mapping, 1, testCases.length + 1, FORMATTED_FIELDS)
+    ];
+
+    // Apply all formatting
+    await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: { requests: testCasesFormatRequests }
+    });
+
+    // Add data validation for the template's dropdown and date columns
+    await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+            requests: columnValidationRequests(sheetId, mapping, 1, testCases.length + 1)
+        }
+    });
+}
+
+// Default column widths (px) for built-in fields; other columns are sized by type
+const COLUMN_WIDTHS = {
+    id: 120,
+    module: 100,
+    submodule: 130,
+    summary: 220,
+    testSteps: 300,
+    expectedResults: 250,
+    actualResult: 200,
+    testCaseType: 120,
+    environment: 100,
+    status: 100,
+    priority: 90,
+    severity: 90
+};
+const TYPE_WIDTHS = { text: 150, longtext: 250, dropdown: 110, number: 90, date: 110 };
+
+export const columnWidth = (column) => column.width || COLUMN_WIDTHS[column.field] || TYPE_WIDTHS[column.type] || 150;
+
+const WHITE_TEXT = { foregroundColor: { red: 1.0, green: 1.0, blue: 1.0 } };
+
+// Header row style of every tab we write (also used by the XLSX export)
+export const HEADER_FORMAT = {
+    backgroundColor: { red: 0.047, green: 0.204, blue: 0.239 },
+    textFormat: { ...WHITE_TEXT, bold: true, fontSize: 11 },
+    horizontalAlignment: 'CENTER',
+    verticalAlignment: 'MIDDLE',
+    padding: { top: 8, bottom: 8, left: 4, right: 4 }
+};
+
+// Cell colours per formatted field; dropdown values come from the template columns
+export const COLUMN_FORMATS = {
+    testCaseType: {
+        colors: {
+            Positive: { backgroundColor: { red: 0.85, green: 0.95, blue: 0.85 } },
+            Negative: { backgroundColor: { red: 1.0, green: 0.85, blue: 0.85 } }
+        }
+    },
+    status: {
+        colors: {
+            Pass: { backgroundColor: { red: 0.0, green: 0.5, blue: 0.0 }, textFormat: WHITE_TEXT },
+            Fail: { backgroundColor: { red: 0.6, green: 0.0, blue: 0.0 }, textFormat: WHITE_TEXT },
+            Blocked: { backgroundColor: { red: 1.0, green: 1.0, blue: 0.0 }, textFormat: { foregroundColor: { red: 0.0, green: 0.0, blue: 0.0 } } }
+        }
+    },
+    priority: {
+        colors: {
+            P1: { backgroundColor: { red: 0.8, green: 0.0, blue: 0.0 }, textFormat: { ...WHITE_TEXT, bold: true } },
+            P2: { backgroundColor: { red: 1.0, green: 0.6, blue: 0.2 } },
+            P3: { backgroundColor: { red: 1.0, green: 0.95, blue: 0.7 } },
+            P4: { backgroundColor: { red: 0.9, green: 0.9, blue: 0.9 } }
+        }
+    },
+    severity: {
+        colors: {
+            Critical: { backgroundColor: { red: 0.6, green: 0.0, blue: 0.0 }, textFormat: { ...WHITE_TEXT, bold: true } },
+            Major: { backgroundColor: { red: 1.0, green: 0.75, blue: 0.5 } },
+            Minor: { backgroundColor: { red: 1.0, green: 0.95, blue: 0.7 } },
+            Trivial: { backgroundColor: { red: 0.9, green: 0.9, blue: 0.9 } }
+        }
+    }
+};
+
+const FORMATTED_FIELDS = Object.keys(COLUMN_FORMATS);
+
+// Conditional formatting rules for `fields`, placed wherever `mapping` puts them
+function columnFormatRequests(sheetId, mapping, startRowIndex, endRowIndex, fields, firstRuleIndex = 0) {
+    const rules = fields
+        .filter(field => mapping.fields[field] !== undefined)
+        .flatMap(field => Object.entries(COLUMN_FORMATS[field].colors)
+            .map(([value, format]) => ({ column: mapping.fields[field], value, format })));
+
+    return rules.map((rule, offset) => ({
+        addConditionalFormatRule: {
+            rule: {
+                ranges: [{
+                    sheetId: sheetId,
+                    startRowIndex: startRowIndex,
+                    endRowIndex: endRowIndex,
+                    startColumnIndex: rule.column,
+                    endColumnIndex: rule.column + 1
+                }],
+                booleanRule: {
+                    condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: rule.value }] },
+                    format: rule.format
+                }
+            },
+            index: firstRuleIndex + offset
+        }
+    }));
+}
+
+// Dropdowns (and date checks) for the template columns present in `mapping`, optionally
+// limited to `fields`
+function columnValidationRequests(sheetId, mapping, startRowIndex, endRowIndex, fields = null) {
+    return mapping.columns
+        .filter(column => mapping.fields[column.field] !== undefined && (!fields || fields.includes(column.field)))
+        .filter(column => column.allowedValues?.length || column.type === 'date')
+        .map(column => ({
+            setDataValidation: {
                 range: {
                     sheetId: sheetId,
-                    dimension: 'COLUMNS',
-                    startIndex: 4,
-                    endIndex: 5
+                    startRowIndex: startRowIndex,
+                    endRowIndex: endRowIndex,
+                    startColumnIndex: mapping.fields[column.field],
+                    endColumnIndex: mapping.fields[column.field] + 1
                 },
-                properties: { pixelSize: 300 },
-                fields: 'pixelSize'
-            }
-        },
-        {
-            updateDimensionProperties: {
-                range: {
-                    sheetId: sheetId,
-                    dimension: 'COLUMNS',
-                    startIndex: 5,
-                    endIndex: 6
-                },
-                properties: { pixelSize: 250 },
-                fields: 'pixelSize'
-            }
-        },
-        {
-            updateDimensionProperties: {
-                range: {
-                    sheetId: sheetId,
-                    dimension: 'COLUMNS',
-                    startIndex: 6,
-                    endIndex: 7
-                },
-                properties: { pixelSize: 200 },
-                fields: 'pixelSize'
-            }
-        },
-        {
-            updateDimensionProperties: {
-                range: {
-                    sheetId: sheetId,
-                    dimension: 'COLUMNS',
-                    startIndex: 7,
-                    endIndex: 8
-                },
-                properties: { pixelSize: 120 },
-                fields: 'pixelSize'
-            }
-        },
-        {
-            updateDimensionProperties: {
-                range: {
-                    sheetId: sheetId,
-                    dimension: 'COLUMNS',
-                    startIndex: 8,
-                    endIndex: 9
-                },
-                properties: { pixelSize: 100 },
-                fields: 'pixelSize'
-            }
-        },
-        {
-            updateDimensionProperties: {
-                range: {
-                    sheetId: sheetId,
-                    dimension: 'COLUMNS',
-                    startIndex: 9,
-                    endIndex: 10
-                },
-                properties: { pixelSize: 100 },
-                fields: 'pixelSize'
-            }
-        },
-        // Set row heights for better spacing
-        {
-            updateDimensionProperties: {
-                range: {
-                    sheetId: sheetId,
-                    dimension: 'ROWS',
-                    startIndex: 0,
-                    endIndex: 1
-                },
-                properties: { pixelSize: 35 },
-                fields: 'pixelSize'
-            }
-        },
-        {
-            updateDimensionProperties: {
-                range: {
-                    sheetId: sheetId,
-                    dimension: 'ROWS',
-                    startIndex: 1,
-                    endIndex: testCases.length + 1
-                },
-                properties: { pixelSize: 80 },
-                fields: 'pixelSize'
-            }
-        },
-        // Format data rows with better spacing
-        {
-            repeatCell: {
-                range: {
-                    sheetId: sheetId,
-                    startRowIndex: 1,
-                    endRowIndex: testCases.length + 1,
-                    startColumnIndex: 0,
-                    endColumnIndex: 10
-                },
-                cell: {
-                    userEnteredFormat: {
-                        textFormat: {
-                            fontSize: 10
+                rule: column.allowedValues?.length
+                    ? {
+                        condition: {
+                            type: 'ONE_OF_LIST',
+                            values: column.allowedValues.map(value => ({ userEnteredValue: value }))
                         },
-                        verticalAlignment: 'TOP',
-                        wrapStrategy: 'WRAP',
-                        padding: {
-                            top: 6,
-                            bottom: 6,
-                            left: 6,
-                            right: 6
-                        }
+                        showCustomUi: true,
+                        strict: true
                     }
-                },
-                fields: 'userEnteredFormat'
-            }
-        },
-        // Test Case Type conditional formatting
-        {
-            addConditionalFormatRule: {
-                rule: {
-                    ranges: [{
-                        sheetId: sheetId,
-                        startRowIndex: 1,
-                        endRowIndex: testCases.length + 1,
-                        startColumnIndex: 7,
-                        endColumnIndex: 8
-                    }],
-                    booleanRule: {
-                        condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'Positive' }] },
-                        format: { backgroundColor: { red: 0.85, green: 0.95, blue: 0.85 } }
+                    : {
+                        condition: { type: 'DATE_IS_VALID' },
+                        strict: false
                     }
-                },
-                index: 0
             }
-        },
-        {
-            addConditionalFormatRule: {
-                rule: {
-                    ranges: [{
-                        sheetId: sheetId,
-                        startRowIndex: 1,
-                        endRowIndex: testCases.length + 1,
-                        startColumnIndex: 7,
-                        endColumnIndex: 8
-                    }],
-                    booleanRule: {
-                        condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'Negative' }] },
-                        format: { backgroundColor: { red: 1.0, green: 0.85, blue: 0.85 } }
+        }));
+}
+
+// Add header cells for any of `fields` the tab lacks, after its last header, styled like
+// the existing header. Returns the mapping including the new columns.
+export async function addMissingColumns(sheets, spreadsheetId, sheetName, mapping, fields, sheetId) {
+    const { mapping: extended, headers } = extendMapping(mapping, fields);
+    if (headers.length === 0) {
+        return mapping;
+    }
+
+    if (sheetId === undefined) {
+        const spreadsheetInfo = await sheets.spreadsheets.get({
+            spreadsheetId,
+            fields: 'sheets.properties'
+        });
+        sheetId = spreadsheetInfo.data.sheets.find(s => s.properties.title === sheetName)?.properties.sheetId;
+    }
+
+    const firstIndex = headers[0].index;
+    await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `'${sheetName}'!${columnLetter(firstIndex)}1`,
+        valueInputOption: 'USER_ENTERED',
+        requestBody: { values: [headers.map(header => header.header)] }
+    });
+
+    if (firstIndex > 0) {
+        await sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+                requests: [{
+                    copyPaste: {
+                        source: { sheetId, startRowIndex: 0, endRowIndex: 1, startColumnIndex: firstIndex - 1, endColumnIndex: firstIndex },
+                        destination: { sheetId, startRowIndex: 0, endRowIndex: 1, startColumnIndex: firstIndex, endColumnIndex: firstIndex + headers.length },
+                        pasteType: 'PASTE_FORMAT'
                     }
-                },
-                index: 1
+                }]
             }
-        },
-        // Status conditional formatting
-        {
-            addConditionalFormatRule: {
-                rule: {
-                    ranges: [{
-                        sheetId: sheetId,
-                        startRowIndex: 1,
-                        endRowIndex: testCases.length + 1,
-                        startColumnIndex: 9,
-                        endColumnIndex: 10
-                    }],
-                    booleanRule: {
-                        condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'Pass' }] },
-                        format: {
-                            backgroundColor: { red: 0.0, green: 0.5, blue: 0.0 },
-                            textFormat: { foregroundColor: { red: 1.0, green: 1.0, blue: 1.0 } }
-                        }
+        });
+    }
+
+    console.log(`🆕 Added ${headers.map(header => header.header).join(', ')} column(s) to "${sheetName}"`);
+    return extended;
+}
+
+// Write single cells of a test cases tab: `changes` is [{ rowIndex, field, after }]. Fields
+// without a column get one appended to the header first. Returns the mapping used and the
+// headers that were added.
+export async function writeTestCaseFields(sheets, spreadsheetId, sheetName, mapping, changes) {
+    const fields = [...new Set(changes.map(change => change.field))];
+    const { headers } = extendMapping(mapping, fields);
+    const writeMapping = headers.length > 0
+        ? await addMissingColumns(sheets, spreadsheetId, sheetName, mapping, fields)
+        : mapping;
+
+    if (changes.length > 0) {
+        await sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+                valueInputOption: 'RAW',
+                data: changes.map(change => ({
+                    range: `'${sheetName}'!${columnLetter(writeMapping.fields[change.field])}${change.rowIndex}`,
+                    values: [[change.after ?? '']]
+                }))
+            }
+        });
+    }
+
+    return { mapping: writeMapping, addedColumns: headers.map(header => header.header) };
+}
+
+// Read a test cases tab through its header mapping for the template `columns`. Throws a
+// 422-style error (with the column report) when no test case ID column can be identified.
+export async function readTestCaseSheet(sheets, spreadsheetId, sheetName, columns = TEST_CASE_COLUMNS) {
+    const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `'${sheetName}'!${TEST_CASE_RANGE}`,
+    });
+
+    const rows = response.data.values || [];
+    const mapping = resolveSheetMapping(rows[0], columns);
+    const columnReport = describeMapping(mapping);
+
+    if (rows.length > 0 && mapping.fields.id === undefined) {
+        const error = new Error(`No test case ID column found in "${sheetName}"`);
+        error.statusCode = 422;
+        error.columns = columnReport;
+        throw error;
+    }
+
+    const testCases = rows.slice(1)
+        .map((row, index) => rowToTestCase(row, index + 2, mapping))
+        .filter(tc => tc.id && !isGroupHeaderLabel(tc.id));
+
+    return { rows, mapping, columns: columnReport, testCases };
+}
+
+// Read a test scenarios tab (Module / Condition / Test Scenarios / Status) through its
+// header mapping. Rows without scenario text are skipped.
+export async function readTestScenarioSheet(sheets, spreadsheetId, sheetName) {
+    const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `'${sheetName}'!${TEST_CASE_RANGE}`,
+    });
+
+    const rows = response.data.values || [];
+    const mapping = resolveSheetMapping(rows[0], TEST_SCENARIO_COLUMNS);
+
+    const testScenarios = rows.slice(1)
+        .map((row, index) => {
+            const scenario = { rowIndex: index + 2 };
+            TEST_SCENARIO_COLUMNS.forEach(column => {
+                const columnIndex = mapping.fields[column.field];
+                scenario[column.field] = (columnIndex !== undefined ? row[columnIndex] : '') || column.default || '';
+            });
+            return scenario;
+        })
+        .filter(scenario => scenario.testScenarios);
+
+    return { rows, mapping, columns: describeMapping(mapping), testScenarios };
+}
+
+// Create a results tab for a test run (`items` keyed by TEST_RUN_COLUMNS fields) with the
+// usual header style, status colours and Status dropdown. Returns the new sheetId.
+export async function addTestRunSheetData(sheets, spreadsheetId, sheetName, items) {
+    const columns = TEST_RUN_COLUMNS;
+    const mapping = templateMapping(columns);
+
+    const response = await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+            requests: [{
+                addSheet: {
+                    properties: {
+                        title: sheetName,
+                        gridProperties: { rowCount: Math.max(items.length + 1, 100), columnCount: columns.length, frozenRowCount: 1 }
+                    }
+                }
+            }]
+        }
+    });
+    const sheetId = response.data.replies[0].addSheet.properties.sheetId;
+
+    await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `'${sheetName}'!A1`,
+        valueInputOption: 'RAW',
+        requestBody: {
+            values: [
+                columns.map(column => column.header),
+                ...items.map(item => columns.map(column => item[column.field] ?? ''))
+            ]
+        }
+    });
+
+    const endRowIndex = items.length + 1;
+    await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+            requests: [
+                {
+                    repeatCell: {
+                        range: { sheetId, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: columns.length },
+                        cell: { userEnteredFormat: HEADER_FORMAT },
+                        fields: 'userEnteredFormat'
                     }
                 },
-                index: 2
-            }
-        },
-        {
-            addConditionalFormatRule: {
-                rule: {
-                    ranges: [{
-                        sheetId: sheetId,
-                        startRowIndex: 1,
-                        endRowIndex: testCases.length + 1,
-                        startColumnIndex: 9,
-                        endColumnIndex: 10
-                    }],
-                    booleanRule: {
-                        condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'Fail' }] },
-                        format: {
-                            backgroundColor: { red: 0.6, green: 0.0, blue: 0.0 },
-                            textFormat: { foregroundColor: { red: 1.0, green: 1.0, blue: 1.0 } }
-                        }
+                {
+                    repeatCell: {
+                        range: { sheetId, startRowIndex: 1, endRowIndex, startColumnIndex: 0, endColumnIndex: columns.length },
+                        cell: { userEnteredFormat: { wrapStrategy: 'WRAP', verticalAlignment: 'TOP', textFormat: { fontSize: 10 } } },
+                        fields: 'userEnteredFormat(wrapStrategy,verticalAlignment,textFormat)'
                     }
                 },
-                index: 3
+                ...columns.map((column, index) => ({
+                    updateDimensionProperties: {
+                        range: { sheetId, dimension: 'COLUMNS', startIndex: index, endIndex: index + 1 },
+                        properties: { pixelSize: columnWidth(column) },
+                        fields: 'pixelSize'
+                    }
+                })),
+                ...columnFormatRequests(sheetId, mapping, 1, endRowIndex, ['status']),
+                ...columnValidationRequests(sheetId, mapping, 1, endRowIndex, ['status'])
+            ]
+        }
+    });
+
+    console.log(`🗂️ Wrote ${items.length} run results to new tab "${sheetName}"`);
+    return sheetId;
+}
+
+// Chart request for one dashboard table (see buildDashboardLayout), anchored right of the tables
+function dashboardChartRequest(sheetId, table, anchorRowIndex, anchorColumnIndex) {
+    const columnRange = (column, fromHeader = true) => ({
+        sourceRange: {
+            sources: [{
+                sheetId,
+                startRowIndex: fromHeader ? table.headerRow : table.headerRow + 1,
+                endRowIndex: table.headerRow + 1 + table.rowCount,
+                startColumnIndex: column,
+                endColumnIndex: column + 1
+            }]
+        }
+    });
+
+    let spec;
+    if (table.chart === 'pie') {
+        spec = {
+            title: `Test cases ${table.name.toLowerCase()}`,
+            pieChart: { legendPosition: 'RIGHT_LEGEND', domain: columnRange(0, false), series: columnRange(1, false) }
+        };
+    } else {
+        // stackedBar: Module | Total | Pass | Fail | Blocked | Not Tested, one stacked bar per module
+        const stacked = table.chart === 'stackedBar';
+        const valueAxis = stacked ? 'BOTTOM_AXIS' : 'LEFT_AXIS';
+        const seriesColumns = stacked ? [2, 3, 4, 5] : [1];
+        spec = {
+            title: `Test cases ${table.name.toLowerCase()}`,
+            basicChart: {
+                chartType: stacked ? 'BAR' : 'COLUMN',
+                legendPosition: stacked ? 'BOTTOM_LEGEND' : 'NO_LEGEND',
+                headerCount: 1,
+                ...(stacked ? { stackedType: 'STACKED' } : {}),
+                axis: [{ position: valueAxis, title: 'Test cases' }],
+                domains: [{ domain: columnRange(0) }],
+                series: seriesColumns.map(column => ({ series: columnRange(column), targetAxis: valueAxis }))
             }
-        },
-        {
-            addConditionalFormatRule: {
-                rule: {
-                    ranges: [{
-                        sheetId: sheetId,
-                        startRowIndex: 1,
-                        endRowIndex: testCases.length + 1,
-                        startColumnIndex: 9,
-                        endColumnIndex: 10
-                    }],
-                    booleanRule: {
-                        condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'Blocked' }] },
-                        format: {
-                            backgroundColor: { red: 1.0, green: 1.0, blue: 0.0 },
-                            textFormat: { foregroundColor: { red: 0.0, green: 0.0, blue: 0.0 } }
-                        }
+        };
+    }
+
+    return {
+        addChart: {
+            chart: {
+                spec,
+                position: {
+                    overlayPosition: {
+                        anchorCell: { sheetId, rowIndex: anchorRowIndex, columnIndex: anchorColumnIndex },
+                        widthPixels: 560,
+                        heightPixels: 340
                     }
-                },
-                index: 4
+                }
             }
         }
-    ];
+    };
+}
 
-    // Apply all formatting
-    await sheets.spreadsheets.batchUpdate({
+// Create or refresh the dashboard tab `sheetName` from a buildDashboardLayout result. An
+// existing tab is cleared (values, formats and charts) first; one that was not written as a
+// dashboard is only replaced with `overwrite`, otherwise a 409-style error is thrown.
+export async function writeDashboardSheet(sheets, spreadsheetId, sheetName, layout, { overwrite = false } = {}) {
+    const spreadsheetInfo = await sheets.spreadsheets.get({
         spreadsheetId,
-        requestBody: { requests: testCasesFormatRequests }
+        fields: 'sheets(properties(sheetId,title),charts(chartId))'
+    });
+    const existing = spreadsheetInfo.data.sheets.find(s => s.properties.title === sheetName);
+
+    let sheetId;
+    if (existing) {
+        sheetId = existing.properties.sheetId;
+        if (!overwrite) {
+            // Only an empty tab or one titled like a dashboard is replaced without asking
+            const current = await sheets.spreadsheets.values.get({ spreadsheetId, range: `'${sheetName}'` });
+            const values = current.data.values || [];
+            const hasContent = values.some(row => row.some(cell => cell !== '')) || (existing.charts || []).length > 0;
+            if (hasContent && !String(values[0]?.[0] || '').startsWith(DASHBOARD_TITLE)) {
+                const error = new Error(`Tab "${sheetName}" exists and is not a dashboard; pass overwrite: true to replace it`);
+                error.statusCode = 409;
+                throw error;
+            }
+        }
+
+        await sheets.spreadsheets.values.clear({ spreadsheetId, range: `'${sheetName}'` });
+        await sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+                requests: [
+                    ...(existing.charts || []).map(chart => ({ deleteEmbeddedObject: { objectId: chart.chartId } })),
+                    { updateCells: { range: { sheetId }, fields: 'userEnteredFormat' } }
+                ]
+            }
+        });
+    } else {
+        const response = await sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            requestBody: { requests: [{ addSheet: { properties: { title: sheetName } } }] }
+        });
+        sheetId = response.data.replies[0].addSheet.properties.sheetId;
+    }
+
+    await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `'${sheetName}'!A1`,
+        valueInputOption: 'RAW',
+        requestBody: { values: layout.values }
     });
 
-    // Add data validation for Test Cases sheet
+    const chartColumn = layout.width + 1;
+    const charted = layout.tables.filter(table => table.chart && table.rowCount > 0);
+
     await sheets.spreadsheets.batchUpdate({
         spreadsheetId,
         requestBody: {
             requests: [
                 {
-                    setDataValidation: {
-                        range: {
-                            sheetId: sheetId,
-                            startRowIndex: 1,
-                            endRowIndex: testCases.length + 1,
-                            startColumnIndex: 7,
-                            endColumnIndex: 8
-                        },
-                        rule: {
-                            condition: {
-                                type: 'ONE_OF_LIST',
-                                values: [
-                                    { userEnteredValue: 'Positive' },
-                                    { userEnteredValue: 'Negative' }
-                                ]
-                            },
-                            showCustomUi: true,
-                            strict: true
+                    repeatCell: {
+                        range: { sheetId, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: 1 },
+                        cell: { userEnteredFormat: { textFormat: { bold: true, fontSize: 14 } } },
+                        fields: 'userEnteredFormat.textFormat'
+                    }
+                },
+                ...layout.tables.flatMap(table => [
+                    {
+                        repeatCell: {
+                            range: { sheetId, startRowIndex: table.titleRow, endRowIndex: table.titleRow + 1, startColumnIndex: 0, endColumnIndex: 1 },
+                            cell: { userEnteredFormat: { textFormat: { bold: true, fontSize: 12 } } },
+                            fields: 'userEnteredFormat.textFormat'
+                        }
+                    },
+                    {
+                        repeatCell: {
+                            range: { sheetId, startRowIndex: table.headerRow, endRowIndex: table.headerRow + 1, startColumnIndex: 0, endColumnIndex: table.columnCount },
+                            cell: { userEnteredFormat: HEADER_FORMAT },
+                            fields: 'userEnteredFormat'
                         }
                     }
+                ]),
+                ...layout.percentCells.map(rowIndex => ({
+                    repeatCell: {
+                        range: { sheetId, startRowIndex: rowIndex, endRowIndex: rowIndex + 1, startColumnIndex: 1, endColumnIndex: 2 },
+                        cell: { userEnteredFormat: { numberFormat: { type: 'PERCENT', pattern: '0.0%' } } },
+                        fields: 'userEnteredFormat.numberFormat'
+                    }
+                })),
+                {
+                    updateDimensionProperties: {
+                        range: { sheetId, dimension: 'COLUMNS', startIndex: 0, endIndex: 2 },
+                        properties: { pixelSize: 180 },
+                        fields: 'pixelSize'
+                    }
                 },
                 {
-                    setDataValidation: {
-                        range: {
-                            sheetId: sheetId,
-                            startRowIndex: 1,
-                            endRowIndex: testCases.length + 1,
-                            startColumnIndex: 9,
-                            endColumnIndex: 10
-                        },
-                        rule: {
-                            condition: {
-                                type: 'ONE_OF_LIST',
-                                values: [
-                                    { userEnteredValue: 'Not Tested' },
-                                    { userEnteredValue: 'Pass' },
-                                    { userEnteredValue: 'Fail' },
-                                    { userEnteredValue: 'Blocked' }
-                                ]
-                            },
-                            showCustomUi: true,
-                            strict: true
-                        }
+                    updateDimensionProperties: {
+                        range: { sheetId, dimension: 'COLUMNS', startIndex: 2, endIndex: layout.width },
+                        properties: { pixelSize: 100 },
+                        fields: 'pixelSize'
                     }
-                }
+                },
+                ...charted.map((table, index) => dashboardChartRequest(sheetId, table, 3 + index * 18, chartColumn))
             ]
         }
     });
+
+    console.log(`📈 Wrote dashboard "${sheetName}" (${layout.tables.length} tables, ${charted.length} charts)`);
+    return { sheetId, created: !existing, charts: charted.map(table => table.chart) };
 }
 
 // Helper function to add test scenarios sheet data
-export async function addTestScenariosSheetData(sheets, spreadsheetId, sheetName, testScenarios, module) {
+export async function addTestScenariosSheetData(sheets, spreadsheetId, sheetName, testScenarios, module, onFormatting) {
     // Get sheet ID for formatting
     const spreadsheetInfo = await sheets.spreadsheets.get({
         spreadsheetId,
@@ -2052,6 +2391,7 @@ export async function addTestScenariosSheetData(sheets, spreadsheetId, sheetName
         valueInputOption: 'USER_ENTERED',
         requestBody: { values: testScenariosAllData }
     });
+    await onFormatting?.();
 
     // Updated formatting for Test Scenarios Sheet with 4 columns
     const testScenariosFormatRequests = [
@@ -2066,30 +2406,7 @@ export async function addTestScenariosSheetData(sheets, spreadsheetId, sheetName
                     endColumnIndex: 4  // Updated to 4 columns
                 },
                 cell: {
-                    userEnteredFormat: {
-                        backgroundColor: {
-                            red: 0.047,
-                            green: 0.204,
-                            blue: 0.239
-                        },
-                        textFormat: {
-                            foregroundColor: {
-                                red: 1.0,
-                                green: 1.0,
-                                blue: 1.0
-                            },
-                            bold: true,
-                            fontSize: 11
-                        },
-                        horizontalAlignment: 'CENTER',
-                        verticalAlignment: 'MIDDLE',
-                        padding: {
-                            top: 8,
-                            bottom: 8,
-                            left: 4,
-                            right: 4
-                        }
-                    }
+                    userEnteredFormat: HEADER_FORMAT
                 },
                 fields: 'userEnteredFormat'
             }
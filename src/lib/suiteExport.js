@@ -0,0 +1,183 @@
+import { columnLetter } from './testCaseSchema.js';
+import { HEADER_FORMAT, COLUMN_FORMATS, columnWidth } from './sheetsHelpers.js';
+import { createZipArchive } from './zipArchive.js';
+
+// CSV, XLSX and JSON downloads of a test suite tab. Every format is built from the same
+// `columns` (template or scenario columns, in sheet order) and items read through the tab's
+// header mapping, so the export matches what GET /test-cases returns.
+
+export const SUITE_EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const cellText = (value) => (Array.isArray(value) ? value.join('\n') : String(value ?? ''));
+
+export const suiteHeaders = (columns) => columns.map(column => column.header);
+export const suiteRows = (items, columns) => items.map(item => columns.map(column => cellText(item[column.field])));
+
+// Cells starting with these are run as formulas by Excel / Sheets when the CSV is opened
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    let text = cellText(value);
+    if (FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 CSV with a BOM so Excel picks up UTF-8
+export function toCsv(headers, rows) {
+    return '﻿' + [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- XLSX (a single-sheet SpreadsheetML package) ---
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const escapeXml = (value) => String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// { red, green, blue } (0-1, Sheets API style) -> ARGB hex
+const argb = ({ red = 0, green = 0, blue = 0 } = {}) => 'FF' + [red, green, blue]
+    .map(channel => Math.round(channel * 255).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+
+// Excel sheet names: max 31 characters, none of []:*?/\
+export const xlsxSheetName = (name) => String(name || 'Sheet1').replace(/[[\]:*?/\\]/g, ' ').trim().substring(0, 31) || 'Sheet1';
+
+const fontXml = (textFormat = {}, size = 10) => `<font>${textFormat.bold ? '<b/>' : ''}<sz val="${textFormat.fontSize || size}"/>` +
+    `${textFormat.foregroundColor ? `<color rgb="${argb(textFormat.foregroundColor)}"/>` : ''}<name val="Arial"/></font>`;
+
+// Conditional formats for the status / priority / severity / type columns present in `columns`
+function colorRules(columns) {
+    return columns.flatMap((column, columnIndex) => Object.entries(COLUMN_FORMATS[column.field]?.colors || {})
+        .map(([value, format]) => ({ columnIndex, value, format })));
+}
+
+function stylesXml(rules) {
+    const dxfs = rules.map(({ format }) => '<dxf>' +
+        (format.textFormat ? `<font>${format.textFormat.bold ? '<b/>' : ''}${format.textFormat.foregroundColor ? `<color rgb="${argb(format.textFormat.foregroundColor)}"/>` : ''}</font>` : '') +
+        `<fill><patternFill><bgColor rgb="${argb(format.backgroundColor)}"/></patternFill></fill></dxf>`);
+
+    return XML_HEADER +
+        `<styleSheet xmlns="${MAIN_NS}">` +
+        `<fonts count="2">${fontXml()}${fontXml(HEADER_FORMAT.textFormat)}</fonts>` +
+        '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+        `<fill><patternFill patternType="solid"><fgColor rgb="${argb(HEADER_FORMAT.backgroundColor)}"/><bgColor indexed="64"/></patternFill></fill></fills>` +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="3">' +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        `<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1" applyAlignment="1"><alignment horizontal="${HEADER_FORMAT.horizontalAlignment.toLowerCase()}" vertical="center" wrapText="1"/></xf>` +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>' +
+        '</cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        `<dxfs count="${dxfs.length}">${dxfs.join('')}</dxfs>` +
+        '</styleSheet>';
+}
+
+const HEADER_STYLE = 1;
+const BODY_STYLE = 2;
+
+const cellXml = (ref, value, style, column) => {
+    const text = cellText(value);
+    if (column?.type === 'number' && text.trim() !== '' && Number.isFinite(Number(text))) {
+        return `<c r="${ref}" s="${style}"><v>${Number(text)}</v></c>`;
+    }
+    return `<c r="${ref}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+function worksheetXml({ columns, headers, rows }, rules) {
+    const lastColumn = columnLetter(Math.max(columns.length, 1) - 1);
+    const lastRow = rows.length + 1;
+    const dataRange = (columnIndex) => `${columnLetter(columnIndex)}2:${columnLetter(columnIndex)}${lastRow}`;
+
+    const sheetRows = [
+        // Header height matches the 35px header row of the generated tabs
+        `<row r="1" ht="26.25" customHeight="1">${headers.map((header, index) => cellXml(`${columnLetter(index)}1`, header, HEADER_STYLE)).join('')}</row>`,
+        ...rows.map((row, rowIndex) => `<row r="${rowIndex + 2}">${row.map((value, index) => cellXml(`${columnLetter(index)}${rowIndex + 2}`, value, BODY_STYLE, columns[index])).join('')}</row>`)
+    ];
+
+    const parts = [
+        XML_HEADER,
+        `<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`,
+        `<dimension ref="A1:${lastColumn}${lastRow}"/>`,
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+        '<sheetFormatPr defaultRowHeight="15"/>',
+        `<cols>${columns.map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${Math.round(columnWidth(column) / 7)}" customWidth="1"/>`).join('')}</cols>`,
+        `<sheetData>${sheetRows.join('')}</sheetData>`,
+        `<autoFilter ref="A1:${lastColumn}${lastRow}"/>`
+    ];
+
+    if (rows.length > 0) {
+        rules.forEach((rule, index) => {
+            parts.push(`<conditionalFormatting sqref="${dataRange(rule.columnIndex)}">` +
+                `<cfRule type="cellIs" dxfId="${index}" priority="${index + 1}" operator="equal"><formula>"${escapeXml(rule.value.replace(/"/g, '""'))}"</formula></cfRule>` +
+                '</conditionalFormatting>');
+        });
+
+        // Excel list validations are a comma-separated formula limited to 255 characters
+        const dropdowns = columns
+            .map((column, columnIndex) => ({ columnIndex, values: column.allowedValues || [] }))
+            .filter(({ values }) => values.length > 0 && !values.some(value => value.includes(',')) && values.join(',').length <= 255);
+        if (dropdowns.length > 0) {
+            parts.push(`<dataValidations count="${dropdowns.length}">${dropdowns.map(({ columnIndex, values }) =>
+                `<dataValidation type="list" allowBlank="1" showErrorMessage="1" sqref="${dataRange(columnIndex)}"><formula1>"${escapeXml(values.join(','))}"</formula1></dataValidation>`
+            ).join('')}</dataValidations>`);
+        }
+    }
+
+    parts.push('</worksheet>');
+    return parts.join('');
+}
+
+// Single-sheet workbook with the tab's header style, column widths, dropdowns and colour rules
+export function toXlsx({ sheetName, columns, headers, rows }) {
+    const rules = colorRules(columns);
+
+    return createZipArchive([
+        {
+            path: '[Content_Types].xml',
+            content: XML_HEADER +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>'
+        },
+        {
+            path: '_rels/.rels',
+            content: XML_HEADER +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            path: 'xl/workbook.xml',
+            content: XML_HEADER +
+                `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+                `<sheets><sheet name="${escapeXml(xlsxSheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>` +
+                `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${escapeXml(xlsxSheetName(sheetName).replace(/'/g, "''"))}'!$A$1:$${columnLetter(Math.max(columns.length, 1) - 1)}$${rows.length + 1}</definedName></definedNames>` +
+                '</workbook>'
+        },
+        {
+            path: 'xl/_rels/workbook.xml.rels',
+            content: XML_HEADER +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        { path: 'xl/styles.xml', content: stylesXml(rules) },
+        { path: 'xl/worksheets/sheet1.xml', content: worksheetXml({ columns, headers, rows }, rules) }
+    ]);
+}
@@ -0,0 +1,119 @@
+import { STATUSES } from './testCaseSchema.js';
+
+// Exact counts over the test cases of a tab (no model involved) and the layout of the
+// Dashboard tab built from them.
+
+export const DASHBOARD_TITLE = 'Test Suite Dashboard';
+export const DEFAULT_DASHBOARD_NAME = 'Dashboard';
+
+const BLANK = '(blank)';
+
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+const asFraction = (percent) => Math.round(percent * 10) / 1000;
+
+const emptyCounts = () => Object.fromEntries(STATUSES.map(status => [status, 0]));
+
+// [{ value, count }] for one field, most frequent first
+const countBy = (testCases, field) => {
+    const counts = new Map();
+    testCases.forEach(tc => {
+        const value = tc[field] || BLANK;
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, undefined, { numeric: true }));
+};
+
+// Total and per-status counts for each distinct key, largest groups first
+const statusBreakdown = (testCases, keyOf, describe) => {
+    const groups = new Map();
+    testCases.forEach(tc => {
+        const key = keyOf(tc);
+        if (!groups.has(key)) {
+            groups.set(key, { ...describe(tc), total: 0, ...emptyCounts() });
+        }
+        const group = groups.get(key);
+        group.total++;
+        group[tc.status || 'Not Tested'] = (group[tc.status || 'Not Tested'] || 0) + 1;
+    });
+    return [...groups.values()].sort((a, b) => b.total - a.total);
+};
+
+// Counts by status, module, submodule, type and environment. Pass rate is passed / executed;
+// blocked rate and untested share are of all test cases. Rates are percentages.
+export function computeSuiteMetrics(testCases) {
+    const byStatus = emptyCounts();
+    testCases.forEach(tc => {
+        const status = tc.status || 'Not Tested';
+        byStatus[status] = (byStatus[status] || 0) + 1;
+    });
+
+    const total = testCases.length;
+    const executed = total - byStatus['Not Tested'];
+
+    return {
+        total,
+        executed,
+        byStatus,
+        passRate: percentage(byStatus.Pass, executed),
+        failRate: percentage(byStatus.Fail, executed),
+        blockedRate: percentage(byStatus.Blocked, total),
+        untestedShare: percentage(byStatus['Not Tested'], total),
+        byModule: statusBreakdown(testCases, tc => tc.module || BLANK, tc => ({ module: tc.module || BLANK })),
+        bySubmodule: statusBreakdown(
+            testCases,
+            tc => `${tc.module || BLANK}\u0000${tc.submodule || BLANK}`,
+            tc => ({ module: tc.module || BLANK, submodule: tc.submodule || BLANK })
+        ),
+        byType: countBy(testCases, 'testCaseType'),
+        byEnvironment: countBy(testCases, 'environment'),
+        byPriority: countBy(testCases, 'priority'),
+        bySeverity: countBy(testCases, 'severity')
+    };
+}
+
+// Cell values of the Dashboard tab and where each table sits. Tables are stacked in columns
+// A:G with a blank row between them; `tables[].headerRow` is the 0-based row of the header,
+// followed by `rowCount` data rows. `percentCells` are the 0-based rows of B holding rates
+// (written as fractions for a percent number format). `chart` names the chart drawn from a table.
+export function buildDashboardLayout(metrics, sourceSheetName, updatedAt = new Date()) {
+    const values = [
+        [`${DASHBOARD_TITLE} - ${sourceSheetName}`],
+        [`Updated ${updatedAt.toISOString()}`]
+    ];
+    const tables = [];
+    const percentCells = [];
+
+    const addTable = (name, header, rows, chart = null) => {
+        values.push([]);
+        values.push([name]);
+        tables.push({ name, titleRow: values.length - 1, headerRow: values.length, rowCount: rows.length, columnCount: header.length, chart });
+        values.push(header, ...rows);
+    };
+
+    const statusColumns = ['Pass', 'Fail', 'Blocked', 'Not Tested'];
+
+    addTable('Summary', ['Metric', 'Value'], [
+        ['Test cases', metrics.total],
+        ['Executed', metrics.executed],
+        ['Pass rate', asFraction(metrics.passRate)],
+        ['Fail rate', asFraction(metrics.failRate)],
+        ['Blocked rate', asFraction(metrics.blockedRate)],
+        ['Untested share', asFraction(metrics.untestedShare)]
+    ]);
+    const summary = tables[0];
+    percentCells.push(...[2, 3, 4, 5].map(offset => summary.headerRow + 1 + offset));
+
+    addTable('By status', ['Status', 'Test cases'],
+        Object.entries(metrics.byStatus).map(([status, count]) => [status, count]), 'pie');
+    addTable('By module', ['Module', 'Total', ...statusColumns],
+        metrics.byModule.map(row => [row.module, row.total, ...statusColumns.map(status => row[status] || 0)]), 'stackedBar');
+    addTable('By type', ['Type', 'Test cases'], metrics.byType.map(row => [row.value, row.count]), 'column');
+    addTable('By environment', ['Environment', 'Test cases'], metrics.byEnvironment.map(row => [row.value, row.count]));
+    addTable('By submodule', ['Module', 'Submodule', 'Total', ...statusColumns],
+        metrics.bySubmodule.map(row => [row.module, row.submodule, row.total, ...statusColumns.map(status => row[status] || 0)]));
+
+    return { values, tables, percentCells, width: Math.max(...tables.map(table => table.columnCount)) };
+}
@@ -0,0 +1,220 @@
+import { TEST_CASE_COLUMNS } from './testCaseSchema.js';
+
+// Filtering, free-text search, sorting and pagination of the test cases read from a tab, for
+// GET /test-cases. Everything runs on the rows already read: Sheets has no server-side query.
+
+// Query parameter -> field filtered (and counted) as a facet
+export const FILTER_PARAMS = {
+    module: 'module',
+    submodule: 'submodule',
+    type: 'testCaseType',
+    status: 'status',
+    environment: 'environment',
+    priority: 'priority',
+    severity: 'severity'
+};
+
+// Fields the free-text search looks at
+export const SEARCH_FIELDS = ['summary', 'testSteps', 'expectedResults'];
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+const queryError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// "a,b" and repeated parameters (?status=Fail&status=Blocked) both give several values
+const listParam = (value) => (Array.isArray(value) ? value : [value])
+    .filter(item => item !== undefined && item !== null)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const positiveInteger = (value, name) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw queryError(`${name} must be a positive integer`);
+    }
+    return number;
+};
+
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (Number.isInteger(offset) && offset >= 0) {
+            return offset;
+        }
+    } catch {
+        // Reported below
+    }
+    throw queryError('cursor is invalid');
+};
+
+const readFilters = (query) => {
+    const filters = {};
+    Object.entries(FILTER_PARAMS).forEach(([param, field]) => {
+        const values = listParam(query[param] ?? query[field]);
+        if (values.length > 0) {
+            filters[field] = values;
+        }
+    });
+    return { filters, search: String(query.q ?? query.search ?? '').trim() };
+};
+
+// Parse the query string of GET /test-cases. Filters match case-insensitively and accept
+// several values each; `q` (or `search`) words must all appear in one of SEARCH_FIELDS;
+// `sort` is a comma-separated list of fields, "-" prefixed for descending. Paging is
+// `page` + `pageSize` or `cursor` + `limit`; without any of them every match is returned.
+export function parseTestCaseQuery(query = {}, columns = TEST_CASE_COLUMNS) {
+    const fields = new Set(['rowIndex', ...columns.map(column => column.field)]);
+
+    const { filters, search } = readFilters(query);
+
+    const sort = listParam(query.sort).map(key => {
+        const descending = key.startsWith('-');
+        const field = descending ? key.slice(1) : key;
+        if (!fields.has(field)) {
+            throw queryError(`Cannot sort by "${field}"; use one of ${[...fields].join(', ')}`);
+        }
+        return { field, descending };
+    });
+
+    const cursorMode = query.cursor !== undefined || query.limit !== undefined;
+    const pageMode = query.page !== undefined || query.pageSize !== undefined;
+    if (cursorMode && pageMode) {
+        throw queryError('Use either page / pageSize or cursor / limit, not both');
+    }
+    const sizeParam = query.pageSize ?? query.limit;
+    const pageSize = sizeParam !== undefined ? positiveInteger(sizeParam, cursorMode ? 'limit' : 'pageSize') : DEFAULT_PAGE_SIZE;
+    if (pageSize > MAX_PAGE_SIZE) {
+        throw queryError(`${cursorMode ? 'limit' : 'pageSize'} must be at most ${MAX_PAGE_SIZE}`);
+    }
+
+    let pagination = null;
+    if (cursorMode) {
+        pagination = { mode: 'cursor', offset: query.cursor ? decodeCursor(query.cursor) : 0, pageSize };
+    } else if (pageMode) {
+        const page = query.page !== undefined ? positiveInteger(query.page, 'page') : 1;
+        pagination = { mode: 'page', page, offset: (page - 1) * pageSize, pageSize };
+    }
+
+    return { filters, search, sort, pagination };
+}
+
+// Parse the `filter` object of a bulk update: the same filter and search keys as
+// parseTestCaseQuery, but unknown keys are rejected, since a misspelt one would widen the match
+export function parseTestCaseFilter(filter = {}) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+        throw queryError('filter must be an object');
+    }
+    const known = new Set([...Object.keys(FILTER_PARAMS), ...Object.values(FILTER_PARAMS), 'q', 'search']);
+    const unknown = Object.keys(filter).filter(key => !known.has(key));
+    if (unknown.length > 0) {
+        throw queryError(`Unknown filter ${unknown.map(key => `"${key}"`).join(', ')}; use ${[...known].join(', ')}`);
+    }
+    return readFilters(filter);
+}
+
+const matchesFilter = (testCase, field, values) => {
+    const value = String(testCase[field] || '').toLowerCase();
+    return values.some(expected => expected.toLowerCase() === value);
+};
+
+const matchesSearch = (testCase, words) => words.every(word => SEARCH_FIELDS
+    .some(field => String(testCase[field] || '').toLowerCase().includes(word)));
+
+// Dropdown columns sort in the order of their values (P1 before P2, Critical before Major),
+// everything else naturally ("TC-2" before "TC-10"). Empty values go last in either direction.
+const sortComparator = (sort, columns) => {
+    const orders = new Map(columns
+        .filter(column => column.allowedValues?.length)
+        .map(column => [column.field, column.allowedValues.map(value => value.toLowerCase())]));
+
+    const compareField = (a, b, field) => {
+        if (field === 'rowIndex') {
+            return a.rowIndex - b.rowIndex;
+        }
+        const left = String(a[field] || '');
+        const right = String(b[field] || '');
+        const order = orders.get(field);
+        if (order) {
+            const leftRank = order.indexOf(left.toLowerCase());
+            const rightRank = order.indexOf(right.toLowerCase());
+            if (leftRank !== rightRank) {
+                return (leftRank === -1 ? order.length : leftRank) - (rightRank === -1 ? order.length : rightRank);
+            }
+        }
+        return left.localeCompare(right, undefined, { numeric: true, sensitivity: 'base' });
+    };
+
+    return (a, b) => {
+        for (const { field, descending } of sort) {
+            const leftEmpty = field !== 'rowIndex' && !a[field];
+            const rightEmpty = field !== 'rowIndex' && !b[field];
+            if (leftEmpty || rightEmpty) {
+                if (leftEmpty !== rightEmpty) {
+                    return leftEmpty ? 1 : -1;
+                }
+                continue;
+            }
+            const result = compareField(a, b, field);
+            if (result !== 0) {
+                return descending ? -result : result;
+            }
+        }
+        return a.rowIndex - b.rowIndex;
+    };
+};
+
+// Values and counts of one facet, most frequent first. Counted over the cases matching the
+// search and every other filter, so selecting a status still shows the counts of the others.
+const facetCounts = (testCases, field) => {
+    const counts = new Map();
+    testCases.forEach(testCase => {
+        const value = testCase[field] || '';
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, undefined, { numeric: true }));
+};
+
+// Apply a parsed query to the test cases of a tab. Returns the page of test cases, the match
+// count, the facet counts and the paging details (null when not paginated).
+export function queryTestCases(testCases, { filters = {}, search = '', sort = [], pagination = null } = {}, columns = TEST_CASE_COLUMNS) {
+    const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+    const searched = words.length > 0 ? testCases.filter(testCase => matchesSearch(testCase, words)) : testCases;
+
+    const facetFields = [...new Set(Object.values(FILTER_PARAMS))]
+        .filter(field => columns.some(column => column.field === field));
+    const filterEntries = Object.entries(filters);
+    const applyFilters = (cases, skipField = null) => cases.filter(testCase => filterEntries
+        .every(([field, values]) => field === skipField || matchesFilter(testCase, field, values)));
+
+    const matched = applyFilters(searched);
+    const facets = Object.fromEntries(facetFields.map(field => [field, facetCounts(applyFilters(searched, field), field)]));
+
+    const sorted = sort.length > 0 ? [...matched].sort(sortComparator(sort, columns)) : matched;
+
+    if (!pagination) {
+        return { testCases: sorted, matchedCount: matched.length, facets, pagination: null };
+    }
+
+    const { offset, pageSize } = pagination;
+    const page = sorted.slice(offset, offset + pageSize);
+    const hasMore = offset + pageSize < sorted.length;
+
+    return {
+        testCases: page,
+        matchedCount: matched.length,
+        facets,
+        pagination: pagination.mode === 'page'
+            ? { page: pagination.page, pageSize, totalPages: Math.ceil(sorted.length / pageSize), hasMore }
+            : { pageSize, nextCursor: hasMore ? encodeCursor(offset + pageSize) : null, hasMore }
+    };
+}
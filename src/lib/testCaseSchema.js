@@ -0,0 +1,395 @@
+// Test case fields and how they map onto sheet columns. Tabs are read through their header
+// row, so teams can keep extra columns, a different order or their own header names
+// ("TC ID", "Steps", ...). Rows are written back through the same mapping.
+
+export const TEST_CASE_TYPES = ['Positive', 'Negative'];
+export const STATUSES = ['Not Tested', 'Pass', 'Fail', 'Blocked'];
+export const PRIORITIES = ['P1', 'P2', 'P3', 'P4'];
+export const SEVERITIES = ['Critical', 'Major', 'Minor', 'Trivial'];
+
+export const DEFAULT_PRIORITY = 'P3';
+export const DEFAULT_SEVERITY = 'Minor';
+
+// Built-in columns. Project templates (models/ColumnTemplate.js) may reorder, rename or drop
+// these and add custom fields; `type` is text, longtext, dropdown, number or date.
+export const TEST_CASE_COLUMNS = [
+    { field: 'id', header: 'Test Case ID', type: 'text', synonyms: ['TC ID', 'TCID', 'ID', 'Test ID', 'Case ID', 'TC No', 'Test Case No'] },
+    { field: 'module', header: 'Module', type: 'text', synonyms: ['Feature', 'Component', 'Area'] },
+    { field: 'submodule', header: 'Submodule', type: 'text', synonyms: ['Sub Module', 'Sub-Module', 'Sub Feature', 'Subcomponent', 'Sub Component'] },
+    { field: 'summary', header: 'Summary', type: 'text', synonyms: ['Title', 'Test Case', 'Test Case Title', 'Test Case Name', 'Description', 'Test Summary', 'Name'] },
+    { field: 'testSteps', header: 'Test Steps', type: 'longtext', synonyms: ['Steps', 'Steps to Reproduce', 'Procedure', 'Test Procedure', 'Actions'] },
+    { field: 'expectedResults', header: 'Expected Results', type: 'longtext', synonyms: ['Expected Result', 'Expected', 'Expected Outcome', 'Expected Behaviour', 'Expected Behavior'] },
+    { field: 'actualResult', header: 'Actual Result', type: 'longtext', synonyms: ['Actual Results', 'Actual', 'Actual Outcome'] },
+    { field: 'testCaseType', header: 'Test Case Type', type: 'dropdown', allowedValues: TEST_CASE_TYPES, synonyms: ['Type', 'Test Type', 'Case Type'], default: 'Positive' },
+    { field: 'environment', header: 'Environment', type: 'text', synonyms: ['Env', 'Test Environment'], default: 'Test' },
+    { field: 'status', header: 'Status', type: 'dropdown', allowedValues: STATUSES, synonyms: ['Result', 'Execution Status', 'Test Status', 'State'], default: 'Not Tested' },
+    { field: 'priority', header: 'Priority', type: 'dropdown', allowedValues: PRIORITIES, synonyms: ['Prio'] },
+    { field: 'severity', header: 'Severity', type: 'dropdown', allowedValues: SEVERITIES, synonyms: [] }
+];
+
+// Columns of a test scenarios tab (written by addTestScenariosSheetData)
+export const TEST_SCENARIO_COLUMNS = [
+    { field: 'module', header: 'Module', type: 'text', synonyms: ['Feature', 'Component', 'Area'], width: 150 },
+    { field: 'condition', header: 'Condition', type: 'text', synonyms: ['Scenario Condition', 'Precondition'], width: 250 },
+    { field: 'testScenarios', header: 'Test Scenarios', type: 'longtext', synonyms: ['Test Scenario', 'Scenario', 'Scenarios', 'Description'], width: 400 },
+    { field: 'status', header: 'Status', type: 'dropdown', allowedValues: STATUSES, synonyms: ['Result', 'Execution Status', 'State'], default: 'Not Tested', width: 100 }
+];
+
+// Columns of a per-run results tab (written by addTestRunSheetData)
+export const TEST_RUN_COLUMNS = [
+    { field: 'id', header: 'Test Case ID', type: 'text', synonyms: [], width: 120 },
+    { field: 'module', header: 'Module', type: 'text', synonyms: [], width: 120 },
+    { field: 'summary', header: 'Summary', type: 'text', synonyms: [], width: 260 },
+    { field: 'status', header: 'Status', type: 'dropdown', allowedValues: STATUSES, synonyms: [], default: 'Not Tested', width: 100 },
+    { field: 'actualResult', header: 'Actual Result', type: 'longtext', synonyms: [], width: 300 },
+    { field: 'tester', header: 'Tester', type: 'text', synonyms: [], width: 140 },
+    { field: 'executedAt', header: 'Executed At', type: 'text', synonyms: [], width: 160 }
+];
+
+export const TEST_CASE_FIELDS = TEST_CASE_COLUMNS.map(column => column.field);
+export const TEST_CASE_HEADERS = TEST_CASE_COLUMNS.map(column => column.header);
+
+export const COLUMN_TYPES = ['text', 'longtext', 'dropdown', 'number', 'date'];
+
+const BUILT_IN_COLUMNS = new Map(TEST_CASE_COLUMNS.map(column => [column.field, column]));
+
+// Wide enough for the standard layout plus a team's extra columns
+export const TEST_CASE_RANGE = 'A:Z';
+
+const PRIORITY_ALIASES = {
+    blocker: 'P1',
+    critical: 'P1',
+    highest: 'P1',
+    high: 'P2',
+    medium: 'P3',
+    normal: 'P3',
+    low: 'P4',
+    lowest: 'P4'
+};
+
+const SEVERITY_ALIASES = {
+    blocker: 'Critical',
+    critical: 'Critical',
+    high: 'Major',
+    major: 'Major',
+    medium: 'Minor',
+    moderate: 'Minor',
+    minor: 'Minor',
+    low: 'Trivial',
+    trivial: 'Trivial'
+};
+
+// "p2", "2", "High" -> "P2"; anything unrecognised -> ''
+export function normalizePriority(value) {
+    const text = String(value || '').trim().toLowerCase();
+    const numeric = text.match(/^p?\s*([1-4])$/);
+    if (numeric) {
+        return `P${numeric[1]}`;
+    }
+    return PRIORITY_ALIASES[text] || '';
+}
+
+export function normalizeSeverity(value) {
+    const text = String(value || '').trim().toLowerCase();
+    return SEVERITY_ALIASES[text] || '';
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+export function columnLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+}
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const headerLookups = new WeakMap();
+const headerLookup = (columns) => {
+    if (!headerLookups.has(columns)) {
+        const lookup = new Map();
+        columns.forEach(column => {
+            [column.header, ...(column.synonyms || [])].forEach(name => {
+                const key = normalizeHeader(name);
+                if (key && !lookup.has(key)) {
+                    lookup.set(key, column.field);
+                }
+            });
+        });
+        headerLookups.set(columns, lookup);
+    }
+    return headerLookups.get(columns);
+};
+
+// Map a header row to { fields: { field: columnIndex }, unmapped, missing, width, columns }
+// for the given template columns. The first column matching a field wins; later matches
+// are reported as unmapped.
+export function mapHeaderRow(headerRow = [], columns = TEST_CASE_COLUMNS) {
+    const lookup = headerLookup(columns);
+    const fields = {};
+    const unmapped = [];
+
+    headerRow.forEach((cell, index) => {
+        const key = normalizeHeader(cell);
+        if (!key) {
+            return;
+        }
+        const field = lookup.get(key);
+        if (field && fields[field] === undefined) {
+            fields[field] = index;
+        } else {
+            unmapped.push({ column: columnLetter(index), header: String(cell) });
+        }
+    });
+
+    return {
+        fields,
+        unmapped,
+        missing: columns.map(column => column.field).filter(field => fields[field] === undefined),
+        width: headerRow.length,
+        columns
+    };
+}
+
+// Mapping of a tab freshly written with the template's own headers
+export const templateMapping = (columns) => mapHeaderRow(columns.map(column => column.header), columns);
+
+export const DEFAULT_MAPPING = templateMapping(TEST_CASE_COLUMNS);
+
+// Blank header rows (very old tabs) are read in the template's column order
+export function resolveSheetMapping(headerRow = [], columns = TEST_CASE_COLUMNS) {
+    if (!headerRow.some(cell => String(cell || '').trim())) {
+        return { ...templateMapping(columns), positional: true };
+    }
+    return mapHeaderRow(headerRow, columns);
+}
+
+// Client-facing description of a mapping
+export function describeMapping(mapping) {
+    return {
+        mapped: mapping.columns
+            .filter(column => mapping.fields[column.field] !== undefined)
+            .map(column => ({ field: column.field, header: column.header, column: columnLetter(mapping.fields[column.field]) })),
+        unmapped: mapping.unmapped,
+        missing: mapping.missing,
+        positional: Boolean(mapping.positional)
+    };
+}
+
+// Append columns for `fields` after the last header cell. Returns the new mapping and
+// the header cells to write ({ index, header }).
+export function extendMapping(mapping, fields) {
+    const extended = { ...mapping, fields: { ...mapping.fields }, missing: [...mapping.missing] };
+    const headers = [];
+
+    fields.filter(field => extended.fields[field] === undefined).forEach(field => {
+        const index = extended.width;
+        extended.fields[field] = index;
+        extended.width = index + 1;
+        extended.missing = extended.missing.filter(missing => missing !== field);
+        headers.push({ index, header: extended.columns.find(column => column.field === field).header });
+    });
+
+    return { mapping: extended, headers };
+}
+
+// Number of columns a row written with `mapping` spans
+export function mappingWidth(mapping) {
+    return Math.max(mapping.width, ...Object.values(mapping.fields).map(index => index + 1));
+}
+
+export function rowToTestCase(row, rowIndex, mapping = DEFAULT_MAPPING) {
+    const testCase = { rowIndex };
+    mapping.columns.forEach(column => {
+        const index = mapping.fields[column.field];
+        testCase[column.field] = (index !== undefined ? row[index] : '') || column.default || '';
+    });
+    // Built-in fields a template leaves out still read as empty strings
+    TEST_CASE_FIELDS.forEach(field => {
+        testCase[field] ??= '';
+    });
+    return testCase;
+}
+
+// Row values for a tab laid out as `mapping`. Columns the mapping does not know keep
+// their current values from `baseRow` (the existing row when updating in place).
+export function testCaseToRow(testCase, mapping = DEFAULT_MAPPING, baseRow = []) {
+    const row = Array.from({ length: Math.max(mappingWidth(mapping), baseRow.length) }, (_, index) => baseRow[index] ?? '');
+    mapping.columns.forEach(column => {
+        const index = mapping.fields[column.field];
+        if (index !== undefined) {
+            row[index] = testCase[column.field] || column.default || '';
+        }
+    });
+    return row;
+}
+
+// Expand stored template columns into schema columns. Built-in fields keep their header
+// synonyms and dropdown values unless the template overrides them; any other field key is
+// a custom field ("preconditions", "jiraKey", ...).
+export function buildTemplateColumns(templateColumns = []) {
+    return templateColumns.map(column => {
+        const builtIn = BUILT_IN_COLUMNS.get(column.field);
+        const allowedValues = column.allowedValues?.length ? [...column.allowedValues] : builtIn?.allowedValues;
+        return {
+            field: column.field,
+            header: column.header || builtIn?.header || column.field,
+            type: column.type || builtIn?.type || 'text',
+            ...(allowedValues ? { allowedValues } : {}),
+            synonyms: [...(column.synonyms || []), ...(builtIn ? [builtIn.header, ...builtIn.synonyms] : [])],
+            default: column.default || builtIn?.default || '',
+            description: column.description || '',
+            custom: !builtIn
+        };
+    });
+}
+
+// Returns a list of problems with template columns; empty when the template is usable
+export function validateTemplateColumns(columns) {
+    if (!Array.isArray(columns) || columns.length === 0) {
+        return ['columns must be a non-empty array'];
+    }
+
+    const errors = [];
+    const fields = new Set();
+    const headers = new Set();
+
+    columns.forEach((column, index) => {
+        const label = `columns[${index}]`;
+        if (!column || typeof column.field !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(column.field)) {
+            errors.push(`${label}.field must be a key such as "preconditions" or "jiraKey"`);
+            return;
+        }
+        if (column.field === 'rowIndex') {
+            errors.push(`${label}.field "rowIndex" is reserved`);
+        }
+        if (fields.has(column.field)) {
+            errors.push(`Duplicate field "${column.field}"`);
+        }
+        fields.add(column.field);
+
+        const builtIn = BUILT_IN_COLUMNS.get(column.field);
+        const header = normalizeHeader(column.header || builtIn?.header);
+        if (!header) {
+            errors.push(`${label}.header is required for custom field "${column.field}"`);
+        } else if (headers.has(header)) {
+            errors.push(`Duplicate header "${column.header}"`);
+        }
+        headers.add(header);
+
+        const type = column.type || builtIn?.type || 'text';
+        if (!COLUMN_TYPES.includes(type)) {
+            errors.push(`${label}.type must be one of ${COLUMN_TYPES.join(', ')}`);
+        }
+        const allowedValues = column.allowedValues?.length ? column.allowedValues : builtIn?.allowedValues;
+        if (type === 'dropdown' && !allowedValues?.length) {
+            errors.push(`${label}.allowedValues is required for dropdown "${column.field}"`);
+        }
+        if (column.default && allowedValues?.length && !allowedValues.includes(column.default)) {
+            errors.push(`${label}.default "${column.default}" is not one of its allowedValues`);
+        }
+    });
+
+    if (!fields.has('id')) {
+        errors.push('A template must include the "id" field');
+    }
+
+    return errors;
+}
+
+// Clean a model-supplied value for a template column: arrays become lines, dropdown values
+// snap to the allowed list (case-insensitively) and invalid values fall back to the default
+export function cleanColumnValue(column, value) {
+    let text = Array.isArray(value) ? value.join('\n') : String(value ?? '').trim();
+    if (text && column.allowedValues?.length) {
+        text = column.allowedValues.find(allowed => allowed.toLowerCase() === text.toLowerCase()) || '';
+    }
+    if (text && column.type === 'number' && Number.isNaN(Number(text))) {
+        text = '';
+    }
+    return text || column.default || '';
+}
+
+// Copy the template's custom fields from a raw generated case onto a cleaned one
+export function withCustomFields(testCase, raw, columns = TEST_CASE_COLUMNS) {
+    const withCustom = { ...testCase };
+    columns.filter(column => column.custom).forEach(column => {
+        withCustom[column.field] = cleanColumnValue(column, raw[column.field]);
+    });
+    return withCustom;
+}
+
+// Fill in the generation defaults for a freshly generated case
+export function withPriorityAndSeverity(testCase) {
+    return {
+        ...testCase,
+        priority: normalizePriority(testCase.priority) || DEFAULT_PRIORITY,
+        severity: normalizeSeverity(testCase.severity) || DEFAULT_SEVERITY
+    };
+}
+
+// Fields a hand-written test case must have (the same ones generated cases require)
+export const REQUIRED_TEST_CASE_FIELDS = ['summary', 'testSteps', 'expectedResults'];
+
+// Validate test case fields sent by a client against the template `columns`. Unlike
+// cleanColumnValue nothing is silently dropped: unknown fields, values outside a dropdown
+// and unparseable numbers or dates are errors. Dropdown values are matched case-insensitively
+// and priority / severity accept the usual aliases ("High", "major"). With `partial` only the
+// given fields are checked. Returns { values, errors } with the cleaned values.
+export function parseTestCaseInput(input, columns = TEST_CASE_COLUMNS, { partial = false } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { values: {}, errors: ['testCase must be an object'] };
+    }
+
+    const byField = new Map(columns.map(column => [column.field, column]));
+    const values = {};
+    const errors = [];
+
+    Object.entries(input).forEach(([field, value]) => {
+        const column = byField.get(field);
+        if (!column) {
+            errors.push(`Unknown field "${field}"`);
+            return;
+        }
+        if (value !== null && !['string', 'number'].includes(typeof value) && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+            errors.push(`${field} must be a string`);
+            return;
+        }
+
+        let text = Array.isArray(value) ? value.join('\n') : String(value ?? '').trim();
+        if (text && field === 'priority') {
+            text = normalizePriority(text) || text;
+        } else if (text && field === 'severity') {
+            text = normalizeSeverity(text) || text;
+        }
+        if (text && column.allowedValues?.length) {
+            const allowed = column.allowedValues.find(option => option.toLowerCase() === text.toLowerCase());
+            if (!allowed) {
+                errors.push(`${field} must be one of ${column.allowedValues.join(', ')}`);
+                return;
+            }
+            text = allowed;
+        }
+        if (text && column.type === 'number' && Number.isNaN(Number(text))) {
+            errors.push(`${field} must be a number`);
+            return;
+        }
+        if (text && column.type === 'date' && Number.isNaN(Date.parse(text))) {
+            errors.push(`${field} must be a date`);
+            return;
+        }
+        values[field] = text;
+    });
+
+    REQUIRED_TEST_CASE_FIELDS.filter(field => byField.has(field)).forEach(field => {
+        if ((!partial || field in values) && !values[field] && !errors.some(error => error.startsWith(`${field} `))) {
+            errors.push(`${field} is required`);
+        }
+    });
+
+    return { values, errors };
+}
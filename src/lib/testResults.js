@@ -0,0 +1,249 @@
+// Automated test results -> sheet statuses. Reports are normalised to
+// [{ title, fullTitle, outcome: 'passed' | 'failed' | 'skipped', message }] and matched to test
+// cases by the test case IDs found in the test titles ("TC_001: User can log in"), which is how
+// the Playwright / Cypress skeletons name their tests.
+
+export const RESULT_FORMATS = ['junit', 'playwright', 'cypress'];
+
+// Worst outcome wins when several tests (or retries) report on the same test case
+const OUTCOME_STATUS = { failed: 'Fail', skipped: 'Blocked', passed: 'Pass' };
+const OUTCOME_RANK = { passed: 0, skipped: 1, failed: 2 };
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+const invalidReport = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// Failure text for a sheet cell: no ANSI colours, trimmed to a readable length
+const cleanMessage = (message) => {
+    const text = String(message || '').replace(/\u001b\[[0-9;]*m/g, '').trim();
+    return text.length > MAX_MESSAGE_LENGTH ? `${text.substring(0, MAX_MESSAGE_LENGTH)}…` : text;
+};
+
+// --- JUnit XML ---
+
+const decodeXml = (text) => String(text || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => data.replace(/&/g, '&amp;').replace(/</g, '&lt;'))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+
+const xmlAttributes = (text) => {
+    const attributes = {};
+    for (const [, name, , value] of String(text || '').matchAll(/([\w:.-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+        attributes[name] = decodeXml(value);
+    }
+    return attributes;
+};
+
+// JUnit XML as written by Playwright, Cypress (mocha-junit-reporter), Jest, pytest, Maven...
+// Only <testcase> elements and their <failure>, <error> and <skipped> children are read.
+export function parseJUnitXml(xml) {
+    const text = String(xml || '').replace(/<!--[\s\S]*?-->/g, '');
+    if (!/<testsuites?\b|<testcase\b/.test(text)) {
+        throw invalidReport('Report is not JUnit XML (no <testsuite> or <testcase> elements)');
+    }
+
+    const results = [];
+    for (const [, attributeText, selfClosing, body = ''] of text.matchAll(/<testcase\b([^>]*?)(\/>|>([\s\S]*?)<\/testcase>)/g)) {
+        const attributes = xmlAttributes(attributeText);
+        const problem = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+        const skipped = selfClosing !== '/>' && /<skipped\b/.test(body);
+
+        let outcome = 'passed';
+        let message = '';
+        if (problem) {
+            const problemAttributes = xmlAttributes(problem[2]);
+            outcome = 'failed';
+            message = problemAttributes.message || decodeXml(problem[3]).split('\n').find(line => line.trim()) || problem[1];
+        } else if (skipped) {
+            outcome = 'skipped';
+            message = xmlAttributes(body.match(/<skipped\b([^>]*?)\/?>/)?.[1]).message || '';
+        }
+
+        const title = attributes.name || '';
+        results.push({
+            title,
+            fullTitle: [attributes.classname, title].filter(Boolean).join(' › '),
+            outcome,
+            message: cleanMessage(message)
+        });
+    }
+    return results;
+}
+
+// --- Playwright JSON reporter ---
+
+export function parsePlaywrightReport(report) {
+    const results = [];
+    const walk = (suite, parents) => {
+        const path = suite.title ? [...parents, suite.title] : parents;
+        (suite.specs || []).forEach(spec => {
+            (spec.tests || []).forEach(test => {
+                const runs = test.results || [];
+                const lastRun = runs[runs.length - 1] || {};
+                // "flaky" passed on a retry
+                const outcome = test.status === 'skipped' || lastRun.status === 'skipped'
+                    ? 'skipped'
+                    : (test.status === 'expected' || test.status === 'flaky' ? 'passed' : 'failed');
+                const error = lastRun.error || lastRun.errors?.[0];
+                results.push({
+                    title: spec.title,
+                    fullTitle: [...path, spec.title].join(' › '),
+                    outcome,
+                    message: outcome === 'failed' ? cleanMessage(error?.message || `Test ${test.status || 'failed'}`) : ''
+                });
+            });
+        });
+        (suite.suites || []).forEach(child => walk(child, path));
+    };
+    (report.suites || []).forEach(suite => walk(suite, []));
+    return results;
+}
+
+// --- Cypress: mochawesome, Mocha "json" reporter or `cypress run` module API results ---
+
+const MOCHA_STATES = { passed: 'passed', failed: 'failed', pending: 'skipped', skipped: 'skipped' };
+
+export function parseCypressReport(report) {
+    const results = [];
+
+    // cypress.run() results
+    if (Array.isArray(report.runs)) {
+        report.runs.forEach(run => (run.tests || []).forEach(test => {
+            const titles = [].concat(test.title || []);
+            const outcome = MOCHA_STATES[test.state] || 'failed';
+            results.push({
+                title: titles[titles.length - 1] || '',
+                fullTitle: titles.join(' › '),
+                outcome,
+                message: outcome === 'failed' ? cleanMessage(test.displayError || test.attempts?.at(-1)?.error?.message) : ''
+            });
+        }));
+        return results;
+    }
+
+    // mochawesome
+    if (Array.isArray(report.results)) {
+        const walk = (suite) => {
+            (suite.tests || []).forEach(test => {
+                const outcome = MOCHA_STATES[test.state] || (test.pending ? 'skipped' : (test.fail ? 'failed' : 'passed'));
+                results.push({
+                    title: test.title || '',
+                    fullTitle: test.fullTitle || test.title || '',
+                    outcome,
+                    message: outcome === 'failed' ? cleanMessage(test.err?.message) : ''
+                });
+            });
+            (suite.suites || []).forEach(walk);
+        };
+        report.results.forEach(walk);
+        return results;
+    }
+
+    // Mocha json reporter: failures and pending tests are listed separately
+    const failed = new Set((report.failures || []).map(test => test.fullTitle));
+    const pending = new Set((report.pending || []).map(test => test.fullTitle));
+    (report.tests || []).forEach(test => {
+        const outcome = failed.has(test.fullTitle) || (test.err && Object.keys(test.err).length > 0)
+            ? 'failed'
+            : (pending.has(test.fullTitle) ? 'skipped' : 'passed');
+        results.push({
+            title: test.title || '',
+            fullTitle: test.fullTitle || test.title || '',
+            outcome,
+            message: outcome === 'failed' ? cleanMessage(test.err?.message) : ''
+        });
+    });
+    return results;
+}
+
+// Pick the parser from `format`, or from the report itself when no format is given
+export function parseTestReport(report, format) {
+    if (format && !RESULT_FORMATS.includes(format)) {
+        throw invalidReport(`format must be one of ${RESULT_FORMATS.join(', ')}`);
+    }
+
+    let data = report;
+    if (typeof data === 'string') {
+        const text = data.trim();
+        if (format === 'junit' || (!format && text.startsWith('<'))) {
+            return { format: 'junit', results: parseJUnitXml(text) };
+        }
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw invalidReport(`Report is neither JUnit XML nor JSON: ${error.message}`);
+        }
+    }
+    if (!data || typeof data !== 'object') {
+        throw invalidReport('Report is empty');
+    }
+
+    const detected = format || (Array.isArray(data.suites) && data.config ? 'playwright' : 'cypress');
+    if (detected === 'junit') {
+        throw invalidReport('A JUnit report must be sent as XML');
+    }
+    return {
+        format: detected,
+        results: detected === 'playwright' ? parsePlaywrightReport(data) : parseCypressReport(data)
+    };
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// IDs from `idPatterns` that appear as whole tokens in `text` ("TC_1" does not match "TC_12")
+function findIds(text, idPatterns) {
+    return idPatterns.filter(({ pattern }) => pattern.test(text)).map(({ id }) => id);
+}
+
+// Match results to test cases. Returns { updates: [{ id, status, message, tests }], unmatched }
+// where `unmatched` lists the tests whose titles contain no known test case ID.
+export function matchTestResults(results, testCases) {
+    const idPatterns = [...new Set(testCases.map(tc => tc.id).filter(Boolean))]
+        .map(id => ({ id, pattern: new RegExp(`(?<![A-Za-z0-9])${escapeRegExp(id)}(?![A-Za-z0-9])`) }));
+    const byId = new Map();
+    const unmatched = [];
+
+    results.forEach(result => {
+        let ids = findIds(result.title, idPatterns);
+        if (ids.length === 0) {
+            ids = findIds(result.fullTitle, idPatterns);
+        }
+        if (ids.length === 0) {
+            unmatched.push({ title: result.fullTitle || result.title, outcome: result.outcome });
+            return;
+        }
+
+        ids.forEach(id => {
+            const entry = byId.get(id) || { id, outcome: 'passed', messages: [], tests: 0 };
+            entry.tests++;
+            if (OUTCOME_RANK[result.outcome] > OUTCOME_RANK[entry.outcome]) {
+                entry.outcome = result.outcome;
+            }
+            if (result.message && result.outcome !== 'passed') {
+                entry.messages.push({ outcome: result.outcome, text: result.message });
+            }
+            byId.set(id, entry);
+        });
+    });
+
+    const updates = [...byId.values()].map(entry => ({
+        id: entry.id,
+        status: OUTCOME_STATUS[entry.outcome],
+        message: cleanMessage(entry.messages
+            .filter(message => message.outcome === entry.outcome)
+            .map(message => (entry.outcome === 'skipped' ? `Skipped: ${message.text}` : message.text))
+            .join('\n')) || (entry.outcome === 'skipped' ? 'Skipped' : ''),
+        tests: entry.tests
+    }));
+
+    return { updates, unmatched };
+}
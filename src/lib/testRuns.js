@@ -0,0 +1,70 @@
+import { STATUSES } from './testCaseSchema.js';
+
+// Test run helpers: summaries of a run's results and the rows it projects into a sheet.
+
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+const emptyCounts = () => Object.fromEntries(STATUSES.map(status => [status, 0]));
+
+// Counts by status, overall and per module, plus progress (executed / total) and pass rate
+// (passed / executed) as percentages
+export function summarizeTestRun(run) {
+    const results = run.results || [];
+    const byStatus = emptyCounts();
+    const modules = new Map();
+    const testers = new Map();
+    let firstExecutedAt = null;
+    let lastExecutedAt = null;
+
+    results.forEach(result => {
+        const status = result.status || 'Not Tested';
+        byStatus[status] = (byStatus[status] || 0) + 1;
+
+        const module = result.module || 'Untitled';
+        if (!modules.has(module)) {
+            modules.set(module, { module, total: 0, ...emptyCounts() });
+        }
+        const moduleCounts = modules.get(module);
+        moduleCounts.total++;
+        moduleCounts[status]++;
+
+        if (result.executedAt) {
+            const executedAt = new Date(result.executedAt);
+            firstExecutedAt = !firstExecutedAt || executedAt < firstExecutedAt ? executedAt : firstExecutedAt;
+            lastExecutedAt = !lastExecutedAt || executedAt > lastExecutedAt ? executedAt : lastExecutedAt;
+            const tester = result.testerName || 'Unknown';
+            testers.set(tester, (testers.get(tester) || 0) + 1);
+        }
+    });
+
+    const total = results.length;
+    const executed = total - byStatus['Not Tested'];
+
+    return {
+        total,
+        executed,
+        byStatus,
+        progress: percentage(executed, total),
+        passRate: percentage(byStatus.Pass, executed),
+        byModule: [...modules.values()],
+        testers: [...testers.entries()].map(([tester, count]) => ({ tester, executed: count })),
+        firstExecutedAt,
+        lastExecutedAt
+    };
+}
+
+// Default name of the per-run tab: "Run - <name>" (Sheets titles are limited to 100 characters)
+export const testRunTabName = (run) => `Run - ${run.name}${run.build ? ` (${run.build})` : ''}`
+    .replace(/['[\]*?/\\:]/g, ' ')
+    .substring(0, 100);
+
+// Rows for addTestRunSheetData
+export const testRunTabItems = (run) => (run.results || []).map(result => ({
+    id: result.testCaseId,
+    module: result.module || '',
+    summary: result.summary || '',
+    status: result.status || 'Not Tested',
+    actualResult: result.actualResult || '',
+    tester: result.testerName || '',
+    executedAt: result.executedAt ? new Date(result.executedAt).toISOString() : ''
+}));
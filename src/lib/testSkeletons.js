@@ -0,0 +1,183 @@
+import { slugify } from './gherkin.js';
+import { toStepPairs } from './tmsExport.js';
+
+// Playwright / Cypress project skeletons from manual test cases: one spec file per module,
+// a describe block per module and submodule, one test per case titled "<ID>: <summary>" so
+// results can be matched back to the sheet. Steps become commented placeholders and expected
+// results assertion TODOs; nothing is executable until someone fills them in.
+
+export const AUTOMATION_FRAMEWORKS = ['playwright', 'cypress'];
+
+const INDENT = '    ';
+
+// Single-quoted JS string literal
+const jsString = (value) => `'${String(value ?? '').replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\r?\n/g, ' ')}'`;
+
+const commentLines = (prefix, text, indent) => String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, index) => `${indent}// ${index === 0 ? prefix : ' '.repeat(prefix.length)}${line}`);
+
+export const testTitle = (testCase) => `${testCase.id}: ${testCase.summary || 'Untitled'}`;
+
+function testBody(testCase, framework, indent) {
+    const lines = [];
+    const pairs = toStepPairs(testCase);
+
+    pairs.forEach((pair, index) => {
+        if (index > 0) {
+            lines.push('');
+        }
+        if (pair.action) {
+            lines.push(...commentLines(`Step ${index + 1}: `, pair.action, indent));
+            lines.push(...commentLines('Data: ', pair.data, indent));
+            lines.push(`${indent}// TODO: implement step ${index + 1}`);
+        }
+        if (pair.expected) {
+            lines.push(...commentLines('Expected: ', pair.expected, indent));
+            lines.push(framework === 'playwright'
+                ? `${indent}// TODO: assert, e.g. await expect(page.getByText('...')).toBeVisible();`
+                : `${indent}// TODO: assert, e.g. cy.contains('...').should('be.visible');`);
+        }
+    });
+    return lines;
+}
+
+function renderTest(testCase, framework, indent) {
+    const open = framework === 'playwright'
+        ? `${indent}test(${jsString(testTitle(testCase))}, async ({ page }) => {`
+        : `${indent}it(${jsString(testTitle(testCase))}, () => {`;
+    return [open, ...testBody(testCase, framework, indent + INDENT), `${indent}});`];
+}
+
+function renderSpec(module, testCases, framework) {
+    const describe = framework === 'playwright' ? 'test.describe' : 'describe';
+    const submodules = new Map();
+    testCases.forEach(testCase => {
+        const submodule = testCase.submodule || '';
+        if (!submodules.has(submodule)) {
+            submodules.set(submodule, []);
+        }
+        submodules.get(submodule).push(testCase);
+    });
+
+    const lines = framework === 'playwright'
+        ? [`import { test, expect } from '@playwright/test';`, '']
+        : [`/// <reference types="cypress" />`, ''];
+
+    lines.push(`${describe}(${jsString(module)}, () => {`);
+    [...submodules.entries()].forEach(([submodule, submoduleCases], groupIndex) => {
+        if (groupIndex > 0) {
+            lines.push('');
+        }
+        // Cases without a submodule sit directly in the module block
+        const indent = submodule ? INDENT + INDENT : INDENT;
+        if (submodule) {
+            lines.push(`${INDENT}${describe}(${jsString(submodule)}, () => {`);
+        }
+        submoduleCases.forEach((testCase, index) => {
+            if (index > 0) {
+                lines.push('');
+            }
+            lines.push(...renderTest(testCase, framework, indent));
+        });
+        if (submodule) {
+            lines.push(`${INDENT}});`);
+        }
+    });
+    lines.push('});', '');
+
+    return lines.join('\n');
+}
+
+const json = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+// Runner config: JUnit and JSON reports land in results/, ready for the results import
+const PROJECT_FILES = {
+    playwright: (name) => [
+        {
+            path: 'package.json',
+            content: json({
+                name,
+                private: true,
+                type: 'module',
+                scripts: { test: 'playwright test' },
+                devDependencies: { '@playwright/test': '^1.47.0' }
+            })
+        },
+        {
+            path: 'playwright.config.js',
+            content: `import { defineConfig } from '@playwright/test';
+
+export default defineConfig({
+    testDir: './tests',
+    use: {
+        baseURL: process.env.BASE_URL || 'http://localhost:3000'
+    },
+    reporter: [
+        ['list'],
+        ['junit', { outputFile: 'results/junit.xml' }],
+        ['json', { outputFile: 'results/results.json' }]
+    ]
+});
+`
+        }
+    ],
+    cypress: (name) => [
+        {
+            path: 'package.json',
+            content: json({
+                name,
+                private: true,
+                type: 'module',
+                scripts: { test: 'cypress run' },
+                devDependencies: { cypress: '^13.15.0', 'mocha-junit-reporter': '^2.2.1' }
+            })
+        },
+        {
+            path: 'cypress.config.js',
+            content: `import { defineConfig } from 'cypress';
+
+export default defineConfig({
+    e2e: {
+        baseUrl: process.env.BASE_URL || 'http://localhost:3000',
+        specPattern: 'cypress/e2e/**/*.cy.js'
+    },
+    reporter: 'mocha-junit-reporter',
+    reporterOptions: {
+        mochaFile: 'results/junit-[hash].xml'
+    }
+});
+`
+        },
+        { path: 'cypress/support/e2e.js', content: '// Shared commands and hooks for the generated specs\n' }
+    ]
+};
+
+// [{ path, content }] for a runnable (but empty) project with one spec per module
+export function buildTestSkeletonProject(testCases, { framework = 'playwright', projectName = 'test-suite' } = {}) {
+    const modules = new Map();
+    testCases.forEach(testCase => {
+        const module = testCase.module || 'Untitled';
+        if (!modules.has(module)) {
+            modules.set(module, []);
+        }
+        modules.get(module).push(testCase);
+    });
+
+    // "Log-in" and "Log in" share a slug; number the later files
+    const usedNames = new Map();
+    const specs = [...modules.entries()].map(([module, moduleCases]) => {
+        const slug = slugify(module);
+        const count = (usedNames.get(slug) || 0) + 1;
+        usedNames.set(slug, count);
+        const name = count === 1 ? slug : `${slug}_${count}`;
+        return {
+            path: framework === 'playwright' ? `tests/${name}.spec.js` : `cypress/e2e/${name}.cy.js`,
+            content: renderSpec(module, moduleCases, framework)
+        };
+    });
+
+    return [...PROJECT_FILES[framework](slugify(projectName).replace(/_/g, '-')), ...specs];
+}
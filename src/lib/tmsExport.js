@@ -0,0 +1,289 @@
+import { parseGherkinSteps, stripStepNumber } from './gherkin.js';
+import { toCsv } from './suiteExport.js';
+
+// Export profiles for test management tools. Each target knows the import layout of one
+// tool (TestRail CSV, Zephyr Scale CSV, Xray CSV / bulk JSON); a column template can
+// override the mapping per project through `exportProfiles`:
+//
+//   { target: 'testrail', sectionFields: ['module', 'submodule'], sectionSeparator: ' > ',
+//     priorityMap: { P1: 'Critical' }, typeMap: { Negative: 'Regression' },
+//     extraColumns: [{ header: 'Preconditions', field: 'preconditions' }, { header: 'Template', value: 'Test Case (Steps)' }],
+//     projectKey: 'QA' }
+//
+// Steps are exported as step / expected result pairs, one CSV row per step; the first row of
+// a test case carries its fields and the following rows only the step columns (plus the
+// grouping column for tools that need one).
+
+export const TMS_TARGETS = {
+    testrail: {
+        label: 'TestRail',
+        formats: ['csv'],
+        defaults: {
+            sectionFields: ['module', 'submodule'],
+            sectionSeparator: ' > ',
+            priorityMap: { P1: 'Critical', P2: 'High', P3: 'Medium', P4: 'Low' },
+            typeMap: { Positive: 'Functional', Negative: 'Destructive' }
+        },
+        stepHeaders: { action: 'Steps (Step)', data: null, expected: 'Steps (Expected Result)' },
+        caseColumns: (testCase, profile) => ({
+            'Section': testCase.section,
+            'Title': testCase.summary,
+            'Template': 'Test Case (Steps)',
+            'Type': profile.typeMap[testCase.testCaseType] ?? testCase.testCaseType,
+            'Priority': profile.priorityMap[testCase.priority] ?? testCase.priority,
+            'References': testCase.id
+        })
+    },
+    zephyr: {
+        label: 'Zephyr Scale',
+        formats: ['csv'],
+        defaults: {
+            sectionFields: ['module', 'submodule'],
+            sectionSeparator: '/',
+            priorityMap: { P1: 'High', P2: 'High', P3: 'Normal', P4: 'Low' },
+            typeMap: { Positive: 'positive', Negative: 'negative' }
+        },
+        stepHeaders: { action: 'Test Script (Step-by-Step) - Step', data: 'Test Script (Step-by-Step) - Test Data', expected: 'Test Script (Step-by-Step) - Expected Result' },
+        caseColumns: (testCase, profile) => ({
+            'Name': testCase.summary,
+            'Folder': testCase.section ? `/${testCase.section}` : '',
+            'Status': 'Draft',
+            'Priority': profile.priorityMap[testCase.priority] ?? testCase.priority,
+            'Component': testCase.module,
+            'Labels': profile.typeMap[testCase.testCaseType] ?? testCase.testCaseType
+        })
+    },
+    xray: {
+        label: 'Xray',
+        formats: ['csv', 'json'],
+        defaults: {
+            sectionFields: ['module', 'submodule'],
+            sectionSeparator: '/',
+            priorityMap: { P1: 'Highest', P2: 'High', P3: 'Medium', P4: 'Low' },
+            typeMap: { Positive: 'positive', Negative: 'negative' }
+        },
+        // Rows with the same Issue ID belong to one test
+        groupingColumn: 'Issue ID',
+        stepHeaders: { action: 'Action', data: 'Data', expected: 'Expected Result' },
+        caseColumns: (testCase, profile) => ({
+            'Issue ID': testCase.id,
+            'Summary': testCase.summary,
+            'Test Type': testCase.gherkin ? 'Cucumber' : 'Manual',
+            'Priority': profile.priorityMap[testCase.priority] ?? testCase.priority,
+            'Component': testCase.module,
+            'Labels': profile.typeMap[testCase.testCaseType] ?? testCase.testCaseType,
+            'Test Repository Path': testCase.section,
+            'Gherkin Definition': testCase.gherkin || ''
+        })
+    }
+};
+
+export const TMS_TARGET_NAMES = Object.keys(TMS_TARGETS);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Returns a list of problems with a template's `exportProfiles`
+export function validateExportProfiles(profiles) {
+    if (profiles === undefined || profiles === null) {
+        return [];
+    }
+    if (!Array.isArray(profiles)) {
+        return ['exportProfiles must be an array'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    profiles.forEach((profile, index) => {
+        const path = `exportProfiles[${index}]`;
+        if (!isPlainObject(profile)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        if (!TMS_TARGETS[profile.target]) {
+            errors.push(`${path}.target must be one of ${TMS_TARGET_NAMES.join(', ')}`);
+        } else if (seen.has(profile.target)) {
+            errors.push(`${path}.target "${profile.target}" is configured more than once`);
+        }
+        seen.add(profile.target);
+
+        if (profile.sectionFields !== undefined && (!Array.isArray(profile.sectionFields) || profile.sectionFields.some(field => typeof field !== 'string' || !field))) {
+            errors.push(`${path}.sectionFields must be an array of field keys`);
+        }
+        if (profile.sectionSeparator !== undefined && typeof profile.sectionSeparator !== 'string') {
+            errors.push(`${path}.sectionSeparator must be a string`);
+        }
+        ['priorityMap', 'typeMap'].forEach(key => {
+            if (profile[key] !== undefined && (!isPlainObject(profile[key]) || Object.values(profile[key]).some(value => typeof value !== 'string'))) {
+                errors.push(`${path}.${key} must map values to strings`);
+            }
+        });
+        if (profile.extraColumns !== undefined) {
+            if (!Array.isArray(profile.extraColumns)) {
+                errors.push(`${path}.extraColumns must be an array`);
+            } else {
+                profile.extraColumns.forEach((column, columnIndex) => {
+                    if (!isPlainObject(column) || typeof column.header !== 'string' || !column.header.trim()) {
+                        errors.push(`${path}.extraColumns[${columnIndex}].header is required`);
+                    } else if (typeof column.field !== 'string' && typeof column.value !== 'string') {
+                        errors.push(`${path}.extraColumns[${columnIndex}] needs a field or a value`);
+                    }
+                });
+            }
+        }
+        if (profile.projectKey !== undefined && !/^[A-Z][A-Z0-9_]{0,19}$/.test(profile.projectKey)) {
+            errors.push(`${path}.projectKey must be a Jira project key such as "QA"`);
+        }
+    });
+    return errors;
+}
+
+// Defaults of `target` with the template's profile for it applied on top
+export function resolveExportProfile(target, templateProfiles = []) {
+    const { defaults } = TMS_TARGETS[target];
+    const custom = (templateProfiles || []).find(profile => profile.target === target) || {};
+
+    return {
+        target,
+        sectionFields: custom.sectionFields?.length ? custom.sectionFields : defaults.sectionFields,
+        sectionSeparator: custom.sectionSeparator ?? defaults.sectionSeparator,
+        priorityMap: { ...defaults.priorityMap, ...custom.priorityMap },
+        typeMap: { ...defaults.typeMap, ...custom.typeMap },
+        extraColumns: custom.extraColumns || [],
+        projectKey: custom.projectKey || ''
+    };
+}
+
+const isGherkinSteps = (steps) => steps.length > 0 && steps.every(line => /^(Given|When|Then|And|But)\s/.test(line));
+
+const textLines = (value) => (Array.isArray(value) ? value : String(value || '').split('\n'))
+    .map(line => String(line).trim())
+    .filter(Boolean);
+
+// [{ action, data, expected }] for a test case. Gherkin steps pair each Then (and the And /
+// But lines after it) with the step before it; free-text steps are paired line by line with
+// the expected results when the counts match, else the expected results go on the last step.
+export function toStepPairs(testCase) {
+    const { steps, examples } = parseGherkinSteps(testCase.testSteps);
+    const isGherkin = isGherkinSteps(steps);
+    const expectedLines = textLines(testCase.expectedResults);
+    let pairs;
+
+    if (isGherkin) {
+        pairs = [];
+        let inThen = false;
+        steps.forEach(line => {
+            if (/^Then\s/.test(line) || (inThen && /^(And|But)\s/.test(line))) {
+                inThen = true;
+                if (pairs.length === 0) {
+                    pairs.push({ action: '', data: '', expected: line });
+                } else {
+                    const last = pairs[pairs.length - 1];
+                    last.expected = last.expected ? `${last.expected}\n${line}` : line;
+                }
+                return;
+            }
+            // A new step starts after each Then block
+            if (inThen || pairs.length === 0) {
+                pairs.push({ action: line, data: '', expected: '' });
+            } else {
+                const last = pairs[pairs.length - 1];
+                last.action = `${last.action}\n${line}`;
+            }
+            inThen = false;
+        });
+        if (examples && pairs.length > 0) {
+            pairs[0].data = [examples.headers, ...examples.rows].map(row => `| ${row.join(' | ')} |`).join('\n');
+        }
+    } else {
+        const actions = steps.map(stripStepNumber).filter(Boolean);
+        if (actions.length === 0) {
+            actions.push('');
+        }
+        pairs = actions.map((action, index) => ({
+            action,
+            data: '',
+            expected: expectedLines.length === actions.length
+                ? expectedLines[index]
+                : (index === actions.length - 1 ? expectedLines.join('\n') : '')
+        }));
+    }
+
+    // Gherkin cases without a Then step still show their expected result
+    if (isGherkin && !pairs.some(pair => pair.expected) && expectedLines.length > 0) {
+        pairs[pairs.length - 1].expected = expectedLines.join('\n');
+    }
+    return pairs;
+}
+
+const sectionOf = (testCase, profile) => profile.sectionFields
+    .map(field => String(testCase[field] || '').trim())
+    .filter(Boolean)
+    .join(profile.sectionSeparator);
+
+const gherkinDefinition = (testCase) => {
+    const { steps } = parseGherkinSteps(testCase.testSteps);
+    return isGherkinSteps(steps) ? String(testCase.testSteps).trim() : '';
+};
+
+const extraValues = (testCase, profile) => Object.fromEntries(profile.extraColumns
+    .map(column => [column.header, column.value ?? String(testCase[column.field] ?? '')]));
+
+// Import CSV for `profile.target`: [headers, rows] ready for toCsv
+export function buildTmsCsv(testCases, profile) {
+    const definition = TMS_TARGETS[profile.target];
+    const { stepHeaders, groupingColumn } = definition;
+    const stepColumns = Object.entries(stepHeaders).filter(([, header]) => header);
+
+    const cases = testCases.map(testCase => {
+        const enriched = { ...testCase, section: sectionOf(testCase, profile), gherkin: gherkinDefinition(testCase) };
+        return {
+            fields: { ...definition.caseColumns(enriched, profile), ...extraValues(testCase, profile) },
+            // Xray reads Cucumber tests from the Gherkin definition, not from steps
+            pairs: profile.target === 'xray' && enriched.gherkin ? [] : toStepPairs(testCase)
+        };
+    });
+
+    const caseHeaders = [...new Set(cases.flatMap(({ fields }) => Object.keys(fields)))];
+    const headers = [...caseHeaders, ...stepColumns.map(([, header]) => header)];
+
+    const rows = cases.flatMap(({ fields, pairs }) => {
+        const stepRows = (pairs.length > 0 ? pairs : [{ action: '', data: '', expected: '' }])
+            // Tools without a test data column get the data (e.g. Examples tables) with the step
+            .map(pair => (stepHeaders.data || !pair.data ? pair : { ...pair, action: `${pair.action}\n${pair.data}` }));
+        return stepRows.map((pair, index) => [
+            ...caseHeaders.map(header => (index === 0 || header === groupingColumn ? fields[header] ?? '' : '')),
+            ...stepColumns.map(([key]) => pair[key])
+        ]);
+    });
+
+    return toCsv(headers, rows);
+}
+
+// Xray bulk test import JSON (POST /api/v2/import/test/bulk)
+export function buildXrayJson(testCases, profile) {
+    return testCases.map(testCase => {
+        const gherkin = gherkinDefinition(testCase);
+        const extra = extraValues(testCase, profile);
+        const test = {
+            testtype: gherkin ? 'Cucumber' : 'Manual',
+            fields: {
+                summary: testCase.summary,
+                ...(profile.projectKey ? { project: { key: profile.projectKey } } : {}),
+                priority: { name: profile.priorityMap[testCase.priority] ?? testCase.priority },
+                labels: [profile.typeMap[testCase.testCaseType] ?? testCase.testCaseType, testCase.id]
+                    .filter(Boolean)
+                    .map(label => String(label).replace(/\s+/g, '_')),
+                ...(testCase.module ? { components: [{ name: testCase.module }] } : {}),
+                ...(Object.keys(extra).length > 0 ? { description: Object.entries(extra).map(([header, value]) => `*${header}:* ${value}`).join('\n') } : {})
+            },
+            xray_test_repository_folder: sectionOf(testCase, profile)
+        };
+
+        if (gherkin) {
+            test.gherkin_def = gherkin;
+        } else {
+            test.steps = toStepPairs(testCase).map(({ action, data, expected }) => ({ action, data, result: expected }));
+        }
+        return test;
+    });
+}
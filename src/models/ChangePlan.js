@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// AI-proposed modification of an existing test cases tab, held for review before anything is written.
+const changePlanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  spreadsheetId: {
+    type: String,
+    required: true
+  },
+  sheetName: {
+    type: String,
+    required: true
+  },
+  modificationPrompt: {
+    type: String
+  },
+  summary: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // [{ itemId, testCaseId, action, reason, rowIndex, before, after, fieldChanges, applicable }]
+  items: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Hash of the tab rows the plan was computed against; apply refuses if it no longer matches
+  sheetFingerprint: {
+    type: String,
+    required: true
+  },
+  rowCount: {
+    type: Number,
+    required: true
+  },
+  // Column template the tab was read with; reused when the plan is applied
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ColumnTemplate'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'applying', 'applied', 'discarded'],
+    default: 'pending'
+  },
+  approvedItemIds: {
+    type: [String],
+    default: []
+  },
+  appliedAt: {
+    type: Date
+  },
+  applyResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000),
+    expires: 0
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ChangePlan', changePlanSchema);
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+
+const templateColumnSchema = new mongoose.Schema({
+  // Test case field key: a built-in field (id, summary, status, ...) or a custom one (jiraKey)
+  field: {
+    type: String,
+    required: true
+  },
+  header: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: ['text', 'longtext', 'dropdown', 'number', 'date'],
+    default: 'text'
+  },
+  allowedValues: {
+    type: [String],
+    default: undefined
+  },
+  default: {
+    type: String
+  },
+  // Extra header names recognised when reading existing tabs
+  synonyms: {
+    type: [String],
+    default: []
+  },
+  // Guidance for the model when generating custom fields
+  description: {
+    type: String
+  },
+  width: {
+    type: Number
+  }
+}, {
+  _id: false
+});
+
+// Test management tool mapping (see lib/tmsExport.js); unset keys use the tool's defaults
+const exportProfileSchema = new mongoose.Schema({
+  target: {
+    type: String,
+    enum: ['testrail', 'zephyr', 'xray'],
+    required: true
+  },
+  // Fields joined into the section / folder path, e.g. ['module', 'submodule']
+  sectionFields: {
+    type: [String],
+    default: undefined
+  },
+  sectionSeparator: {
+    type: String
+  },
+  // Our value -> tool value, e.g. { P1: 'Critical' } or { Negative: 'Regression' }
+  priorityMap: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  typeMap: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Additional import columns, filled from a test case field or a fixed value
+  extraColumns: {
+    type: [{
+      _id: false,
+      header: { type: String, required: true },
+      field: { type: String },
+      value: { type: String }
+    }],
+    default: undefined
+  },
+  // Jira project key for Xray imports
+  projectKey: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+// Per-project test case columns. A template applies to the spreadsheets listed in
+// `spreadsheetIds`, or to every spreadsheet of the user when `isDefault` is set.
+const columnTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  columns: {
+    type: [templateColumnSchema],
+    required: true
+  },
+  // Test case / scenario ID format, see lib/idSchemes.js; unset keys use the defaults
+  idScheme: {
+    testCasePrefix: { type: String },
+    scenarioPrefix: { type: String },
+    separator: { type: String },
+    padding: { type: Number },
+    includeModuleCode: { type: Boolean },
+    moduleCode: { type: String }
+  },
+  exportProfiles: {
+    type: [exportProfileSchema],
+    default: []
+  },
+  spreadsheetIds: {
+    type: [String],
+    default: []
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+columnTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('ColumnTemplate', columnTemplateSchema);
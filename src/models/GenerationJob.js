@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+const jobStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  detail: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const generationJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  // Sanitized POST /generate body, replayed when the job is (re)started
+  input: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  steps: [jobStepSchema],
+  currentStep: {
+    type: String
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    message: String,
+    errorType: String,
+    statusCode: Number,
+    retryAfter: Number,
+    step: String,
+    // Schema problems in the last model reply when errorType is INVALID_MODEL_OUTPUT
+    validationErrors: [String]
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Refreshed while a worker owns the job; a stale heartbeat means the server died
+  heartbeatAt: {
+    type: Date
+  },
+  startedAt: {
+    type: Date
+  },
+  // Finished jobs are purged after 7 days
+  finishedAt: {
+    type: Date,
+    expires: 60 * 60 * 24 * 7
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('GenerationJob', generationJobSchema);
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// Result of a dry-run generation: nothing has been written to Sheets yet.
+const generationPreviewSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GenerationJob'
+  },
+  spreadsheetId: {
+    type: String,
+    required: true
+  },
+  module: {
+    type: String,
+    required: true
+  },
+  // Target tabs requested at generation time; the commit call may override them
+  testCasesSheetName: {
+    type: String
+  },
+  testScenariosSheetName: {
+    type: String
+  },
+  testCasesLevel: {
+    type: String
+  },
+  testScenariosLevel: {
+    type: String
+  },
+  // Column template used for generation; reused when the preview is committed
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ColumnTemplate'
+  },
+  testCases: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  testScenarios: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // [{ testCase, reason, message }] for every case dropped by validation
+  rejectedTestCases: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // 'partial': a commit wrote the test cases but failed on the scenarios; commitResult holds
+  // what was written and a retry only writes the rest
+  status: {
+    type: String,
+    enum: ['pending', 'committing', 'partial', 'committed'],
+    default: 'pending'
+  },
+  committedAt: {
+    type: Date
+  },
+  commitResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Previews are disposable; purge them after a day
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000),
+    expires: 0
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('GenerationPreview', generationPreviewSchema);
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const retentionDays = parseInt(process.env.SNAPSHOT_RETENTION_DAYS, 10) || 30;
+
+// Copy of a sheet range taken right before a destructive write, so the tab can be rolled back.
+const sheetSnapshotSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  spreadsheetId: {
+    type: String,
+    required: true
+  },
+  sheetName: {
+    type: String,
+    required: true
+  },
+  // A1 column range without the tab name, e.g. "A:J"
+  range: {
+    type: String,
+    required: true
+  },
+  // Operation that triggered the snapshot: custom-prompt, modify, modify-plan, restore, ...
+  operation: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  values: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // How `values` were read: 'FORMULA' (formulas and unformatted values) for current
+  // snapshots; older ones hold formatted display values
+  valueRenderOption: {
+    type: String
+  },
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  // Set on snapshots taken by a restore, pointing at the snapshot that was restored
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SheetSnapshot'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000),
+    expires: 0
+  }
+}, {
+  timestamps: true
+});
+
+sheetSnapshotSchema.index({ userId: 1, spreadsheetId: 1, sheetName: 1, createdAt: -1 });
+
+export default mongoose.model('SheetSnapshot', sheetSnapshotSchema);
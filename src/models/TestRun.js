@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+const testRunResultSchema = new mongoose.Schema({
+  testCaseId: {
+    type: String,
+    required: true
+  },
+  // Copied from the tab when the run is created, so the run reads the same after edits
+  module: {
+    type: String
+  },
+  summary: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['Not Tested', 'Pass', 'Fail', 'Blocked'],
+    default: 'Not Tested'
+  },
+  actualResult: {
+    type: String
+  },
+  tester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  testerName: {
+    type: String
+  },
+  executedAt: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
+// One execution of (part of) a test cases tab against a build. Results live here instead of
+// the tab's single Status column, so earlier runs are kept.
+const testRunSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  spreadsheetId: {
+    type: String,
+    required: true
+  },
+  sheetName: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  build: {
+    type: String
+  },
+  environment: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['open', 'completed'],
+    default: 'open'
+  },
+  results: [testRunResultSchema],
+  completedAt: {
+    type: Date
+  },
+  // Last projection of the results into the spreadsheet
+  projection: {
+    target: { type: String, enum: ['sheet', 'tab'] },
+    sheetName: String,
+    projectedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+testRunSchema.index({ userId: 1, spreadsheetId: 1, sheetName: 1, createdAt: -1 });
+
+export default mongoose.model('TestRun', testRunSchema);
@@ -5,7 +5,13 @@ const UserSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
   role: { type: String, enum: ['user', 'admin'], default: 'user' },
-  walletBalance: { type: Number, default: 0 }
+  walletBalance: { type: Number, default: 0 },
+  // Optional per-user LLM override; validated against the deployment allow-list
+  llmSettings: {
+    provider: { type: String, enum: ['gemini', 'openai', 'fixture'] },
+    model: { type: String },
+    baseUrl: { type: String }
+  }
 });
 
 const User = mongoose.model('User', UserSchema);
@@ -4,7 +4,9 @@ import {
     getTestCases,
     analyzeTestCases,
     modifyTestCases,
-    processCustomPrompt} from '../controller/sheetsController.js';
+    processCustomPrompt,
+    listArrangementStrategies,
+    renumberTestCaseIds} from '../controller/sheetsController.js';
 import { ProtectRoute } from '../middlewares/authMiddleware.js';
 import {
     getAuthUrl,
@@ -13,6 +15,55 @@ import {
     getAvailableSheets,
     removeCredentials
 } from '../controller/oauthController.js';
+import { getLLMSettings, updateLLMSettings } from '../controller/llmSettingsController.js';
+import {
+    listGenerationJobs,
+    getGenerationJob,
+    getGenerationJobResult
+} from '../controller/generationJobsController.js';
+import { streamProgress } from '../controller/progressController.js';
+import { getGenerationPreview, commitGenerationPreview } from '../controller/previewController.js';
+import {
+    getModificationPlan,
+    applyModificationPlan,
+    discardModificationPlan
+} from '../controller/changePlanController.js';
+import { listSnapshots, getSnapshot, restoreSnapshot } from '../controller/snapshotController.js';
+import {
+    listColumnTemplates,
+    getColumnTemplate,
+    createColumnTemplate,
+    updateColumnTemplate,
+    deleteColumnTemplate
+} from '../controller/templateController.js';
+import {
+    exportFeatureFiles,
+    exportCsv,
+    exportXlsx,
+    exportJson,
+    exportTestManagement,
+    exportTestSkeletons
+} from '../controller/exportController.js';
+import { importTestResults } from '../controller/resultsController.js';
+import {
+    listTestRuns,
+    createTestRun,
+    getTestRun,
+    getTestRunSummary,
+    recordTestRunResults,
+    completeTestRun,
+    projectTestRun,
+    deleteTestRun
+} from '../controller/testRunController.js';
+import {
+    getTestCase,
+    createTestCase,
+    replaceTestCase,
+    patchTestCase,
+    deleteTestCase,
+    bulkUpdateTestCases
+} from '../controller/testCaseController.js';
+import { getSuiteMetrics, refreshDashboard } from '../controller/metricsController.js';
 
 const router = express.Router();
 
@@ -22,13 +73,79 @@ router.get('/status', ProtectRoute, getConnectionStatus);
 router.delete('/disconnect', ProtectRoute, removeCredentials);
 
 router.post('/generate', ProtectRoute, generateTestCasesWithOptions);
+router.get('/jobs', ProtectRoute, listGenerationJobs);
+router.get('/jobs/:jobId', ProtectRoute, getGenerationJob);
+router.get('/jobs/:jobId/result', ProtectRoute, getGenerationJobResult);
+
+// Dry-run previews (POST /generate with dryRun: true) and committing a selection of them
+router.get('/previews/:previewId', ProtectRoute, getGenerationPreview);
+router.post('/previews/:previewId/commit', ProtectRoute, commitGenerationPreview);
+
+// Server-Sent Events progress for /generate (jobId), /modify and /custom-prompt (operationId)
+router.get('/progress/:operationId/events', ProtectRoute, streamProgress);
 router.get('/list', ProtectRoute, getAvailableSheets);
 router.get('/test-cases', ProtectRoute, getTestCases);
 router.post('/analyze', ProtectRoute, analyzeTestCases);
 router.post('/modify', ProtectRoute, modifyTestCases);
+router.post('/renumber', ProtectRoute, renumberTestCaseIds);
+
+// Single test cases by ID (validated against the column template)
+router.post('/test-cases', ProtectRoute, createTestCase);
+router.post('/test-cases/bulk-update', ProtectRoute, bulkUpdateTestCases);
+router.get('/test-cases/:testCaseId', ProtectRoute, getTestCase);
+router.put('/test-cases/:testCaseId', ProtectRoute, replaceTestCase);
+router.patch('/test-cases/:testCaseId', ProtectRoute, patchTestCase);
+router.delete('/test-cases/:testCaseId', ProtectRoute, deleteTestCase);
+
+// Reviewable change plans (POST /modify with mode: 'plan')
+router.get('/modify/plans/:planId', ProtectRoute, getModificationPlan);
+router.post('/modify/plans/:planId/apply', ProtectRoute, applyModificationPlan);
+router.delete('/modify/plans/:planId', ProtectRoute, discardModificationPlan);
+
+// Snapshots taken before destructive writes (modify, plan apply, custom-prompt) and rollback
+router.get('/snapshots', ProtectRoute, listSnapshots);
+router.get('/snapshots/:snapshotId', ProtectRoute, getSnapshot);
+router.post('/snapshots/:snapshotId/restore', ProtectRoute, restoreSnapshot);
 
 // NEW: Custom Prompt Route for Workflow Arrangement
 router.post('/custom-prompt', ProtectRoute, processCustomPrompt);
+router.get('/arrangement-strategies', ProtectRoute, listArrangementStrategies);
+
+// Per-project column templates (built-in and custom fields) used by generation, readers and writers
+router.get('/templates', ProtectRoute, listColumnTemplates);
+router.post('/templates', ProtectRoute, createColumnTemplate);
+router.get('/templates/:templateId', ProtectRoute, getColumnTemplate);
+router.put('/templates/:templateId', ProtectRoute, updateColumnTemplate);
+router.delete('/templates/:templateId', ProtectRoute, deleteColumnTemplate);
+
+// Exports of a test cases tab (csv/xlsx/json also take kind=testScenarios)
+router.get('/export/feature', ProtectRoute, exportFeatureFiles);
+router.get('/export/csv', ProtectRoute, exportCsv);
+router.get('/export/xlsx', ProtectRoute, exportXlsx);
+router.get('/export/json', ProtectRoute, exportJson);
+router.get('/export/tms', ProtectRoute, exportTestManagement);
+router.get('/export/automation', ProtectRoute, exportTestSkeletons);
+
+// Automated test results (JUnit XML as text, Playwright / Cypress JSON) into Status / Actual Result
+router.post('/results/import', ProtectRoute, express.text({ type: ['application/xml', 'text/xml', 'text/plain'], limit: '10mb' }), importTestResults);
+
+// Test runs: execution cycles with their own results (":runId" may be "latest")
+router.get('/runs', ProtectRoute, listTestRuns);
+router.post('/runs', ProtectRoute, createTestRun);
+router.get('/runs/:runId', ProtectRoute, getTestRun);
+router.get('/runs/:runId/summary', ProtectRoute, getTestRunSummary);
+router.put('/runs/:runId/results', ProtectRoute, recordTestRunResults);
+router.post('/runs/:runId/complete', ProtectRoute, completeTestRun);
+router.post('/runs/:runId/project', ProtectRoute, projectTestRun);
+router.delete('/runs/:runId', ProtectRoute, deleteTestRun);
+
+// Exact suite metrics and the Dashboard tab built from them
+router.get('/metrics', ProtectRoute, getSuiteMetrics);
+router.post('/metrics/dashboard', ProtectRoute, refreshDashboard);
+
+// LLM provider selection (per user, on top of the deployment default)
+router.get('/llm-settings', ProtectRoute, getLLMSettings);
+router.put('/llm-settings', ProtectRoute, updateLLMSettings);
 
 export default router;
 